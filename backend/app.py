@@ -1,85 +1,1162 @@
-from flask import Flask, request, jsonify
+from flask import Flask, Response, request, jsonify, g
 from flask_cors import CORS
 import requests
 import os
+import time
+import json
+import hashlib
+import threading
+import queue
+from collections import Counter, defaultdict, deque
+from datetime import datetime, timedelta, timezone
+from functools import wraps
+from urllib.parse import parse_qsl, unquote, urlparse
 from dotenv import load_dotenv
+from werkzeug.exceptions import HTTPException
 
 load_dotenv()
 app = Flask(__name__)
-CORS(app) 
+# The dashboard reads Retry-After to say when a rate-limited search can be retried
+CORS(app, expose_headers=["Retry-After"])
 
 OPENWEATHER_API_KEY = os.getenv("OPENWEATHER_API_KEY")
 WAQI_API_TOKEN = os.getenv("WAQI_API_TOKEN") 
 
-def get_weather(city):
-    """Get current weather from OpenWeather by city name."""
-    geo_url = f"http://api.openweathermap.org/geo/1.0/direct?q={city}&limit=1&appid={OPENWEATHER_API_KEY}"
-    geo_data = requests.get(geo_url).json()
-    if not geo_data:
+# Upstream responses are cached in memory (per process) for these many seconds
+WEATHER_TTL = 600
+FORECAST_TTL = 1800
+AQI_TTL = 600
+GEOCODE_TTL = 86400
+# Failed or empty lookups are retried sooner
+NEGATIVE_TTL = 60
+MAX_CACHE_ENTRIES = 2000
+
+# Each upstream call waits UPSTREAM_TIMEOUT seconds and is retried
+# UPSTREAM_RETRIES times, backing off RETRY_BACKOFF, 2x, 4x... seconds
+UPSTREAM_TIMEOUT = 6
+UPSTREAM_RETRIES = 2
+RETRY_BACKOFF = 0.5
+RETRY_STATUSES = {429, 500, 502, 503, 504}
+UPSTREAM_NAMES = {"openweather": "OpenWeather", "waqi": "WAQI", "openmeteo": "Open-Meteo"}
+
+# Air quality providers (see AQI_PROVIDERS), highest priority first. The first
+# with a reading supplies the AQI and station; the others fill in pollutants
+# it does not report.
+AQI_PROVIDER_ORDER = [name.strip() for name in os.getenv("AQI_PROVIDERS", "waqi,openweather,openmeteo").split(",") if name.strip()]
+
+# "mock" answers every upstream call from MOCK_FIXTURES instead of the real
+# APIs, so the app runs without API keys (see fixtures/cities.json)
+UPSTREAM_MODE = os.getenv("UPSTREAM_MODE", "live")
+MOCK_FIXTURES = os.getenv("MOCK_FIXTURES", os.path.join(os.path.dirname(__file__), "fixtures", "cities.json"))
+
+# Per-client limit on /environment: RATE_LIMIT requests every RATE_WINDOW seconds
+RATE_LIMIT = int(os.getenv("RATE_LIMIT", "30"))
+RATE_WINDOW = int(os.getenv("RATE_WINDOW", "60"))
+
+# /stream re-reads each subscribed place every STREAM_POLL_INTERVAL seconds
+# (through the cache above, so upstream is still called at most once per TTL)
+STREAM_POLL_INTERVAL = int(os.getenv("STREAM_POLL_INTERVAL", "60"))
+STREAM_KEEPALIVE = 25
+MAX_STREAM_QUERIES = 10
+
+_cache = {}
+_in_flight = {}
+_cache_lock = threading.Lock()
+
+
+class ApiError(Exception):
+    """An error sent to the client as {"error": {code, message, upstream, retryable}}.
+
+    `upstream` names the service that failed (a key of UPSTREAM_NAMES), if any;
+    `retryable` tells the client whether repeating the request may succeed.
+    """
+
+    def __init__(self, code, message, status=400, upstream=None, retryable=False, retry_after=None):
+        super().__init__(message)
+        self.code = code
+        self.message = message
+        self.status = status
+        self.upstream = upstream
+        self.retryable = retryable
+        self.retry_after = retry_after
+
+    def to_dict(self):
+        return {
+            "code": self.code,
+            "message": self.message,
+            "upstream": self.upstream,
+            "retryable": self.retryable,
+        }
+
+
+class UpstreamError(ApiError):
+    """An upstream service could not be reached or refused the request."""
+
+    def __init__(self, upstream, reason, retryable=True, timeout=False):
+        super().__init__(
+            "UPSTREAM_TIMEOUT" if timeout else "UPSTREAM_UNAVAILABLE",
+            f"{UPSTREAM_NAMES[upstream]} {reason}",
+            status=504 if timeout else 502,
+            upstream=upstream,
+            retryable=retryable,
+        )
+
+
+def partial_error(error, affects):
+    """An entry for a response's "errors": a failure that left out one half of
+    the data, named by `affects` ("weather" or "aqi"). The client words its
+    notice by that half, since a provider such as OpenWeather can serve either.
+    """
+    return {**error.to_dict(), "affects": affects}
+
+
+@app.errorhandler(ApiError)
+def api_error(error):
+    response = jsonify({"error": error.to_dict()})
+    if error.retry_after:
+        response.headers["Retry-After"] = str(error.retry_after)
+    return response, error.status
+
+
+@app.errorhandler(HTTPException)
+def http_error(error):
+    """Unknown routes, bad methods and unhandled exceptions use the same envelope."""
+    code = error.name.upper().replace(" ", "_")
+    return jsonify({"error": ApiError(code, error.description, error.code).to_dict()}), error.code
+
+
+def fetch_json(url, upstream):
+    """GET an upstream JSON API, retrying timeouts, connection errors and 429/5xx."""
+    if UPSTREAM_MODE == "mock":
+        return mock_fetch_json(url, upstream)
+
+    for attempt in range(UPSTREAM_RETRIES + 1):
+        try:
+            response = requests.get(url, timeout=UPSTREAM_TIMEOUT)
+        except requests.Timeout:
+            error = UpstreamError(upstream, "timed out", timeout=True)
+        except requests.RequestException:
+            error = UpstreamError(upstream, "could not be reached")
+        else:
+            if response.status_code in RETRY_STATUSES:
+                error = UpstreamError(upstream, f"returned HTTP {response.status_code}")
+            elif response.status_code >= 400 and response.status_code != 404:
+                # Bad API key and the like; retrying will not help
+                raise UpstreamError(upstream, f"rejected the request (HTTP {response.status_code})", retryable=False)
+            else:
+                try:
+                    return response.json()
+                except ValueError:
+                    error = UpstreamError(upstream, "returned an invalid response")
+
+        if attempt < UPSTREAM_RETRIES:
+            time.sleep(RETRY_BACKOFF * 2 ** attempt)
+    raise error
+
+
+_mock_fixtures = None
+
+
+def load_mock_fixtures():
+    global _mock_fixtures
+    if _mock_fixtures is None:
+        with open(MOCK_FIXTURES, encoding="utf-8") as f:
+            _mock_fixtures = json.load(f)
+    return _mock_fixtures
+
+
+def mock_fetch_json(url, upstream):
+    """Answer an upstream request from the fixtures, the way the real API would.
+
+    Cities are matched by name (geocoding, WAQI city feeds), by coordinates
+    within half a degree (weather, air pollution, reverse geocoding, WAQI geo
+    feeds) or by station id. A city's "fail" entry makes that service time out or return a
+    503 for it. Forecasts are derived from the current readings.
+    """
+    fixtures = load_mock_fixtures()
+    cities = fixtures["cities"]
+    parsed = urlparse(url)
+    params = dict(parse_qsl(parsed.query))
+
+    def near(lat, lon):
+        lat, lon = float(lat), float(lon)
+        close = [c for c in cities if abs(c["lat"] - lat) <= 0.5 and abs(c["lon"] - lon) <= 0.5]
+        return min(close, key=lambda c: (c["lat"] - lat) ** 2 + (c["lon"] - lon) ** 2, default=None)
+
+    def check_failure(city):
+        failure = ((city or {}).get("fail") or {}).get(upstream)
+        if failure == "timeout":
+            raise UpstreamError(upstream, "timed out", timeout=True)
+        if failure == "unavailable":
+            raise UpstreamError(upstream, "returned HTTP 503")
+
+    def geo_entry(city):
+        return {k: city[k] for k in ("name", "state", "country", "lat", "lon") if city.get(k) is not None}
+
+    if upstream == "openweather":
+        if parsed.path.endswith("/geo/1.0/direct"):
+            query = cache_key_part(params.get("q", ""))
+            matches = [c for c in cities if cache_key_part(c["name"]).startswith(query)]
+            return [geo_entry(c) for c in matches[:int(params.get("limit", 5))]]
+        city = near(params["lat"], params["lon"])
+        if parsed.path.endswith("/geo/1.0/reverse"):
+            return [geo_entry(city)] if city else []
+        check_failure(city)
+        if not city:
+            return None
+        if parsed.path.endswith("/data/2.5/weather"):
+            return city["weather"]
+        if parsed.path.endswith("/data/2.5/air_pollution"):
+            return {"list": [{"components": city["air"]}] if city.get("air") else []}
+        return mock_forecast(city)
+
+    if upstream == "openmeteo":
+        city = near(params["latitude"], params["longitude"])
+        check_failure(city)
+        if parsed.path.endswith("/v1/forecast"):
+            return {"current": {"uv_index": (city or {}).get("uv")}}
+        return {"current": (city or {}).get("openmeteo") or {}}
+
+    if "/map/bounds" in parsed.path:
+        south, west, north, east = (float(v) for v in params["latlng"].split(","))
+        entries = fixtures.get("stations", []) + [
+            {
+                "uid": c["waqi"]["idx"], "lat": c["waqi"]["city"]["geo"][0], "lon": c["waqi"]["city"]["geo"][1],
+                "aqi": str(c["waqi"]["aqi"]), "station": {"name": c["waqi"]["city"]["name"], "time": None},
+            }
+            for c in cities if c.get("waqi")
+        ]
+        # west > east when the box crosses the antimeridian
+        in_lon = (lambda lon: west <= lon <= east) if west <= east else (lambda lon: lon >= west or lon <= east)
+        return {"status": "ok", "data": [e for e in entries if south <= e["lat"] <= north and in_lon(e["lon"])]}
+
+    feed = unquote(parsed.path.split("/feed/", 1)[1].rstrip("/"))
+    if feed.startswith("@"):
+        city = next((c for c in cities if c.get("waqi") and str(c["waqi"]["idx"]) == feed[1:]), None)
+    elif feed.startswith("geo:"):
+        city = near(*feed[4:].split(";"))
+    else:
+        city = next((c for c in cities if cache_key_part(c["name"]) == cache_key_part(feed)), None)
+    check_failure(city)
+    if not city or not city.get("waqi"):
+        return {"status": "error", "data": "Unknown station"}
+    return {"status": "ok", "data": {**city["waqi"], "forecast": mock_aqi_forecast(city)}}
+
+
+def mock_forecast(city):
+    """A 5-day / 3-hour OpenWeather forecast around a fixture city's current weather."""
+    current = city["weather"]
+    start = int(time.time()) // 10800 * 10800 + 10800
+    steps = []
+    for i in range(40):
+        dt = start + i * 10800
+        hour = ((dt + current.get("timezone", 0)) // 3600) % 24
+        # Warmest mid-afternoon, coolest before dawn
+        swing = 4 * (1 - abs(hour - 15) / 12)
+        steps.append({
+            "dt": dt,
+            "main": {"temp": round(current["main"]["temp"] - 2 + swing, 1), "humidity": current["main"]["humidity"]},
+            "weather": current["weather"],
+            "wind": current.get("wind"),
+            "pop": 0.6 if current["weather"][0]["main"] in ("Rain", "Snow") else 0.1,
+        })
+    return {"list": steps, "city": {"timezone": current.get("timezone", 0)}}
+
+
+def mock_aqi_forecast(city):
+    """WAQI-style daily pollutant forecast drifting around a fixture city's current levels."""
+    today = datetime.now(timezone.utc).date()
+    daily = {}
+    for pollutant in ("pm25", "pm10", "o3"):
+        level = (city["waqi"]["iaqi"].get(pollutant) or {}).get("v")
+        if level is None:
+            continue
+        daily[pollutant] = [
+            {
+                "day": (today + timedelta(days=d)).isoformat(),
+                "avg": round(level * (1 + 0.1 * (d % 3 - 1))),
+                "min": round(level * 0.7),
+                "max": round(level * 1.3),
+            }
+            for d in range(5)
+        ]
+    return {"daily": daily}
+
+
+def cache_key_part(value):
+    """Normalize an argument so equivalent lookups share a cache entry."""
+    if isinstance(value, str):
+        return " ".join(value.lower().split())
+    if isinstance(value, float):
+        # ~100 m; nearby coordinates get the same weather and station anyway
+        return round(value, 3)
+    return value
+
+
+def cached_call(key, ttl, loader):
+    """Return (value, fetched_at, expires_at) for key, calling loader on a miss.
+
+    Concurrent misses for the same key are coalesced: one caller runs the
+    loader while the others wait for its result.
+    """
+    while True:
+        with _cache_lock:
+            entry = _cache.get(key)
+            if entry and entry[2] > time.time():
+                return entry
+            pending = _in_flight.get(key)
+            leader = pending is None
+            if leader:
+                pending = _in_flight[key] = threading.Event()
+
+        if not leader:
+            # Re-check the cache once the running lookup finishes; if it
+            # failed, the next pass becomes the leader and tries again
+            pending.wait(UPSTREAM_TIMEOUT * 2)
+            continue
+
+        try:
+            value = loader()
+            fetched_at = time.time()
+            entry = (value, fetched_at, fetched_at + (ttl if value else NEGATIVE_TTL))
+            with _cache_lock:
+                _cache[key] = entry
+                if len(_cache) > MAX_CACHE_ENTRIES:
+                    now = time.time()
+                    for stale in [k for k, e in _cache.items() if e[2] <= now]:
+                        del _cache[stale]
+                    while len(_cache) > MAX_CACHE_ENTRIES:
+                        del _cache[min(_cache, key=lambda k: _cache[k][1])]
+            return entry
+        finally:
+            with _cache_lock:
+                _in_flight.pop(key).set()
+
+
+def ttl_cache(ttl, tracks_age=True):
+    """Cache an upstream lookup for ttl seconds, keyed by its normalized arguments.
+
+    With tracks_age, the request's g.fetched_at / g.expires_at follow the oldest
+    data and the soonest expiry used, for reporting data age to the client.
+    """
+    def decorate(fn):
+        @wraps(fn)
+        def wrapper(*args, **kwargs):
+            key = (
+                fn.__name__,
+                tuple(cache_key_part(a) for a in args),
+                tuple(sorted((k, cache_key_part(v)) for k, v in kwargs.items())),
+            )
+            value, fetched_at, expires_at = cached_call(key, ttl, lambda: fn(*args, **kwargs))
+            if tracks_age:
+                g.fetched_at = min(g.get("fetched_at", fetched_at), fetched_at)
+                g.expires_at = min(g.get("expires_at", expires_at), expires_at)
+            return value
+        return wrapper
+    return decorate
+
+
+_client_hits = defaultdict(deque)
+_rate_lock = threading.Lock()
+_last_sweep = 0.0
+
+
+def sweep_idle_clients(now):
+    """Forget clients with no request in the last RATE_WINDOW; call with _rate_lock held.
+
+    Their hits no longer count, and without this every client address ever
+    seen would stay in _client_hits for the life of the process.
+    """
+    global _last_sweep
+    if now - _last_sweep < RATE_WINDOW:
+        return
+    _last_sweep = now
+    for client in [c for c, hits in _client_hits.items() if not hits or hits[-1] <= now - RATE_WINDOW]:
+        del _client_hits[client]
+
+
+def rate_limited(fn):
+    """Reject clients that exceed RATE_LIMIT requests per RATE_WINDOW seconds with a 429."""
+    @wraps(fn)
+    def wrapper(*args, **kwargs):
+        client = request.remote_addr or "unknown"
+        now = time.time()
+        with _rate_lock:
+            sweep_idle_clients(now)
+            hits = _client_hits[client]
+            while hits and hits[0] <= now - RATE_WINDOW:
+                hits.popleft()
+            if len(hits) >= RATE_LIMIT:
+                raise ApiError(
+                    "RATE_LIMITED", "Too many requests, please slow down", 429,
+                    retryable=True, retry_after=int(hits[0] + RATE_WINDOW - now) + 1,
+                )
+            hits.append(now)
+        return fn(*args, **kwargs)
+    return wrapper
+
+
+def cacheable_json(payload):
+    """JSON response with data age, Cache-Control and an ETag for conditional requests.
+
+    The ETag covers the data itself, not its age, so a client revalidating a
+    cached reading gets a 304 until the upstream data actually changes. Partial
+    results (payload "errors") are not cached so the client can retry them.
+    """
+    now = time.time()
+    max_age = 0 if payload.get("errors") else max(0, int(g.get("expires_at", now) - now))
+
+    response = jsonify(with_data_age(payload))
+    response.headers["Cache-Control"] = f"public, max-age={max_age}"
+    response.set_etag(payload_fingerprint(payload))
+    return response.make_conditional(request)
+
+
+def payload_fingerprint(payload):
+    """Hash of a payload's data, used as its ETag and to spot changed readings."""
+    return hashlib.sha1(json.dumps(payload, sort_keys=True, default=str).encode()).hexdigest()
+
+
+def with_data_age(payload):
+    """Add when the oldest upstream data in payload was fetched (see ttl_cache) and its age."""
+    now = time.time()
+    fetched_at = g.get("fetched_at", now)
+    return {
+        **payload,
+        "fetched_at": datetime.fromtimestamp(fetched_at, tz=timezone.utc).isoformat(),
+        "data_age": int(now - fetched_at),
+    }
+
+def place_name(entry):
+    """Readable "name, state, country" label from an OpenWeather geocoding entry."""
+    parts = []
+    for part in (entry.get("name"), entry.get("state"), entry.get("country")):
+        if part and part not in parts:
+            parts.append(part)
+    return ", ".join(parts)
+
+
+@ttl_cache(GEOCODE_TTL, tracks_age=False)
+def geocode_candidates(query, limit=5):
+    """All places OpenWeather matches for a name, best match first."""
+    geo_url = f"http://api.openweathermap.org/geo/1.0/direct?q={query}&limit={limit}&appid={OPENWEATHER_API_KEY}"
+    geo_data = fetch_json(geo_url, "openweather")
+    if not geo_data or not isinstance(geo_data, list):
+        return []
+
+    return [
+        {
+            "name": entry.get("name"),
+            "state": entry.get("state"),
+            "country": entry.get("country"),
+            "lat": entry["lat"],
+            "lon": entry["lon"],
+            "place": place_name(entry),
+        }
+        for entry in geo_data
+    ]
+
+
+def geocode(city):
+    """Look up coordinates and a place name for a city name."""
+    candidates = geocode_candidates(city, limit=1)
+    if not candidates:
         return None, None, None
-    
-    lat = geo_data[0]['lat']
-    lon = geo_data[0]['lon']
 
+    return candidates[0]["lat"], candidates[0]["lon"], candidates[0]["place"]
+
+
+@ttl_cache(GEOCODE_TTL, tracks_age=False)
+def reverse_geocode(lat, lon):
+    """Look up the nearest named place for coordinates; returns (name, place) or None."""
+    geo_url = f"http://api.openweathermap.org/geo/1.0/reverse?lat={lat}&lon={lon}&limit=1&appid={OPENWEATHER_API_KEY}"
+    geo_data = fetch_json(geo_url, "openweather")
+    if not geo_data or not isinstance(geo_data, list):
+        return None
+
+    return geo_data[0].get("name"), place_name(geo_data[0])
+
+
+@ttl_cache(WEATHER_TTL)
+def get_weather_at(lat, lon):
+    """Get current weather from OpenWeather for coordinates.
+
+    Temperatures are °C, wind m/s (`wind_deg` is where it blows from),
+    pressure hPa, visibility metres, humidity and cloud cover %. `sunrise` and
+    `sunset` are Unix times and `timezone` the place's UTC offset in seconds.
+    `icon` is OpenWeather's icon code ("01d"), whose last letter tells day
+    from night. Fields OpenWeather leaves out are None.
+    """
     weather_url = f"http://api.openweathermap.org/data/2.5/weather?lat={lat}&lon={lon}&appid={OPENWEATHER_API_KEY}&units=metric"
-    weather_data = requests.get(weather_url).json()
+    weather_data = fetch_json(weather_url, "openweather")
 
     if not weather_data or "main" not in weather_data:
-        return None, lat, lon
+        return None
 
+    main = weather_data["main"]
+    wind = weather_data.get("wind") or {}
+    sun = weather_data.get("sys") or {}
+    condition = (weather_data.get("weather") or [{}])[0]
     return {
-        "temperature": weather_data['main']['temp'],
-        "humidity": weather_data['main']['humidity'],
-        "weather": weather_data['weather'][0]['description']
-    }, lat, lon
-
-
-def get_aqi(city=None, lat=None, lon=None):
-    """Get AQI from WAQI API by city name or coordinates."""
-    if lat and lon:
-        feed = f"geo:{lat};{lon}"
-    elif city:
-        feed = city
-    else:
+        "temperature": main["temp"],
+        "feels_like": main.get("feels_like"),
+        "temp_min": main.get("temp_min"),
+        "temp_max": main.get("temp_max"),
+        "humidity": main.get("humidity"),
+        "pressure": main.get("pressure"),
+        "visibility": weather_data.get("visibility"),
+        "clouds": (weather_data.get("clouds") or {}).get("all"),
+        "wind_speed": wind.get("speed"),
+        "wind_deg": wind.get("deg"),
+        "wind_gust": wind.get("gust"),
+        "weather": condition.get("description"),
+        "condition": condition.get("main"),
+        "icon": condition.get("icon"),
+        "sunrise": sun.get("sunrise"),
+        "sunset": sun.get("sunset"),
+        "timezone": weather_data.get("timezone"),
+    }
+
+
+def get_uv_index(lat, lon):
+    """Current UV index, or None. It is a nice-to-have, so failures are only logged."""
+    try:
+        return fetch_uv_index(lat, lon)
+    except UpstreamError as error:
+        app.logger.warning("UV index unavailable: %s", error.message)
+        return None
+
+
+@ttl_cache(WEATHER_TTL)
+def fetch_uv_index(lat, lon):
+    """Current UV index from Open-Meteo (OpenWeather's free tier has none)."""
+    uv_url = f"https://api.open-meteo.com/v1/forecast?latitude={lat}&longitude={lon}&current=uv_index"
+    uv_data = fetch_json(uv_url, "openmeteo")
+    return ((uv_data or {}).get("current") or {}).get("uv_index")
+
+
+@ttl_cache(FORECAST_TTL)
+def get_weather_forecast(lat, lon):
+    """Get the 5-day / 3-hour forecast from OpenWeather for coordinates.
+
+    Returns (hourly, daily, offset): the next 24 hours of 3-hour steps, per-day
+    summaries keyed by the location's local date ("YYYY-MM-DD"), and the
+    location's UTC offset in seconds; or None if the forecast is unavailable.
+    """
+    forecast_url = f"http://api.openweathermap.org/data/2.5/forecast?lat={lat}&lon={lon}&appid={OPENWEATHER_API_KEY}&units=metric"
+    forecast_data = fetch_json(forecast_url, "openweather")
+
+    if not forecast_data or "list" not in forecast_data:
         return None
 
+    offset = (forecast_data.get("city") or {}).get("timezone", 0)
+    hourly = []
+    days = {}
+    for step in forecast_data["list"]:
+        entry = {
+            "dt": step["dt"],
+            "temperature": step["main"]["temp"],
+            "humidity": step["main"]["humidity"],
+            "weather": step["weather"][0]["description"],
+            "wind_speed": (step.get("wind") or {}).get("speed"),
+            "pop": step.get("pop", 0),
+        }
+        if len(hourly) < 8:
+            hourly.append(entry)
+
+        date = datetime.fromtimestamp(step["dt"] + offset, tz=timezone.utc).strftime("%Y-%m-%d")
+        days.setdefault(date, []).append(entry)
+
+    daily = {
+        date: {
+            "temp_min": min(e["temperature"] for e in entries),
+            "temp_max": max(e["temperature"] for e in entries),
+            "pop": max(e["pop"] for e in entries),
+            "weather": Counter(e["weather"] for e in entries).most_common(1)[0][0],
+        }
+        for date, entries in days.items()
+    }
+    return hourly, daily, offset
+
+
+def get_waqi_feed(city=None, lat=None, lon=None, station=None):
+    """Fetch the raw WAQI feed by station id, coordinates or city name."""
+    if station:
+        return fetch_waqi_feed(f"@{station}")
+    if lat is not None and lon is not None:
+        return fetch_waqi_feed(f"geo:{lat:.3f};{lon:.3f}")
+    if city:
+        return fetch_waqi_feed(city)
+    return None
+
+
+@ttl_cache(AQI_TTL)
+def fetch_waqi_feed(feed):
+    """One WAQI feed ("@uid", "geo:lat;lon" or a city name), shared by all callers."""
     aqi_url = f"https://api.waqi.info/feed/{feed}/?token={WAQI_API_TOKEN}"
-    aqi_data = requests.get(aqi_url).json()
+    aqi_data = fetch_json(aqi_url, "waqi")
+
+    if not aqi_data:
+        return None
+    if aqi_data.get("status") != "ok":
+        # WAQI answers status "error" both for places it has no station for and
+        # for key or quota problems; only the former just means "no data"
+        if aqi_data.get("data") == "Unknown station":
+            return None
+        raise UpstreamError("waqi", f"returned an error: {aqi_data.get('data')}", retryable=aqi_data.get("data") != "Invalid key")
+
+    return aqi_data["data"]
+
+
+# Pollutants get_aqi looks for; it stops falling back once it has all of them
+AQI_POLLUTANTS = ("pm25", "pm10", "o3", "no2", "so2", "co")
+
+# Litres per mole at 25 °C, 1 atm, and g/mol, for converting gases between
+# mass concentrations and ppb/ppm
+MOLAR_VOLUME = 24.45
+MOLECULAR_WEIGHTS = {"no2": 46.01, "o3": 48.0, "so2": 64.07, "co": 28.01}
+
+# WAQI reports each pollutant as its US AQI sub-index, not a concentration.
+# These are the US EPA breakpoints behind those sub-indices (WAQI still uses
+# the pre-2024 PM2.5 table): each index band, and the concentrations it spans
+# in µg/m³ for particulates, ppb for O3, NO2 and SO2 and ppm for CO. O3 above
+# 300 is on EPA's 1-hour scale.
+US_AQI_BANDS = [(0, 50), (51, 100), (101, 150), (151, 200), (201, 300), (301, 400), (401, 500)]
+WAQI_CONCENTRATIONS = {
+    "pm25": [(0, 12.0), (12.1, 35.4), (35.5, 55.4), (55.5, 150.4), (150.5, 250.4), (250.5, 350.4), (350.5, 500.4)],
+    "pm10": [(0, 54), (55, 154), (155, 254), (255, 354), (355, 424), (425, 504), (505, 604)],
+    "o3": [(0, 54), (55, 70), (71, 85), (86, 105), (106, 200), (405, 504), (505, 604)],
+    "no2": [(0, 53), (54, 100), (101, 360), (361, 649), (650, 1249), (1250, 1649), (1650, 2049)],
+    "so2": [(0, 35), (36, 75), (76, 185), (186, 304), (305, 604), (605, 804), (805, 1004)],
+    "co": [(0, 4.4), (4.5, 9.4), (9.5, 12.4), (12.5, 15.4), (15.5, 30.4), (30.5, 40.4), (40.5, 50.4)],
+}
+
+# Our pollutant keys -> field names in the OpenWeather and Open-Meteo responses
+OPENWEATHER_COMPONENTS = {"pm25": "pm2_5", "pm10": "pm10", "o3": "o3", "no2": "no2", "so2": "so2", "co": "co"}
+OPEN_METEO_FIELDS = {
+    "pm25": "pm2_5", "pm10": "pm10", "o3": "ozone",
+    "no2": "nitrogen_dioxide", "so2": "sulphur_dioxide", "co": "carbon_monoxide",
+}
+
+
+def from_micrograms(pollutant, value):
+    """Convert a µg/m³ concentration to the unit readings are sent in.
+
+    Particulates stay in µg/m³, CO becomes mg/m³ and the other gases ppb, so
+    every provider's readings share the units the frontend expects (its
+    POLLUTANT_META).
+    """
+    if pollutant == "co":
+        return round(value / 1000, 3)
+    if pollutant in MOLECULAR_WEIGHTS:
+        return round(value * MOLAR_VOLUME / MOLECULAR_WEIGHTS[pollutant], 1)
+    return round(value, 1)
+
+
+def from_us_aqi(pollutant, index):
+    """The concentration behind a WAQI sub-index, in the units of from_micrograms.
+
+    Inverts the EPA interpolation within the sub-index's band of
+    WAQI_CONCENTRATIONS; past 500 the top band's slope is kept.
+    """
+    bands = list(zip(US_AQI_BANDS, WAQI_CONCENTRATIONS[pollutant]))
+    # Sub-indices are whole numbers; one between bands (50.5) starts the next
+    (i_lo, i_hi), (c_lo, c_hi) = next((band for band in bands if index <= band[0][1]), bands[-1])
+    value = c_lo + (c_hi - c_lo) / (i_hi - i_lo) * (max(index, i_lo) - i_lo)
+    if pollutant == "co":
+        return round(value * MOLECULAR_WEIGHTS["co"] / MOLAR_VOLUME, 3)
+    return round(value, 1)
+
 
-    if not aqi_data or aqi_data.get("status") != "ok":
+# Each provider takes (city, lat, lon, station) and returns a reading as
+# {aqi_us, dominant_pollutant, pollutants, station} (station: {uid, name} or
+# None for modelled data), or None if it has nothing for the place. Providers
+# raise UpstreamError when their service fails.
+
+def waqi_reading(city=None, lat=None, lon=None, station=None):
+    """Nearest WAQI monitoring station, by station id, coordinates or city name."""
+    data = get_waqi_feed(city=city, lat=lat, lon=lon, station=station)
+    if not data:
         return None
 
-    data = aqi_data["data"]
+    # iaqi also carries weather measurements (t, h, w...), which stay as they are
+    pollutants = {}
+    for k, entry in (data.get("iaqi") or {}).items():
+        value = entry.get("v")
+        pollutants[k] = from_us_aqi(k, value) if k in WAQI_CONCENTRATIONS and value is not None else value
+
     return {
         "aqi_us": data.get("aqi"),
         "dominant_pollutant": data.get("dominentpol"),
-        "pollutants": {
-            k: v.get("v") for k, v in (data.get("iaqi") or {}).items()
+        "pollutants": pollutants,
+        "station": {
+            "uid": data.get("idx"),
+            "name": (data.get("city") or {}).get("name")
         }
     }
 
 
-@app.route("/environment", methods=["GET"])
-def environment_data():
-    city = request.args.get("city")
+def openweather_reading(city=None, lat=None, lon=None, station=None):
+    """OpenWeather's modelled air pollution; needs coordinates."""
+    if lat is None or lon is None:
+        return None
+    return fetch_openweather_air(lat, lon)
+
+
+@ttl_cache(AQI_TTL)
+def fetch_openweather_air(lat, lon):
+    """Current OpenWeather air pollution components at coordinates."""
+    air_url = f"http://api.openweathermap.org/data/2.5/air_pollution?lat={lat}&lon={lon}&appid={OPENWEATHER_API_KEY}"
+    air_data = fetch_json(air_url, "openweather")
+
+    entries = (air_data or {}).get("list") or []
+    components = (entries[0].get("components") or {}) if entries else {}
+    pollutants = {
+        k: from_micrograms(k, components[field])
+        for k, field in OPENWEATHER_COMPONENTS.items() if components.get(field) is not None
+    }
+    if not pollutants:
+        return None
+
+    # OpenWeather's own index runs 1-5, not US AQI; the frontend works the
+    # index out from the concentrations instead
+    return {"aqi_us": None, "dominant_pollutant": None, "pollutants": pollutants, "station": None}
+
+
+def open_meteo_reading(city=None, lat=None, lon=None, station=None):
+    """Open-Meteo's modelled air quality (CAMS); needs coordinates, no API key."""
+    if lat is None or lon is None:
+        return None
+    return fetch_open_meteo_air(lat, lon)
+
+
+@ttl_cache(AQI_TTL)
+def fetch_open_meteo_air(lat, lon):
+    """Current Open-Meteo air quality and US AQI at coordinates."""
+    fields = ",".join(["us_aqi", *OPEN_METEO_FIELDS.values()])
+    air_url = f"https://air-quality-api.open-meteo.com/v1/air-quality?latitude={lat}&longitude={lon}&current={fields}"
+    air_data = fetch_json(air_url, "openmeteo")
+
+    current = (air_data or {}).get("current") or {}
+    pollutants = {
+        k: from_micrograms(k, current[field])
+        for k, field in OPEN_METEO_FIELDS.items() if current.get(field) is not None
+    }
+    if not pollutants:
+        return None
+
+    return {"aqi_us": current.get("us_aqi"), "dominant_pollutant": None, "pollutants": pollutants, "station": None}
+
+
+AQI_PROVIDERS = {
+    "waqi": waqi_reading,
+    "openweather": openweather_reading,
+    "openmeteo": open_meteo_reading,
+}
+
+_unknown_providers = set(AQI_PROVIDER_ORDER) - set(AQI_PROVIDERS)
+if _unknown_providers or not AQI_PROVIDER_ORDER:
+    raise RuntimeError(f"AQI_PROVIDERS must list some of {', '.join(AQI_PROVIDERS)}; got {os.getenv('AQI_PROVIDERS')!r}")
+
+
+def get_aqi(city=None, lat=None, lon=None, station=None):
+    """Air quality from the providers in AQI_PROVIDER_ORDER.
+
+    The first provider with a reading supplies the AQI, dominant pollutant and
+    station; later ones are asked only for pollutants still missing. "source"
+    names the provider and station behind the AQI, and "sources" the one
+    behind each pollutant value. A failing provider is skipped; its error is
+    raised only if no provider has a reading.
+    """
+    aqi = None
+    failures = []
+    for name in AQI_PROVIDER_ORDER:
+        if aqi and all(k in aqi["pollutants"] for k in AQI_POLLUTANTS):
+            break
+        try:
+            reading = AQI_PROVIDERS[name](city=city, lat=lat, lon=lon, station=station)
+        except UpstreamError as error:
+            failures.append(error)
+            continue
+        if not reading:
+            continue
+
+        source = {"provider": name, "station": (reading["station"] or {}).get("name")}
+        if aqi is None:
+            aqi = {**reading, "source": source, "sources": {k: source for k in reading["pollutants"]}}
+            continue
+        for k, value in reading["pollutants"].items():
+            if k not in aqi["pollutants"]:
+                aqi["pollutants"][k] = value
+                aqi["sources"][k] = source
+
+    if aqi is None and failures:
+        raise failures[0]
+    for error in failures:
+        app.logger.warning("Skipped air quality provider: %s", error.message)
+    return aqi
+
+
+def get_aqi_forecast(city=None, lat=None, lon=None, station=None):
+    """Daily pollutant forecast from the WAQI feed, keyed by date.
+
+    Each day maps pollutant keys (pm25, pm10, o3, uvi) to {avg, min, max}.
+    WAQI forecasts pollutants as sub-indices too; they are sent as
+    concentrations, like current readings (see from_us_aqi).
+    """
+    data = get_waqi_feed(city=city, lat=lat, lon=lon, station=station)
+    if not data:
+        return {}
+
+    days = {}
+    for pollutant, entries in ((data.get("forecast") or {}).get("daily") or {}).items():
+        for entry in entries:
+            days.setdefault(entry["day"], {})[pollutant] = {
+                field: from_us_aqi(pollutant, entry[field])
+                if pollutant in WAQI_CONCENTRATIONS and entry.get(field) is not None else entry.get(field)
+                for field in ("avg", "min", "max")
+            }
+    return days
+
+
+@app.route("/geocode", methods=["GET"])
+def geocode_suggestions():
+    query = (request.args.get("q") or "").strip()
+    if len(query) < 2:
+        raise ApiError("INVALID_REQUEST", "Query must be at least 2 characters")
+
+    try:
+        limit = min(max(int(request.args.get("limit", 5)), 1), 10)
+    except ValueError:
+        raise ApiError("INVALID_REQUEST", "limit must be a number")
+
+    return jsonify({"results": geocode_candidates(query, limit)})
+
+
+def parse_coordinates(args):
+    """Read lat/lon query parameters; returns (lat, lon)."""
+    try:
+        lat = float(args.get("lat"))
+        lon = float(args.get("lon"))
+    except (TypeError, ValueError):
+        raise ApiError("INVALID_REQUEST", "lat and lon must be numbers")
+
+    if not -90 <= lat <= 90 or not -180 <= lon <= 180:
+        raise ApiError("INVALID_REQUEST", "lat or lon out of range")
+
+    return lat, lon
 
-    if not city:
-        return jsonify({"error": "City parameter is required"}), 400
 
-    # Get weather
-    weather, lat, lon = get_weather(city)
-    if not lat or not lon:
-        return jsonify({"error": "City not found"}), 404
+@ttl_cache(AQI_TTL)
+def get_stations(south, west, north, east):
+    """Monitoring stations inside a bounding box from the WAQI map API."""
+    map_url = f"https://api.waqi.info/map/bounds/?latlng={south},{west},{north},{east}&token={WAQI_API_TOKEN}"
+    map_data = fetch_json(map_url, "waqi")
 
-    # Get AQI
-    aqi = get_aqi(city=city, lat=lat, lon=lon)
+    if not map_data or map_data.get("status") != "ok":
+        raise UpstreamError("waqi", f"returned an error: {(map_data or {}).get('data')}")
 
-    return jsonify({
+    stations = []
+    for entry in map_data.get("data") or []:
+        # Stations without a current reading report "-"
+        try:
+            aqi = int(entry.get("aqi"))
+        except (TypeError, ValueError):
+            aqi = None
+        stations.append({
+            "uid": entry.get("uid"),
+            "name": (entry.get("station") or {}).get("name"),
+            "lat": entry.get("lat"),
+            "lon": entry.get("lon"),
+            "aqi": aqi,
+            "time": (entry.get("station") or {}).get("time"),
+        })
+    return stations
+
+
+def resolve_location(args):
+    """Work out which place a request is about.
+
+    A WAQI station id (picked on the map) wins, then coordinates (from
+    geolocation or a picked /geocode suggestion), then a city name; a city sent
+    alongside a station or coordinates only labels the result.
+
+    Raises ApiError for bad or unknown locations. If geocoding a city name fails
+    upstream, lat/lon are None and the failure is listed in "errors", so air
+    quality (which WAQI can look up by name) can still be served.
+    """
+    city = args.get("city")
+    station = args.get("station")
+
+    if station:
+        if not station.isdigit():
+            raise ApiError("INVALID_REQUEST", "station must be a numeric station id")
+
+        data = get_waqi_feed(station=station)
+        geo = ((data or {}).get("city") or {}).get("geo")
+        if not geo:
+            raise ApiError("STATION_NOT_FOUND", "Station not found", 404)
+
+        city = city or data["city"].get("name") or f"Station {station}"
+        return {"city": city, "place": city, "lat": geo[0], "lon": geo[1], "station": station, "errors": []}
+
+    if args.get("lat") is not None or args.get("lon") is not None:
+        lat, lon = parse_coordinates(args)
+        fallback = f"{lat:.4f}, {lon:.4f}"
+
+        if city:
+            place = city
+        else:
+            # Without a place name the coordinates themselves label the result
+            try:
+                name, place = reverse_geocode(lat, lon) or (None, None)
+            except UpstreamError:
+                name, place = None, None
+            city = name or fallback
+            place = place or fallback
+    else:
+        if not city:
+            raise ApiError("INVALID_REQUEST", "City parameter is required")
+
+        try:
+            lat, lon, place = geocode(city)
+        except UpstreamError as error:
+            # Without coordinates there is no weather; WAQI can still look the city up
+            return {"city": city, "place": city, "lat": None, "lon": None, "station": None, "errors": [partial_error(error, "weather")]}
+        if lat is None or lon is None:
+            raise ApiError("CITY_NOT_FOUND", f"City not found: {city}", 404)
+
+    return {"city": city, "place": place, "lat": lat, "lon": lon, "station": None, "errors": []}
+
+
+def environment_payload(args):
+    """Weather and air quality for the place described by args (see resolve_location)."""
+    location = resolve_location(args)
+    city, place, lat, lon = location["city"], location["place"], location["lat"], location["lon"]
+    errors = list(location["errors"])
+
+    # Weather and AQI come from different services; if one fails the other is
+    # still returned, with the failure listed in "errors"
+    weather = None
+    if lat is not None:
+        try:
+            weather = get_weather_at(lat, lon)
+            if not weather:
+                errors.append(partial_error(ApiError("NO_WEATHER_DATA", "No weather data for this location", upstream="openweather"), "weather"))
+        except UpstreamError as error:
+            errors.append(partial_error(error, "weather"))
+    if weather:
+        weather = {**weather, "uv_index": get_uv_index(lat, lon)}
+
+    aqi = None
+    try:
+        aqi = get_aqi(city=city, lat=lat, lon=lon, station=location["station"])
+        if not aqi:
+            errors.append(partial_error(ApiError("NO_AQI_DATA", "No air quality station covers this location", upstream="waqi"), "aqi"))
+    except UpstreamError as error:
+        errors.append(partial_error(error, "aqi"))
+
+    if not weather and not aqi:
+        failed = [e for e in errors if e["code"].startswith("UPSTREAM_")]
+        if failed:
+            raise ApiError(
+                failed[0]["code"], "Weather and air quality data are both unavailable",
+                504 if failed[0]["code"] == "UPSTREAM_TIMEOUT" else 502,
+                upstream=failed[0]["upstream"], retryable=any(e["retryable"] for e in failed),
+            )
+
+    return {
         "city": city,
+        "place": place,
+        "coordinates": {"lat": lat, "lon": lon} if lat is not None else None,
         "weather_data": weather if weather else {},
-        "aqi_data": aqi if aqi else {}
+        "aqi_data": aqi if aqi else {},
+        "errors": errors
+    }
+
+
+@app.route("/environment", methods=["GET"])
+@rate_limited
+def environment_data():
+    return cacheable_json(environment_payload(request.args))
+
+
+def stream_key(query):
+    """Normalize an /environment query string so equivalent subscriptions share a poller."""
+    return tuple(sorted((k, cache_key_part(v)) for k, v in parse_qsl(query)))
+
+
+class StreamHub:
+    """Fans /environment readings out to /stream subscribers.
+
+    Each subscribed place gets one poller thread, however many dashboards
+    follow it. The poller re-reads the place every STREAM_POLL_INTERVAL seconds
+    and pushes ("reading", key, payload) or ("failed", key, envelope) to every
+    subscriber queue when the result changes; it stops once nobody listens.
+    New subscribers get the latest result straight away.
+    """
+
+    def __init__(self):
+        self._lock = threading.Lock()
+        self._subscribers = defaultdict(set)
+        self._latest = {}
+        self._pollers = set()
+
+    def subscribe(self, queries):
+        """Register a queue for the given query strings and return it."""
+        inbox = queue.Queue()
+        with self._lock:
+            for query in queries:
+                key = stream_key(query)
+                if key not in self._pollers:
+                    self._pollers.add(key)
+                    threading.Thread(target=self._poll, args=(key, query), daemon=True).start()
+                self._subscribers[key].add(inbox)
+                if key in self._latest:
+                    inbox.put(self._latest[key][1])
+        return inbox
+
+    def unsubscribe(self, inbox, queries):
+        with self._lock:
+            for query in queries:
+                self._subscribers[stream_key(query)].discard(inbox)
+
+    def _poll(self, key, query):
+        while True:
+            event = self._read(key, query)
+            fingerprint = payload_fingerprint({k: v for k, v in event[2].items() if k not in ("fetched_at", "data_age")})
+            with self._lock:
+                subscribers = self._subscribers[key]
+                if not subscribers:
+                    del self._subscribers[key]
+                    self._latest.pop(key, None)
+                    self._pollers.discard(key)
+                    return
+                if self._latest.get(key, (None,))[0] != fingerprint:
+                    self._latest[key] = (fingerprint, event)
+                    for inbox in subscribers:
+                        inbox.put(event)
+            time.sleep(STREAM_POLL_INTERVAL)
+
+    def _read(self, key, query):
+        # Pollers run outside any request; the app context gives ttl_cache its g
+        with app.app_context():
+            try:
+                return ("reading", key, with_data_age(environment_payload(dict(parse_qsl(query)))))
+            except ApiError as error:
+                return ("failed", key, {"error": error.to_dict(), "status": error.status})
+            except Exception as error:
+                app.logger.exception("Stream poll failed for %s", query)
+                return ("failed", key, {"error": ApiError("INTERNAL_SERVER_ERROR", "Could not read this location", 500, retryable=True).to_dict(), "status": 500})
+
+
+stream_hub = StreamHub()
+
+
+@app.route("/stream", methods=["GET"])
+@rate_limited
+def stream_updates():
+    """Server-Sent Events for the /environment queries given as repeated q= parameters.
+
+    "reading" events carry {query, ...the /environment payload}; "failed" events
+    carry {query, error, status} when a lookup fails, `status` being the HTTP
+    status /environment would have answered with ("error" is reserved by
+    EventSource).
+    """
+    queries = list(dict.fromkeys(q for q in request.args.getlist("q") if q.strip()))
+    if not queries:
+        raise ApiError("INVALID_REQUEST", "At least one q parameter is required")
+    if len(queries) > MAX_STREAM_QUERIES:
+        raise ApiError("INVALID_REQUEST", f"At most {MAX_STREAM_QUERIES} queries per stream")
+    # Events name the query as this client sent it
+    names = {stream_key(q): q for q in queries}
+
+    inbox = stream_hub.subscribe(queries)
+
+    def events():
+        try:
+            yield "retry: 5000\n\n"
+            while True:
+                try:
+                    kind, key, body = inbox.get(timeout=STREAM_KEEPALIVE)
+                except queue.Empty:
+                    # Comment line; keeps proxies from closing an idle connection
+                    yield ": keepalive\n\n"
+                    continue
+                if key in names:
+                    yield f"event: {kind}\ndata: {json.dumps({'query': names[key], **body}, default=str)}\n\n"
+        finally:
+            stream_hub.unsubscribe(inbox, queries)
+
+    return Response(events(), mimetype="text/event-stream", headers={
+        "Cache-Control": "no-cache",
+        "X-Accel-Buffering": "no",
+    })
+
+
+@app.route("/stations", methods=["GET"])
+def stations_in_bounds():
+    """Stations in ?bounds=south,west,north,east (degrees), for the map view."""
+    try:
+        south, west, north, east = (float(v) for v in (request.args.get("bounds") or "").split(","))
+    except ValueError:
+        raise ApiError("INVALID_REQUEST", "bounds must be south,west,north,east")
+
+    if not (-90 <= south <= north <= 90 and -180 <= west <= 180 and -180 <= east <= 180):
+        raise ApiError("INVALID_REQUEST", "bounds out of range")
+
+    return cacheable_json({"stations": get_stations(south, west, north, east)})
+
+
+@app.route("/forecast", methods=["GET"])
+def forecast_data():
+    location = resolve_location(request.args)
+    if location["lat"] is None:
+        # Forecasts are looked up by coordinates, so a failed geocode is fatal here
+        error = location["errors"][0]
+        raise ApiError(
+            error["code"], error["message"], 504 if error["code"] == "UPSTREAM_TIMEOUT" else 502,
+            upstream=error["upstream"], retryable=error["retryable"],
+        )
+
+    lat, lon = location["lat"], location["lon"]
+    errors = []
+    try:
+        hourly, weather_days, offset = get_weather_forecast(lat, lon) or ([], {}, 0)
+    except UpstreamError as error:
+        hourly, weather_days, offset = [], {}, 0
+        errors.append(partial_error(error, "weather"))
+    try:
+        aqi_days = get_aqi_forecast(city=location["city"], lat=lat, lon=lon, station=location["station"])
+    except UpstreamError as error:
+        aqi_days = {}
+        errors.append(partial_error(error, "aqi"))
+
+    # One entry per date either source covers, oldest first. WAQI also lists a
+    # few past days; the weather forecast always starts today, so cut there.
+    first_day = min(weather_days) if weather_days else ""
+    daily = [
+        {
+            "date": date,
+            "weather": weather_days.get(date),
+            "pollutants": aqi_days.get(date, {}),
+        }
+        for date in sorted(set(weather_days) | set(aqi_days))
+        if date >= first_day
+    ]
+
+    return cacheable_json({
+        "city": location["city"],
+        "place": location["place"],
+        "coordinates": {"lat": lat, "lon": lon},
+        "timezone": offset,
+        "hourly": hourly,
+        "daily": daily,
+        "errors": errors
     })
 
 
 if __name__ == "__main__":
+    if UPSTREAM_MODE == "mock":
+        app.logger.warning("UPSTREAM_MODE=mock: serving fixtures from %s", MOCK_FIXTURES)
     app.run(debug=True)
\ No newline at end of file
@@ -0,0 +1,102 @@
+// Service worker: keeps the app shell and the last reading for each place
+// available offline. Registered from main.jsx in production builds only.
+//
+//   - page navigations: network first, falling back to the cached index.html
+//   - other same-origin GETs (hashed build assets, icons): cache first; assets
+//     a new index.html no longer references are trimmed
+//   - /environment: network first; when the network is unreachable the last
+//     successful response for the same query is returned with `stale: true`
+//
+// Bump VERSION when the caching rules change so old caches are dropped.
+
+const VERSION = "v1";
+const SHELL_CACHE = `duniya-shell-${VERSION}`;
+const DATA_CACHE = `duniya-data-${VERSION}`;
+const SHELL = ["/", "/index.html", "/manifest.webmanifest", "/icon-192.png", "/icon-512.png"];
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL)));
+    self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+    const keep = [SHELL_CACHE, DATA_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => !keep.includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    // Live update streams (/stream) go straight to the network
+    if (request.method !== "GET" || request.headers.get("Accept") === "text/event-stream") return;
+    const url = new URL(request.url);
+
+    if (url.pathname.endsWith("/environment")) {
+        event.respondWith(environment(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(request.mode === "navigate" ? page(request) : asset(request));
+    }
+});
+
+async function page(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            const previous = await cache.match("/index.html");
+            await cache.put("/index.html", response.clone());
+            const html = await response.clone().text();
+            if (!previous || (await previous.text()) !== html) await trimAssets(cache, html);
+        }
+        return response;
+    } catch (err) {
+        const cached = await caches.match("/index.html");
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+async function asset(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(SHELL_CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// A new index.html means a new build: drop the hashed assets it no longer
+// references so old builds don't pile up in the cache. Lazy chunks of the new
+// build are cached again the first time they load.
+async function trimAssets(cache, html) {
+    const requests = await cache.keys();
+    await Promise.all(requests
+        .filter(request => {
+            const path = new URL(request.url).pathname;
+            return path.startsWith("/assets/") && !html.includes(path);
+        })
+        .map(request => cache.delete(request)));
+}
+
+// Only a network failure falls back to the cache; HTTP errors (404, 429, …)
+// reach the page untouched so it can show the right message
+async function environment(request) {
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request);
+        if (!cached) throw err;
+        const body = await cached.json();
+        return new Response(JSON.stringify({ ...body, stale: true }), {
+            headers: { "Content-Type": "application/json" },
+        });
+    }
+}
@@ -0,0 +1,73 @@
+import React from "react";
+import { Activity, AlertTriangle, Droplet, Thermometer, Wind } from "lucide-react";
+import { motion } from "framer-motion";
+import { headlineAqi } from "../utils/aqi";
+import { useLocale } from "../i18n/context";
+import AqiHeadline from "./AqiHeadline";
+import WeatherValue from "./WeatherValue";
+
+// Tiles under the headline: weather field, icon, caption key and colors.
+// Pressure is shown without its unit, which goes in the caption instead.
+const STATS = [
+    {
+        field: "temperature", Icon: Thermometer, caption: "metric.temperature",
+        tile: "from-blue-500/20 to-blue-600/20 border-blue-500/30", icon: "text-blue-600 dark:text-blue-400", text: "text-blue-800 dark:text-blue-200",
+    },
+    {
+        field: "humidity", Icon: Droplet, caption: "metric.humidity",
+        tile: "from-cyan-500/20 to-cyan-600/20 border-cyan-500/30", icon: "text-cyan-600 dark:text-cyan-400", text: "text-cyan-800 dark:text-cyan-200",
+    },
+    {
+        field: "wind_speed", Icon: Wind, caption: "metric.windSpeed",
+        tile: "from-green-500/20 to-green-600/20 border-green-500/30", icon: "text-green-600 dark:text-green-400", text: "text-green-800 dark:text-green-200",
+    },
+    {
+        field: "pressure", Icon: Activity, caption: "metric.pressureUnit", bare: true,
+        tile: "from-purple-500/20 to-purple-600/20 border-purple-500/30", icon: "text-purple-600 dark:text-purple-400", text: "text-purple-800 dark:text-purple-200",
+    },
+];
+
+// Overview of an /environment response: the AQI headline, a row of weather
+// tiles and the dominant pollutant. `narrow` stacks the tiles for the sidebar.
+export default function AirOverview({ data, standard, narrow = false }) {
+    const { t, label, measure } = useLocale();
+    const { dominant } = headlineAqi(standard, data.aqi_data);
+
+    return (
+        <>
+            <AqiHeadline name={data.place || data.city} aqiData={data.aqi_data} standard={standard} />
+
+            <div className={`grid grid-cols-1 gap-4 ${narrow ? "" : "sm:grid-cols-2 lg:grid-cols-4"}`}>
+                {STATS.map(stat => (
+                    <div key={stat.field} className={`p-4 bg-gradient-to-r rounded-xl border ${stat.tile}`}>
+                        <div className="flex items-center gap-3">
+                            <stat.Icon className={`w-8 h-8 ${stat.icon}`} aria-hidden="true" />
+                            <div>
+                                <WeatherValue data={data} field={stat.field} bare={stat.bare} className="block text-2xl font-bold text-slate-900 dark:text-white" />
+                                <div className={`text-xs ${stat.text}`}>{t(stat.caption, stat.bare ? { unit: measure("p").unit } : null)}</div>
+                            </div>
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {dominant && (
+                <motion.div
+                    initial={{ opacity: 0, scale: 0.95 }}
+                    animate={{ opacity: 1, scale: 1 }}
+                    className="p-4 bg-gradient-to-r from-orange-500/20 to-red-500/20 border border-orange-500/30 rounded-xl"
+                >
+                    <div className="flex items-center gap-3">
+                        <AlertTriangle className="w-6 h-6 text-orange-600 dark:text-orange-400" aria-hidden="true" />
+                        <div>
+                            <div className="font-semibold text-slate-900 dark:text-white">{t("dominant.title")}</div>
+                            <div className="text-orange-800 dark:text-orange-200">
+                                {t("dominant.body", { pollutant: label(dominant) })}
+                            </div>
+                        </div>
+                    </div>
+                </motion.div>
+            )}
+        </>
+    );
+}
@@ -0,0 +1,47 @@
+import React from "react";
+import { AlertTriangle, Clock } from "lucide-react";
+import { describeAlert } from "../utils/alerts";
+import { useLocale } from "../i18n/context";
+
+export default function AlertHistory({ alerts, onClear }) {
+    const l10n = useLocale();
+    const { t, formatDateTime } = l10n;
+
+    return (
+        <div className="p-6 rounded-2xl bg-gradient-to-br from-white/90 dark:from-slate-800/40 to-slate-50/90 dark:to-slate-900/60 backdrop-blur-sm border border-slate-300 dark:border-slate-600/50 shadow-2xl">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-slate-900 dark:text-white flex items-center gap-2">
+                    <AlertTriangle className="w-5 h-5 text-orange-600 dark:text-orange-400" />
+                    {t("alerts.title")}
+                </h3>
+                {alerts.length > 0 && (
+                    <button
+                        onClick={onClear}
+                        className="text-sm text-slate-500 dark:text-slate-400 hover:text-slate-900 dark:hover:text-white transition"
+                    >
+                        {t("alerts.clear")}
+                    </button>
+                )}
+            </div>
+
+            {alerts.length === 0 ? (
+                <div className="text-sm text-slate-500 dark:text-slate-400">{t("alerts.empty")}</div>
+            ) : (
+                <div className="space-y-2 max-h-96 overflow-y-auto">
+                    {alerts.map(alert => (
+                        <div key={alert.id} className="p-3 bg-slate-900/5 dark:bg-white/5 rounded-lg">
+                            <div className="flex items-center justify-between gap-2">
+                                <span className="font-semibold text-slate-900 dark:text-white text-sm">{alert.city}</span>
+                                <span className="flex items-center gap-1 text-xs text-slate-500 dark:text-slate-400">
+                                    <Clock className="w-3 h-3" />
+                                    {formatDateTime(alert.timestamp)}
+                                </span>
+                            </div>
+                            <div className="text-sm text-orange-800 dark:text-orange-200 mt-1">{describeAlert(alert, l10n)}</div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,85 @@
+import React from "react";
+import { Eye, Heart, Info, Settings, Shield } from "lucide-react";
+import { motion } from "framer-motion";
+import { categoryPattern, getStandard } from "../utils/aqi";
+import { useLocale } from "../i18n/context";
+
+// Both guide lists have six entries in the catalogs (guide.protection.n, guide.features.n)
+const GUIDE_TIPS = [1, 2, 3, 4, 5, 6];
+
+// The categories of `standard` with what they mean, general protection tips
+// and a tour of the dashboard. `narrow` stacks the three columns.
+export default function AqiGuide({ standard, onClose, narrow = false }) {
+    const { t, categoryLabel } = useLocale();
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -20 }}
+            className="p-6 rounded-2xl bg-gradient-to-br from-white/90 dark:from-slate-800/40 to-slate-50/90 dark:to-slate-900/60 backdrop-blur-sm border border-slate-300 dark:border-slate-600/50 shadow-2xl"
+        >
+            <div className="flex items-center justify-between mb-6">
+                <h3 className="text-2xl font-bold text-slate-900 dark:text-white flex items-center gap-3">
+                    <Shield className="w-6 h-6 text-blue-600 dark:text-blue-400" aria-hidden="true" />
+                    {t("guide.title")}
+                </h3>
+                <button
+                    onClick={onClose}
+                    className="text-slate-500 dark:text-slate-400 hover:text-slate-900 dark:hover:text-white transition"
+                    aria-label={t("header.hideGuide")}
+                >
+                    ×
+                </button>
+            </div>
+
+            <div className={`grid grid-cols-1 gap-6 ${narrow ? "" : "md:grid-cols-2 lg:grid-cols-3"}`}>
+                <div className="space-y-4">
+                    <h4 className="font-semibold text-blue-600 dark:text-blue-400 flex items-center gap-2">
+                        <Eye className="w-5 h-5" aria-hidden="true" />
+                        {t("guide.aqi")}
+                    </h4>
+                    <div className="space-y-3 text-sm text-slate-600 dark:text-slate-300">
+                        {getStandard(standard).categories.map((c, i) => (
+                            <div key={c.cat} className="flex items-center gap-3">
+                                <div className={`w-4 h-4 ${c.color} ${categoryPattern(c)} rounded`} aria-hidden="true"></div>
+                                <span>
+                                    <strong>{c.range[1] === null ? `${c.range[0]}+` : `${c.range[0]}-${c.range[1]}`} {categoryLabel(c.cat)}:</strong> {t(`desc.${standard}.${i}`, null, c.description)}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="space-y-4">
+                    <h4 className="font-semibold text-green-600 dark:text-green-400 flex items-center gap-2">
+                        <Heart className="w-5 h-5" aria-hidden="true" />
+                        {t("guide.protection")}
+                    </h4>
+                    <div className="space-y-2 text-sm text-slate-600 dark:text-slate-300">
+                        {GUIDE_TIPS.map(n => <p key={n}>• {t(`guide.protection.${n}`)}</p>)}
+                    </div>
+                </div>
+
+                <div className="space-y-4">
+                    <h4 className="font-semibold text-purple-600 dark:text-purple-400 flex items-center gap-2">
+                        <Settings className="w-5 h-5" aria-hidden="true" />
+                        {t("guide.features")}
+                    </h4>
+                    <div className="space-y-2 text-sm text-slate-600 dark:text-slate-300">
+                        {GUIDE_TIPS.map(n => <p key={n}>• {t(`guide.features.${n}`)}</p>)}
+                    </div>
+                </div>
+            </div>
+
+            <div className="mt-6 p-4 bg-blue-500/10 border border-blue-500/30 rounded-lg">
+                <div className="flex items-start gap-3">
+                    <Info className="w-5 h-5 text-blue-600 dark:text-blue-400 mt-0.5" aria-hidden="true" />
+                    <div className="text-sm text-blue-800 dark:text-blue-200">
+                        <strong>{t("guide.disclaimerLabel")}</strong> {t("guide.disclaimer")}
+                    </div>
+                </div>
+            </div>
+        </motion.div>
+    );
+}
@@ -0,0 +1,39 @@
+import React from "react";
+import { MapPin } from "lucide-react";
+import { getStandard, headlineAqi } from "../utils/aqi";
+import { useLocale } from "../i18n/context";
+
+// Place name with the overall index and category under the chosen standard,
+// and where the reading came from
+export default function AqiHeadline({ name, aqiData, standard }) {
+    const { t, categoryLabel, standardName, sourceLabel } = useLocale();
+    const headline = headlineAqi(standard, aqiData);
+
+    return (
+        <div className="flex items-start justify-between mb-6">
+            <div>
+                <h2 className="text-2xl font-bold text-slate-900 dark:text-white flex items-center gap-3">
+                    <MapPin className="w-6 h-6 text-blue-600 dark:text-blue-400" />
+                    {name || t("location.unknown")}
+                </h2>
+                <p className="text-slate-600 dark:text-slate-300 mt-1">{t("aqi.heading", { name: standardName(standard) })}</p>
+                {aqiData?.source && (
+                    <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">{t("source.label", { source: sourceLabel(aqiData.source) })}</p>
+                )}
+            </div>
+
+            <div className="text-right">
+                <div className="text-5xl font-extrabold bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+                    {headline.aqi ?? "—"}
+                </div>
+                <div className="text-sm text-slate-600 dark:text-slate-300 mt-1">{t("aqi.label", { standard: getStandard(standard).label })}</div>
+                <div className={`inline-block px-3 py-1 rounded-full text-xs font-semibold mt-2 ${headline.category.color} ${headline.category.text}`}>
+                    {categoryLabel(headline.category.cat)}
+                </div>
+                {headline.aqi !== null && !headline.complete && (
+                    <div className="text-xs text-amber-700 dark:text-amber-300 mt-2">{t("aqi.indicative")}</div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,54 @@
+import React from "react";
+import { describe, expect, it } from "vitest";
+import { screen } from "@testing-library/react";
+import { headlineAqi } from "../utils/aqi";
+import { createLocaleValue } from "../i18n/context";
+import { fetchEnvironment, renderWithLocale } from "../test/utils";
+import AqiHeadline from "./AqiHeadline";
+
+describe("AqiHeadline", () => {
+    it("shows the place with its index and category under the standard", async () => {
+        const data = await fetchEnvironment("city=London");
+        const { aqi, category } = headlineAqi("us_epa", data.aqi_data);
+        renderWithLocale(<AqiHeadline name={data.place} aqiData={data.aqi_data} standard="us_epa" />);
+
+        expect(screen.getByRole("heading").textContent).toBe("London, England, GB");
+        expect(screen.getByText(String(aqi))).toBeTruthy();
+        expect(screen.getByText(category.cat)).toBeTruthy();
+        expect(screen.getByText("AQI (US EPA)")).toBeTruthy();
+        expect(screen.getByText("Source: WAQI · London Bloomsbury, United Kingdom")).toBeTruthy();
+        expect(screen.queryByText(/Indicative/)).toBeNull();
+    });
+
+    it("recomputes the index for another standard", async () => {
+        const data = await fetchEnvironment("city=London");
+        renderWithLocale(<AqiHeadline name={data.place} aqiData={data.aqi_data} standard="uk_daqi" />);
+
+        expect(screen.getByText(String(headlineAqi("uk_daqi", data.aqi_data).aqi))).toBeTruthy();
+        expect(screen.getByText("AQI (UK DAQI)")).toBeTruthy();
+    });
+
+    it("marks an index from too few pollutants as indicative", async () => {
+        const data = await fetchEnvironment("city=Nairobi");
+        renderWithLocale(<AqiHeadline name={data.place} aqiData={data.aqi_data} standard="in_naqi" />);
+
+        expect(screen.getByText("Indicative: too few pollutants reported")).toBeTruthy();
+    });
+
+    it("shows a placeholder without air quality data", async () => {
+        const data = await fetchEnvironment("city=McMurdo");
+        renderWithLocale(<AqiHeadline name={data.place} aqiData={data.aqi_data} standard="us_epa" />);
+
+        expect(screen.getAllByText("—")).toHaveLength(2);
+    });
+
+    it("names the category in the chosen language", async () => {
+        const data = await fetchEnvironment("city=London");
+        const { category } = headlineAqi("us_epa", data.aqi_data);
+        renderWithLocale(<AqiHeadline name={data.place} aqiData={data.aqi_data} standard="us_epa" />, { locale: "hi" });
+
+        const hindi = createLocaleValue("hi").categoryLabel(category.cat);
+        expect(hindi).not.toBe(category.cat);
+        expect(screen.getByText(hindi)).toBeTruthy();
+    });
+});
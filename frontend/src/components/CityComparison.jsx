@@ -0,0 +1,267 @@
+import React, { useEffect, useRef, useState } from "react";
+import axios from "axios";
+import { Plus, X, Zap, RefreshCw, Thermometer, Droplet, AlertTriangle, BarChart3 } from "lucide-react";
+import { motion } from "framer-motion";
+import { POLLUTANT_META, POLLUTANT_KEYS } from "../utils/pollutants";
+import { categoryPattern, headlineAqi, pollutantCategory, pollutantPercent } from "../utils/aqi";
+import { recordSnapshot } from "../utils/history";
+import { describeError } from "../utils/api";
+import { useLocale } from "../i18n/context";
+
+const MAX_CITIES = 6;
+
+// Returns the city with the highest numeric reading for `pick`, or null when fewer
+// than two cities report it (a single reading has nothing to be compared against)
+function findWorst(cities, results, pick) {
+    let worst = null;
+    let worstValue = -Infinity;
+    let count = 0;
+    cities.forEach((c) => {
+        const raw = results[c]?.data ? pick(results[c].data) : undefined;
+        const value = Number(raw);
+        if (raw === undefined || raw === null || isNaN(value)) return;
+
+        count += 1;
+        if (value > worstValue) {
+            worstValue = value;
+            worst = c;
+        }
+    });
+    return count > 1 ? worst : null;
+}
+
+export default function CityComparison({ fetchUrl, standard, cities, onCitiesChange }) {
+    const { t, formatNumber, formatMeasurement, categoryLabel } = useLocale();
+    const [input, setInput] = useState("");
+    const [results, setResults] = useState({});
+    const [loading, setLoading] = useState(false);
+
+    const addCity = () => {
+        const name = input.trim();
+        if (!name || cities.length >= MAX_CITIES) return;
+        if (!cities.some(c => c.toLowerCase() === name.toLowerCase())) {
+            onCitiesChange([...cities, name]);
+        }
+        setInput("");
+    };
+
+    const removeCity = (name) => {
+        onCitiesChange(cities.filter(c => c !== name));
+    };
+
+    // Fetch every city in parallel; one failing city must not hide the others
+    const compare = async () => {
+        if (cities.length < 2) return;
+        setLoading(true);
+
+        const settled = await Promise.allSettled(
+            cities.map(c => axios(`${fetchUrl}/environment?city=${encodeURIComponent(c)}`))
+        );
+
+        const next = {};
+        settled.forEach((res, i) => {
+            if (res.status === "fulfilled") {
+                next[cities[i]] = { data: res.value.data };
+                recordSnapshot(res.value.data).catch(err => console.error("Failed to record snapshot:", err));
+            } else {
+                const { key, vars } = describeError(res.reason);
+                next[cities[i]] = { error: t(key, vars) };
+            }
+        });
+        setResults(next);
+        setLoading(false);
+    };
+
+    // Latest compare, so the effect below runs only when the view opens
+    const compareRef = useRef(compare);
+    useEffect(() => {
+        compareRef.current = compare;
+    });
+
+    // Opening the view (or a shared comparison link) with a ready list compares straight away
+    useEffect(() => {
+        compareRef.current();
+    }, []);
+
+    const loaded = cities.filter(c => results[c]?.data);
+    const pollutantKeys = POLLUTANT_KEYS.filter(k =>
+        loaded.some(c => results[c].data.aqi_data?.pollutants?.[k] !== undefined)
+    );
+    const worstAqi = findWorst(cities, results, d => headlineAqi(standard, d?.aqi_data).aqi);
+
+    return (
+        <div className="space-y-6">
+            {/* City Picker */}
+            <div className="p-6 rounded-2xl bg-gradient-to-br from-white/90 dark:from-slate-800/40 to-slate-50/90 dark:to-slate-900/60 backdrop-blur-sm border border-slate-300 dark:border-slate-600/50 shadow-2xl">
+                <h2 className="text-2xl font-bold text-slate-900 dark:text-white flex items-center gap-3 mb-4">
+                    <BarChart3 className="w-6 h-6 text-blue-600 dark:text-blue-400" />
+                    {t("compare.title")}
+                </h2>
+
+                <div className="flex flex-wrap items-center gap-2 mb-4">
+                    {cities.map(c => (
+                        <span key={c} className="flex items-center gap-2 px-3 py-1 bg-blue-500/20 border border-blue-500/30 rounded-full text-sm text-blue-900 dark:text-blue-100">
+                            {c}
+                            <button
+                                onClick={() => removeCity(c)}
+                                className="text-blue-700 dark:text-blue-300 hover:text-slate-900 dark:hover:text-white"
+                                title={t("compare.remove", { city: c })}
+                                aria-label={t("compare.remove", { city: c })}
+                            >
+                                <X className="w-3 h-3" aria-hidden="true" />
+                            </button>
+                        </span>
+                    ))}
+                    {cities.length === 0 && (
+                        <span className="text-sm text-slate-500 dark:text-slate-400">{t("compare.empty")}</span>
+                    )}
+                </div>
+
+                <div className="flex flex-wrap items-center gap-3">
+                    <div className="flex items-center gap-2 bg-white/80 dark:bg-slate-800/50 rounded-xl p-2 border border-slate-300 dark:border-slate-500/50">
+                        <input
+                            value={input}
+                            onChange={(e) => setInput(e.target.value)}
+                            onKeyDown={(e) => e.key === "Enter" && addCity()}
+                            placeholder={t("compare.placeholder")}
+                            className="bg-transparent outline-none placeholder:text-slate-400 px-3 py-1 w-44 text-slate-900 dark:text-white"
+                        />
+                        <button
+                            onClick={addCity}
+                            disabled={cities.length >= MAX_CITIES}
+                            className="p-2 rounded-lg bg-slate-100 dark:bg-slate-700/50 hover:bg-slate-200 dark:hover:bg-slate-700/70 transition disabled:opacity-50"
+                            title={t("compare.add")}
+                            aria-label={t("compare.add")}
+                        >
+                            <Plus className="w-4 h-4" aria-hidden="true" />
+                        </button>
+                    </div>
+
+                    <button
+                        onClick={compare}
+                        disabled={loading || cities.length < 2}
+                        className="px-5 py-2 bg-gradient-to-r from-blue-500 via-purple-600 to-fuchsia-500 hover:from-blue-600 hover:via-purple-700 hover:to-fuchsia-600 rounded-lg transition-all duration-300 disabled:opacity-50 flex items-center gap-2 shadow-lg shadow-purple-500/30 font-semibold"
+                    >
+                        {loading ? (
+                            <RefreshCw className="w-4 h-4 animate-spin" />
+                        ) : (
+                            <>
+                                <Zap className="w-4 h-4 text-yellow-700 dark:text-yellow-300" />
+                                <span className="text-slate-900 dark:text-white">{t("compare.run")}</span>
+                            </>
+                        )}
+                    </button>
+                </div>
+            </div>
+
+            {/* Side-by-side Results */}
+            {Object.keys(results).length > 0 && (
+                <motion.div
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    className="overflow-x-auto rounded-2xl bg-gradient-to-br from-white/90 dark:from-slate-800/40 to-slate-50/90 dark:to-slate-900/60 backdrop-blur-sm border border-slate-300 dark:border-slate-600/50 shadow-2xl"
+                >
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="border-b border-slate-300 dark:border-slate-600/50">
+                                <th className="p-4 text-left text-slate-600 dark:text-slate-300 font-medium">{t("compare.metric")}</th>
+                                {cities.map(c => {
+                                    const { aqi, category: catObj } = headlineAqi(standard, results[c]?.data?.aqi_data);
+                                    return (
+                                        <th key={c} className={`p-4 text-left align-top min-w-[10rem] ${worstAqi === c ? "bg-red-500/10" : ""}`}>
+                                            <div className="text-slate-900 dark:text-white font-semibold">{results[c]?.data?.city || c}</div>
+                                            {results[c]?.error ? (
+                                                <div className="mt-2 flex items-center gap-1 text-xs text-red-700 dark:text-red-300 font-normal">
+                                                    <AlertTriangle className="w-3 h-3" />
+                                                    {results[c].error}
+                                                </div>
+                                            ) : results[c]?.data ? (
+                                                <div className="mt-2 flex items-center gap-2">
+                                                    <span className="text-2xl font-extrabold text-slate-900 dark:text-white">{aqi ?? "—"}</span>
+                                                    <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${catObj.color} ${catObj.text}`}>
+                                                        {categoryLabel(catObj.cat)}
+                                                    </span>
+                                                </div>
+                                            ) : (
+                                                <div className="mt-2 text-xs text-slate-500 dark:text-slate-400 font-normal">{t("compare.notYet")}</div>
+                                            )}
+                                        </th>
+                                    );
+                                })}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <tr className="border-b border-slate-200 dark:border-slate-700/50">
+                                <td className="p-4 text-slate-600 dark:text-slate-300">
+                                    <span className="flex items-center gap-2"><Thermometer className="w-4 h-4 text-blue-600 dark:text-blue-400" /> {t("metric.temperature")}</span>
+                                </td>
+                                {cities.map(c => {
+                                    const d = results[c]?.data;
+                                    return (
+                                        <td key={c} className="p-4 text-slate-900 dark:text-white font-semibold">
+                                            {d ? formatMeasurement("t", d.weather_data?.temperature ?? d.aqi_data?.pollutants?.t) : "—"}
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+                            <tr className="border-b border-slate-200 dark:border-slate-700/50">
+                                <td className="p-4 text-slate-600 dark:text-slate-300">
+                                    <span className="flex items-center gap-2"><Droplet className="w-4 h-4 text-cyan-600 dark:text-cyan-400" /> {t("metric.humidity")}</span>
+                                </td>
+                                {cities.map(c => {
+                                    const d = results[c]?.data;
+                                    return (
+                                        <td key={c} className="p-4 text-slate-900 dark:text-white font-semibold">
+                                            {d ? formatMeasurement("h", d.weather_data?.humidity ?? d.aqi_data?.pollutants?.h) : "—"}
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+
+                            {pollutantKeys.map(k => {
+                                const meta = POLLUTANT_META[k];
+                                const worst = findWorst(cities, results, d => d?.aqi_data?.pollutants?.[k]);
+
+                                return (
+                                    <tr key={k} className="border-b border-slate-200 dark:border-slate-700/50 last:border-0">
+                                        <td className="p-4 text-slate-600 dark:text-slate-300">
+                                            {meta.label} <span className="text-xs text-slate-500">({meta.unit})</span>
+                                        </td>
+                                        {cities.map(c => {
+                                            const v = results[c]?.data?.aqi_data?.pollutants?.[k];
+                                            if (v === undefined) {
+                                                return <td key={c} className="p-4 text-slate-500">—</td>;
+                                            }
+
+                                            const catObj = pollutantCategory(standard, k, v);
+                                            const widthPct = pollutantPercent(standard, k, v);
+
+                                            return (
+                                                <td key={c} className={`p-4 ${worst === c ? "bg-red-500/10" : ""}`}>
+                                                    <div className="flex items-center justify-between gap-2 mb-2">
+                                                        <span className="text-slate-900 dark:text-white font-semibold">{formatNumber(v)}</span>
+                                                        {worst === c && (
+                                                            <span className="text-xs font-semibold text-red-700 dark:text-red-300">{t("compare.worst")}</span>
+                                                        )}
+                                                    </div>
+                                                    <div className="bg-slate-200/70 dark:bg-slate-700/30 h-2 rounded-full overflow-hidden" title={categoryLabel(catObj.cat)}>
+                                                        <motion.div
+                                                            initial={{ width: 0 }}
+                                                            animate={{ width: `${widthPct}%` }}
+                                                            transition={{ duration: 1 }}
+                                                            className={`h-2 rounded-full ${catObj.color} ${categoryPattern(catObj)}`}
+                                                        />
+                                                    </div>
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </motion.div>
+            )}
+        </div>
+    );
+}
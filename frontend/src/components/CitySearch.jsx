@@ -0,0 +1,148 @@
+import React, { useEffect, useId, useRef, useState } from "react";
+import axios from "axios";
+import { Bookmark, Clock, MapPin } from "lucide-react";
+import { useLocale } from "../i18n/context";
+
+const DEBOUNCE_MS = 300;
+const MIN_QUERY = 2;
+const MAX_LOCAL = 5;
+const ICONS = { favorite: Bookmark, recent: Clock, place: MapPin };
+
+const matches = (name, query) => name.toLowerCase().includes(query.trim().toLowerCase());
+
+// City input with a suggestion dropdown. Favorites and recent searches that match
+// the text come first, then places from the backend's /geocode endpoint so that
+// ambiguous names ("Springfield") can be told apart by state and country.
+// `inputRef` lets the page focus the field (the "/" shortcut)
+export default function CitySearch({ fetchUrl, value, onChange, onSubmit, onSelectPlace, favorites, recent, placeholder, className, inputRef }) {
+    const { t } = useLocale();
+    const listId = useId();
+    const [open, setOpen] = useState(false);
+    const [places, setPlaces] = useState([]);
+    const [highlight, setHighlight] = useState(-1);
+    const boxRef = useRef(null);
+
+    // Debounced lookup; a slower, older response must not overwrite a newer one
+    useEffect(() => {
+        const query = value.trim();
+        if (!open || query.length < MIN_QUERY) {
+            setPlaces([]);
+            return;
+        }
+
+        let cancelled = false;
+        const timer = setTimeout(() => {
+            axios(`${fetchUrl}/geocode?q=${encodeURIComponent(query)}`)
+                .then(res => { if (!cancelled) setPlaces(res.data.results || []); })
+                .catch(err => {
+                    console.error("Failed to load suggestions:", err);
+                    if (!cancelled) setPlaces([]);
+                });
+        }, DEBOUNCE_MS);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [fetchUrl, value, open]);
+
+    useEffect(() => {
+        if (!open) return;
+        const onClick = (e) => {
+            if (boxRef.current && !boxRef.current.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener("mousedown", onClick);
+        return () => document.removeEventListener("mousedown", onClick);
+    }, [open]);
+
+    const favoriteItems = favorites
+        .filter(name => matches(name, value))
+        .slice(0, MAX_LOCAL)
+        .map(name => ({ key: `fav:${name}`, kind: "favorite", label: name }));
+    const recentItems = recent
+        .filter(name => matches(name, value) && !favorites.includes(name))
+        .slice(0, MAX_LOCAL)
+        .map(name => ({ key: `recent:${name}`, kind: "recent", label: name }));
+    const placeItems = places.map(p => ({ key: `place:${p.lat},${p.lon}`, kind: "place", label: p.place, place: p }));
+    const items = [...favoriteItems, ...recentItems, ...placeItems];
+
+    // Start with nothing highlighted whenever the list changes under the cursor
+    useEffect(() => {
+        setHighlight(-1);
+    }, [value, places]);
+
+    const choose = (item) => {
+        setOpen(false);
+        if (item.kind === "place") onSelectPlace(item.place);
+        else onSubmit(item.label);
+    };
+
+    const onKeyDown = (e) => {
+        if (e.key === "ArrowDown" && items.length > 0) {
+            e.preventDefault();
+            setOpen(true);
+            setHighlight(h => (h + 1) % items.length);
+        } else if (e.key === "ArrowUp" && items.length > 0) {
+            e.preventDefault();
+            setHighlight(h => (h <= 0 ? items.length - 1 : h - 1));
+        } else if (e.key === "Escape") {
+            setOpen(false);
+        } else if (e.key === "Enter") {
+            if (open && highlight >= 0 && items[highlight]) {
+                choose(items[highlight]);
+            } else {
+                setOpen(false);
+                onSubmit(value);
+            }
+        }
+    };
+
+    return (
+        <div className="relative" ref={boxRef}>
+            <input
+                ref={inputRef}
+                value={value}
+                onChange={(e) => {
+                    onChange(e.target.value);
+                    setOpen(true);
+                }}
+                onFocus={() => setOpen(true)}
+                onKeyDown={onKeyDown}
+                placeholder={placeholder}
+                className={className}
+                role="combobox"
+                aria-label={t("search.label")}
+                aria-expanded={open && items.length > 0}
+                aria-controls={listId}
+                aria-activedescendant={open && highlight >= 0 && items[highlight] ? `${listId}-${highlight}` : undefined}
+                aria-autocomplete="list"
+            />
+
+            {open && items.length > 0 && (
+                <ul
+                    id={listId}
+                    role="listbox"
+                    className="absolute left-0 mt-3 w-80 max-h-80 overflow-y-auto z-30 p-2 rounded-xl bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600/50 shadow-2xl"
+                >
+                    {items.map((item, i) => (
+                        <li
+                            key={item.key}
+                            id={`${listId}-${i}`}
+                            role="option"
+                            aria-selected={i === highlight}
+                            onMouseDown={(e) => e.preventDefault()}
+                            onMouseEnter={() => setHighlight(i)}
+                            onClick={() => choose(item)}
+                            className={`flex items-center gap-3 p-2 rounded-lg cursor-pointer text-sm ${i === highlight ? "bg-slate-200 dark:bg-slate-700/70 text-slate-900 dark:text-white" : "text-slate-800 dark:text-slate-200"}`}
+                        >
+                            {React.createElement(ICONS[item.kind], { className: "w-4 h-4 flex-shrink-0 text-purple-600 dark:text-purple-400" })}
+                            <span className="flex-1 truncate">{item.label}</span>
+                            {item.kind !== "place" && (
+                                <span className="text-xs text-slate-500">{t(`search.${item.kind}`)}</span>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
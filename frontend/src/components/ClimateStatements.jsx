@@ -0,0 +1,46 @@
+import React from "react";
+
+// The project's statement on the climate crisis, in English and Hindi, with
+// further reading. Deliberately not translated through the catalogs.
+export default function ClimateStatements() {
+    return (
+        <div className="space-y-3">
+            <div className="flex flex-wrap items-center p-4 gap-3">
+                {/* Critical Messages */}
+                {/* English Statement */}
+                <div className="relative p-4 bg-gradient-to-r from-red-500/10 to-orange-500/10 border-l-4 border-red-400 rounded-lg backdrop-blur-sm">
+                <p className="font-bold text-red-700 dark:text-red-300 text-base md:text-xl leading-relaxed">
+                    Climate crisis at its peak — while world leaders are sleeping,<br className="hidden md:block" />
+                    ignoring the very disaster they created. "HYPOCRITES"
+                </p>
+                </div>
+
+                {/* Hindi Statement */}
+                <div className="relative p-4 bg-gradient-to-r from-red-500/10 to-orange-500/10 border-l-4 border-red-400 rounded-lg backdrop-blur-sm">
+                <p className="font-bold text-red-700 dark:text-red-300 text-base md:text-xl leading-relaxed">
+                    जलवायु संकट चरम पर है — और वैश्विक नेता सो रहे हैं,<br className="hidden md:block" />
+                    उसी तबाही से मुँह मोड़े जिसे उन्होंने ही पैदा किया। "पाखंडी"
+                </p>
+                </div>
+            </div>
+            <div className="relative p-4 flex gap-4 bg-gradient-to-r from-blue-500/10 to-teal-500/10 border-l-4 border-blue-400 rounded-lg backdrop-blur-sm">
+                <a
+                    href="https://unfccc.int/process-and-meetings/the-paris-agreement"
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="font-bold text-blue-700 dark:text-blue-300 text-base md:text-lg hover:text-blue-800 dark:hover:text-blue-200 transition-colors duration-300 underline decoration-blue-400/50 hover:decoration-blue-300 underline-offset-4"
+                >
+                    Paris Agreement?
+                </a>
+                <a
+                    href="https://acharyaprashant.org/en/articles/operation-2030-on-climate-change-1_619e5b9"
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="font-bold text-teal-700 dark:text-teal-300 text-base md:text-lg hover:text-teal-800 dark:hover:text-teal-200 transition-colors duration-300 underline decoration-teal-400/50 hover:decoration-teal-300 underline-offset-4"
+                >
+                    Operation 2030: Confronting The Climate Crisis Within
+                </a>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,52 @@
+import React from "react";
+import { Globe } from "lucide-react";
+import { useLocale } from "../i18n/context";
+
+// The page title and tagline, with the dashboard's controls (`children`) beside them
+export default function DashboardHeader({ children }) {
+    const { t } = useLocale();
+
+    return (
+        <header className="relative mb-12 overflow-hidden">
+            {/* Animated Background Effects */}
+            <div className="absolute inset-0 bg-gradient-to-br from-blue-200/30 dark:from-blue-900/30 via-purple-200/20 dark:via-purple-900/20 to-indigo-200/30 dark:to-indigo-900/30 rounded-2xl blur-xl opacity-60"></div>
+            <div className="absolute top-0 left-0 w-32 h-32 bg-blue-500/20 rounded-full blur-2xl animate-pulse"></div>
+            <div className="absolute bottom-0 right-0 w-40 h-40 bg-purple-500/20 rounded-full blur-2xl animate-pulse delay-1000"></div>
+
+            {/* Main Header Container */}
+            <div className="relative z-10 bg-white/70 dark:bg-slate-800/30 backdrop-blur-sm border border-slate-300 dark:border-slate-600/30 rounded-2xl p-6 md:p-8 shadow-2xl">
+                <div className="flex flex-col lg:flex-row items-start lg:items-center justify-between gap-6">
+
+                    {/* Title Section */}
+                    <div className="flex-1">
+                        <div className="flex flex-col gap-6">
+                            {/* Main Title with Icon */}
+                            <div className="flex items-center gap-4">
+                                <div className="relative">
+                                    <div className="absolute inset-0 bg-gradient-to-r from-blue-500 to-purple-600 rounded-full blur-lg opacity-50 animate-pulse"></div>
+                                    <Globe className="relative w-14 h-14 text-white drop-shadow-2xl bg-gradient-to-r from-blue-500 via-purple-500 to-purple-700 rounded-full p-3 shadow-lg shadow-purple-500/50" />
+                                </div>
+                                <div>
+                                    <h1 className="p-2 text-2xl md:text-4xl font-black tracking-tight bg-gradient-to-r from-blue-600 dark:from-blue-300 via-purple-600 dark:via-purple-300 to-fuchsia-600 dark:to-fuchsia-300 bg-clip-text text-transparent drop-shadow-2xl">
+                                        दुनिया मौसम
+                                    </h1>
+                                    <hr className="h-1 bg-gradient-to-r from-blue-400 via-purple-400 to-fuchsia-400 rounded-full my-2 shadow-md" />
+
+                                    <div className="text-sm md:text-base text-slate-600 dark:text-slate-300 font-medium">
+                                        {t("app.tagline")}
+                                    </div>
+                                </div>
+                            </div>
+
+                        </div>
+                    </div>
+
+                    {/* Controls Section */}
+                    <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-4 lg:ml-8">
+                        {children}
+                    </div>
+                </div>
+            </div>
+        </header>
+    );
+}
@@ -0,0 +1,41 @@
+import React from "react";
+import { AlertTriangle, RefreshCw } from "lucide-react";
+import { motion } from "framer-motion";
+import { useLocale } from "../i18n/context";
+
+// A failed lookup, as described by describeError in utils/api. The retry
+// button only shows with an `onRetry`. Wrap in AnimatePresence to animate it
+// in and out.
+export default function ErrorBanner({ error, loading, onRetry, onDismiss }) {
+    const { t } = useLocale();
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -20 }}
+            className="mb-6 p-4 bg-red-500/20 border border-red-500/30 rounded-lg flex items-center gap-3"
+            role="alert"
+        >
+            <AlertTriangle className="w-5 h-5 text-red-600 dark:text-red-400" aria-hidden="true" />
+            <span className="text-red-800 dark:text-red-200">{t(error.key, error.vars)}</span>
+            {onRetry && (
+                <button
+                    onClick={onRetry}
+                    disabled={loading}
+                    className="ml-auto flex items-center gap-1 px-3 py-1 text-sm rounded-lg bg-red-500/30 text-red-900 dark:text-red-100 hover:bg-red-500/40 disabled:opacity-50"
+                >
+                    <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} aria-hidden="true" />
+                    {t("error.retry")}
+                </button>
+            )}
+            <button
+                onClick={onDismiss}
+                className={`${onRetry ? "" : "ml-auto "}text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300`}
+                aria-label={t("error.dismiss")}
+            >
+                ×
+            </button>
+        </motion.div>
+    );
+}
@@ -0,0 +1,117 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Download, FileJson, FileSpreadsheet, Image, Printer, History } from "lucide-react";
+import { AnimatePresence, motion } from "framer-motion";
+import { getHistory } from "../utils/history";
+import {
+    downloadBlob, exportFilename, pollutantsCsv, historyCsv, renderSnapshotPng
+} from "../utils/exporters";
+import { useLocale } from "../i18n/context";
+
+export default function ExportMenu({ data, standard, onPrint }) {
+    const l10n = useLocale();
+    const { t } = l10n;
+    const [open, setOpen] = useState(false);
+    const [snapshots, setSnapshots] = useState([]);
+    const menuRef = useRef(null);
+
+    // Only look up history when the menu opens; it decides whether history exports are offered
+    useEffect(() => {
+        if (!open || !data?.city) return;
+        let cancelled = false;
+        getHistory(data.city)
+            .then(rows => { if (!cancelled) setSnapshots(rows); })
+            .catch(() => { if (!cancelled) setSnapshots([]); });
+        return () => { cancelled = true; };
+    }, [open, data?.city]);
+
+    useEffect(() => {
+        if (!open) return;
+        const onClick = (e) => {
+            if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+        };
+        const onKeyDown = (e) => {
+            if (e.key === "Escape") setOpen(false);
+        };
+        document.addEventListener("mousedown", onClick);
+        document.addEventListener("keydown", onKeyDown);
+        return () => {
+            document.removeEventListener("mousedown", onClick);
+            document.removeEventListener("keydown", onKeyDown);
+        };
+    }, [open]);
+
+    const run = (fn) => async () => {
+        setOpen(false);
+        try {
+            await fn();
+        } catch (err) {
+            console.error("Export failed:", err);
+        }
+    };
+
+    const items = [
+        {
+            label: t("export.json"), icon: FileJson,
+            action: () => downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }), exportFilename(data.city, "data", "json")),
+        },
+        {
+            label: t("export.csv"), icon: FileSpreadsheet,
+            action: () => downloadBlob(new Blob([pollutantsCsv(data, standard)], { type: "text/csv" }), exportFilename(data.city, "pollutants", "csv")),
+        },
+        {
+            label: t("export.png"), icon: Image,
+            action: async () => downloadBlob(await renderSnapshotPng(data, standard, l10n), exportFilename(data.city, "snapshot", "png")),
+        },
+        { label: t("export.print"), icon: Printer, action: onPrint },
+    ];
+
+    if (snapshots.length > 1) {
+        items.push(
+            {
+                label: t("export.historyCsv", { count: snapshots.length }), icon: History,
+                action: () => downloadBlob(new Blob([historyCsv(snapshots, standard)], { type: "text/csv" }), exportFilename(data.city, "history", "csv")),
+            },
+            {
+                label: t("export.historyJson"), icon: History,
+                action: () => downloadBlob(new Blob([JSON.stringify(snapshots, null, 2)], { type: "application/json" }), exportFilename(data.city, "history", "json")),
+            },
+        );
+    }
+
+    return (
+        <div className="relative" ref={menuRef}>
+            <button
+                onClick={() => setOpen(!open)}
+                className="p-2 rounded-lg bg-slate-100 dark:bg-slate-700/50 hover:bg-slate-200 dark:hover:bg-slate-700/70 transition"
+                title={t("export.button")}
+                aria-label={t("export.button")}
+                aria-haspopup="true"
+                aria-expanded={open}
+            >
+                <Download className="w-4 h-4" aria-hidden="true" />
+            </button>
+
+            <AnimatePresence>
+                {open && (
+                    <motion.div
+                        initial={{ opacity: 0, y: -5 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: -5 }}
+                        className="absolute right-0 mt-2 w-60 z-20 p-2 rounded-xl bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600/50 shadow-2xl"
+                    >
+                        {items.map(item => (
+                            <button
+                                key={item.label}
+                                onClick={run(item.action)}
+                                className="w-full flex items-center gap-3 p-2 rounded-lg hover:bg-slate-200 dark:hover:bg-slate-700/70 transition text-left text-sm text-slate-800 dark:text-slate-200"
+                            >
+                                {React.createElement(item.icon, { className: "w-4 h-4 text-purple-600 dark:text-purple-400", "aria-hidden": true })}
+                                {item.label}
+                            </button>
+                        ))}
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+}
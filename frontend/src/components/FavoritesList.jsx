@@ -0,0 +1,76 @@
+import React from "react";
+import { Bookmark, ChevronUp, ChevronDown, X } from "lucide-react";
+import { motion } from "framer-motion";
+import { headlineAqi } from "../utils/aqi";
+import { useLocale } from "../i18n/context";
+
+// Saved cities, in the user's order. `onMove(index, delta)` moves one up (-1)
+// or down (+1). `readings` maps a city to its latest live reading, if any.
+export default function FavoritesList({ favorites, readings = {}, standard, onSelect, onMove, onRemove }) {
+    const { t, categoryLabel } = useLocale();
+    if (favorites.length === 0) return null;
+
+    return (
+        <motion.div
+            className="p-6 rounded-2xl bg-gradient-to-br from-yellow-500/20 to-orange-600/20 backdrop-blur-sm border border-yellow-500/30 shadow-lg"
+            initial={{ opacity: 0, x: 20 }}
+            animate={{ opacity: 1, x: 0, transition: { delay: 0.3 } }}
+        >
+            <h3 className="text-lg font-semibold text-slate-900 dark:text-white mb-4 flex items-center gap-2">
+                <Bookmark className="w-5 h-5 text-yellow-600 dark:text-yellow-400" />
+                {t("favorites.heading")}
+            </h3>
+
+            <div className="space-y-2">
+                {favorites.map((favCity, index) => {
+                    const headline = readings[favCity] ? headlineAqi(standard, readings[favCity].aqi_data) : null;
+                    return (
+                        <div key={favCity} className="flex items-center gap-1">
+                            <button
+                                onClick={() => onSelect(favCity)}
+                                className="flex-1 flex items-center justify-between gap-2 text-left p-2 bg-slate-900/5 dark:bg-white/5 hover:bg-slate-900/10 dark:hover:bg-white/10 rounded-lg transition text-sm text-slate-800 dark:text-slate-200"
+                            >
+                                {favCity}
+                                {headline && headline.aqi !== null && (
+                                    <span
+                                        className={`px-2 rounded-full text-xs font-semibold ${headline.category.color} ${headline.category.text}`}
+                                        title={categoryLabel(headline.category.cat)}
+                                    >
+                                        {headline.aqi}
+                                        <span className="sr-only"> {categoryLabel(headline.category.cat)}</span>
+                                    </span>
+                                )}
+                            </button>
+                            <button
+                                onClick={() => onMove(index, -1)}
+                                disabled={index === 0}
+                                className="p-1 rounded text-slate-500 dark:text-slate-400 hover:text-slate-900 dark:hover:text-white disabled:opacity-30"
+                                title={t("favorites.moveUp")}
+                                aria-label={t("favorites.moveUpCity", { city: favCity })}
+                            >
+                                <ChevronUp className="w-4 h-4" aria-hidden="true" />
+                            </button>
+                            <button
+                                onClick={() => onMove(index, 1)}
+                                disabled={index === favorites.length - 1}
+                                className="p-1 rounded text-slate-500 dark:text-slate-400 hover:text-slate-900 dark:hover:text-white disabled:opacity-30"
+                                title={t("favorites.moveDown")}
+                                aria-label={t("favorites.moveDownCity", { city: favCity })}
+                            >
+                                <ChevronDown className="w-4 h-4" aria-hidden="true" />
+                            </button>
+                            <button
+                                onClick={() => onRemove(favCity)}
+                                className="p-1 rounded text-slate-500 dark:text-slate-400 hover:text-red-700 dark:hover:text-red-300"
+                                title={t("favorites.remove")}
+                                aria-label={t("favorites.removeCity", { city: favCity })}
+                            >
+                                <X className="w-4 h-4" aria-hidden="true" />
+                            </button>
+                        </div>
+                    );
+                })}
+            </div>
+        </motion.div>
+    );
+}
@@ -0,0 +1,68 @@
+import React from "react";
+import { describe, expect, it, vi } from "vitest";
+import { screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { headlineAqi } from "../utils/aqi";
+import { fetchEnvironment, renderWithLocale } from "../test/utils";
+import FavoritesList from "./FavoritesList";
+
+const FAVORITES = ["Delhi", "London", "Tokyo"];
+
+const renderList = (props = {}) =>
+    renderWithLocale(
+        <FavoritesList
+            favorites={FAVORITES}
+            standard="us_epa"
+            onSelect={() => {}}
+            onMove={() => {}}
+            onRemove={() => {}}
+            {...props}
+        />
+    );
+
+describe("FavoritesList", () => {
+    it("renders nothing without favorites", () => {
+        renderList({ favorites: [] });
+
+        expect(screen.queryByText("Favorites")).toBeNull();
+    });
+
+    it("opens a favorite when clicked", async () => {
+        const onSelect = vi.fn();
+        renderList({ onSelect });
+
+        await userEvent.click(screen.getByRole("button", { name: "London" }));
+
+        expect(onSelect).toHaveBeenCalledWith("London");
+    });
+
+    it("moves and removes favorites", async () => {
+        const onMove = vi.fn();
+        const onRemove = vi.fn();
+        renderList({ onMove, onRemove });
+
+        await userEvent.click(screen.getByRole("button", { name: "Move London up" }));
+        await userEvent.click(screen.getByRole("button", { name: "Move London down" }));
+        await userEvent.click(screen.getByRole("button", { name: "Remove Tokyo from favorites" }));
+
+        expect(onMove).toHaveBeenNthCalledWith(1, 1, -1);
+        expect(onMove).toHaveBeenNthCalledWith(2, 1, 1);
+        expect(onRemove).toHaveBeenCalledWith("Tokyo");
+    });
+
+    it("can't move past either end", () => {
+        renderList();
+
+        expect(screen.getByRole("button", { name: "Move Delhi up" }).disabled).toBe(true);
+        expect(screen.getByRole("button", { name: "Move Tokyo down" }).disabled).toBe(true);
+        expect(screen.getByRole("button", { name: "Move London up" }).disabled).toBe(false);
+    });
+
+    it("shows the latest reading next to a favorite", async () => {
+        const delhi = await fetchEnvironment("city=Delhi");
+        renderList({ readings: { Delhi: delhi } });
+
+        const { aqi } = headlineAqi("us_epa", delhi.aqi_data);
+        expect(screen.getByText(String(aqi))).toBeTruthy();
+    });
+});
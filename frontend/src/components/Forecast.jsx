@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from "react";
+import { CalendarDays, Droplet } from "lucide-react";
+import { POLLUTANT_KEYS } from "../utils/pollutants";
+import { computeAqi } from "../utils/aqi";
+import { useLocale } from "../i18n/context";
+import { getWithRetry } from "../utils/api";
+
+// Index range for one forecast day: the AQI of every pollutant's daily minimum
+// and of every pollutant's daily maximum
+function dayRange(standard, pollutants) {
+    const pick = (field) => Object.fromEntries(
+        POLLUTANT_KEYS.filter(k => pollutants[k]?.[field] !== undefined && pollutants[k]?.[field] !== null)
+            .map(k => [k, pollutants[k][field]])
+    );
+    return { low: computeAqi(standard, pick("min")), high: computeAqi(standard, pick("max")) };
+}
+
+// Hourly and daily outlook for the reading currently shown. `query` is the same
+// query string the dashboard used for /environment, so both describe one place.
+export default function Forecast({ fetchUrl, query, standard, refreshKey }) {
+    const { t, intl, formatMeasurement, formatNumber, categoryLabel } = useLocale();
+    const [forecast, setForecast] = useState(null);
+    const [unavailable, setUnavailable] = useState(false);
+
+    useEffect(() => {
+        if (!query) return;
+        let cancelled = false;
+        getWithRetry(`${fetchUrl}/forecast?${query}`)
+            .then(res => {
+                if (cancelled) return;
+                setForecast(res.data);
+                setUnavailable(false);
+            })
+            .catch(err => {
+                console.error("Failed to load forecast:", err);
+                if (!cancelled) setUnavailable(true);
+            });
+        return () => { cancelled = true; };
+    }, [fetchUrl, query, refreshKey]);
+
+    // Times and dates are shown in the forecast location's own time zone
+    const offset = (forecast?.timezone || 0) * 1000;
+    const hourLabel = (dt) => new Date(dt * 1000 + offset).toLocaleTimeString(intl, { hour: "2-digit", minute: "2-digit", timeZone: "UTC" });
+    const dayLabel = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString(intl, { weekday: "short", day: "numeric", month: "short", timeZone: "UTC" });
+
+    const chip = (result) => (
+        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${result.category.color} ${result.category.text}`}>
+            {categoryLabel(result.category.cat)}
+        </span>
+    );
+
+    if (unavailable) {
+        return (
+            <div className="p-4 text-sm text-slate-500 dark:text-slate-400 bg-white/70 dark:bg-slate-800/30 rounded-xl border border-slate-300 dark:border-slate-600/50">
+                {t("forecast.unavailable")}
+            </div>
+        );
+    }
+    if (!forecast) return null;
+
+    return (
+        <div>
+            <h3 className="text-lg font-semibold text-slate-900 dark:text-white flex items-center gap-2 mb-4">
+                <CalendarDays className="w-5 h-5 text-blue-600 dark:text-blue-400" />
+                {t("forecast.title")}
+            </h3>
+
+            {/* Next 24 hours in 3-hour steps */}
+            {forecast.hourly.length > 0 && (
+                <div className="mb-4">
+                    <div className="text-sm text-slate-600 dark:text-slate-300 mb-2">{t("forecast.hourly")}</div>
+                    <div className="grid grid-cols-4 md:grid-cols-8 gap-2">
+                        {forecast.hourly.map(h => (
+                            <div key={h.dt} className="p-2 text-center bg-white/70 dark:bg-slate-800/30 rounded-lg border border-slate-300 dark:border-slate-600/50">
+                                <div className="text-xs text-slate-500 dark:text-slate-400">{hourLabel(h.dt)}</div>
+                                <div className="text-lg font-semibold text-slate-900 dark:text-white">{formatMeasurement("t", h.temperature)}</div>
+                                <div className="text-xs text-slate-600 dark:text-slate-300 capitalize truncate" title={h.weather}>{h.weather}</div>
+                                {h.pop > 0 && (
+                                    <div className="flex items-center justify-center gap-1 text-xs text-cyan-700 dark:text-cyan-300 mt-1">
+                                        <Droplet className="w-3 h-3" />
+                                        {formatNumber(h.pop * 100, 0)}%
+                                    </div>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {/* Day strip: weather plus the range of AQI categories expected */}
+            <div className="text-sm text-slate-600 dark:text-slate-300 mb-2">{t("forecast.daily")}</div>
+            <div className="flex gap-3 overflow-x-auto pb-2">
+                {forecast.daily.map(day => {
+                    const { low, high } = dayRange(standard, day.pollutants);
+                    return (
+                        <div key={day.date} className="min-w-[9rem] p-3 bg-white/70 dark:bg-slate-800/30 rounded-xl border border-slate-300 dark:border-slate-600/50">
+                            <div className="text-sm font-semibold text-slate-900 dark:text-white">{dayLabel(day.date)}</div>
+                            {day.weather ? (
+                                <>
+                                    <div className="text-xs text-slate-600 dark:text-slate-300 capitalize truncate" title={day.weather.weather}>{day.weather.weather}</div>
+                                    <div className="text-sm text-slate-900 dark:text-white mt-1">
+                                        {formatMeasurement("t", day.weather.temp_max)}
+                                        <span className="text-slate-500 dark:text-slate-400"> / {formatMeasurement("t", day.weather.temp_min)}</span>
+                                    </div>
+                                </>
+                            ) : (
+                                <div className="text-xs text-slate-500">{t("forecast.noWeather")}</div>
+                            )}
+                            <div className="mt-2">
+                                {high.aqi === null ? (
+                                    <span className="text-xs text-slate-500">{t("forecast.noAqi")}</span>
+                                ) : (
+                                    <div className="flex flex-wrap items-center gap-1">
+                                        {low.aqi !== null && low.category.cat !== high.category.cat && (
+                                            <>
+                                                {chip(low)}
+                                                <span className="text-xs text-slate-500 dark:text-slate-400">→</span>
+                                            </>
+                                        )}
+                                        {chip(high)}
+                                        <div className="w-full text-xs text-slate-500 dark:text-slate-400 mt-1">
+                                            AQI {low.aqi === null || low.aqi === high.aqi ? high.aqi : `${low.aqi}–${high.aqi}`}
+                                        </div>
+                                    </div>
+                                )}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
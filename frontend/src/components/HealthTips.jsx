@@ -0,0 +1,118 @@
+import React, { useState } from "react";
+import { Heart, Shield, Timer } from "lucide-react";
+import { motion } from "framer-motion";
+import { ACTIVITIES, HEALTH_PROFILES, healthAdvice, planActivity } from "../utils/health";
+import { useLocale } from "../i18n/context";
+
+const VERDICT_STYLES = {
+    safe: "bg-green-500/20 border-green-500/40 text-green-800 dark:text-green-200",
+    caution: "bg-amber-500/20 border-amber-500/40 text-amber-800 dark:text-amber-200",
+    avoid: "bg-red-500/20 border-red-500/40 text-red-800 dark:text-red-200",
+};
+
+// Advice for one reading, tailored to a sensitivity profile (see utils/health),
+// with mask guidance and an activity planner. Wrap in AnimatePresence to
+// animate it in and out.
+export default function HealthTips({ standard, aqiData, profile, onProfileChange }) {
+    const { t, label } = useLocale();
+    const [activity, setActivity] = useState("run");
+    const [minutes, setMinutes] = useState(30);
+
+    const { assessment, tips, mask } = healthAdvice(standard, aqiData, profile);
+    const plan = planActivity(assessment, activity, minutes);
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -20 }}
+            className="p-6 rounded-2xl bg-gradient-to-br from-green-500/20 to-emerald-600/20 backdrop-blur-sm border border-green-500/30 shadow-lg"
+        >
+            <div className="flex items-center gap-3 mb-4">
+                <Heart className="w-6 h-6 text-green-600 dark:text-green-400" />
+                <h3 className="text-lg font-semibold text-slate-900 dark:text-white">{t("health.heading")}</h3>
+            </div>
+
+            <label className="block mb-4 text-sm text-slate-600 dark:text-slate-300">
+                {t("health.profile.label")}
+                <select
+                    value={profile}
+                    onChange={(e) => onProfileChange(e.target.value)}
+                    className="mt-1 w-full p-2 rounded-lg bg-white/80 dark:bg-slate-800/60 border border-slate-300 dark:border-slate-600/50 text-slate-900 dark:text-white"
+                >
+                    {Object.keys(HEALTH_PROFILES).map(id => (
+                        <option key={id} value={id}>{t(`health.profile.${id}`)}</option>
+                    ))}
+                </select>
+            </label>
+
+            {assessment.driver && assessment.risk > 0 && (
+                <div className="mb-3 text-xs text-green-800 dark:text-green-200">{t("health.driver", { pollutant: label(assessment.driver) })}</div>
+            )}
+
+            <div className="space-y-3">
+                {tips.map((tip, index) => (
+                    <motion.div
+                        key={tip.id}
+                        initial={{ opacity: 0, x: -10 }}
+                        animate={{ opacity: 1, x: 0 }}
+                        transition={{ delay: index * 0.1 }}
+                        className="flex items-start gap-3 p-3 bg-slate-900/5 dark:bg-white/5 rounded-lg"
+                    >
+                        <div className="w-2 h-2 bg-green-400 rounded-full mt-2 flex-shrink-0"></div>
+                        <span className="text-sm text-slate-800 dark:text-slate-200">{t(tip.key)}</span>
+                    </motion.div>
+                ))}
+            </div>
+
+            {mask && (
+                <div className="mt-4 p-3 bg-slate-900/5 dark:bg-white/5 rounded-lg">
+                    <div className="flex items-center gap-2 mb-1 text-sm font-semibold text-slate-900 dark:text-white">
+                        <Shield className="w-4 h-4 text-green-600 dark:text-green-400" />
+                        {t("health.mask.heading")}
+                    </div>
+                    <div className="text-sm text-slate-800 dark:text-slate-200">{t(mask.key)}</div>
+                    {mask.gasNote && <div className="mt-1 text-xs text-slate-500 dark:text-slate-400">{t("health.mask.gas")}</div>}
+                </div>
+            )}
+
+            {plan && (
+                <div className="mt-4 p-3 bg-slate-900/5 dark:bg-white/5 rounded-lg">
+                    <div className="flex items-center gap-2 mb-2 text-sm font-semibold text-slate-900 dark:text-white">
+                        <Timer className="w-4 h-4 text-green-600 dark:text-green-400" />
+                        {t("health.plan.heading")}
+                    </div>
+                    <div className="flex gap-2 mb-2">
+                        <select
+                            value={activity}
+                            onChange={(e) => setActivity(e.target.value)}
+                            aria-label={t("health.plan.activity")}
+                            className="flex-1 p-2 rounded-lg bg-white/80 dark:bg-slate-800/60 border border-slate-300 dark:border-slate-600/50 text-slate-900 dark:text-white text-sm"
+                        >
+                            {Object.keys(ACTIVITIES).map(id => (
+                                <option key={id} value={id}>{t(`health.plan.${id}`)}</option>
+                            ))}
+                        </select>
+                        <input
+                            type="number"
+                            min="5"
+                            max="240"
+                            step="5"
+                            value={minutes}
+                            onChange={(e) => setMinutes(Math.max(0, Number(e.target.value) || 0))}
+                            aria-label={t("health.plan.minutes")}
+                            className="w-20 p-2 rounded-lg bg-white/80 dark:bg-slate-800/60 border border-slate-300 dark:border-slate-600/50 text-slate-900 dark:text-white text-sm"
+                        />
+                        <span className="self-center text-xs text-slate-500 dark:text-slate-400">{t("health.plan.minutes")}</span>
+                    </div>
+                    <div className={`p-2 rounded-lg border text-sm ${VERDICT_STYLES[plan.verdict]}`}>
+                        {t(plan.key)}
+                        {plan.verdict !== "safe" && plan.limit > 0 && (
+                            <div className="mt-1 text-xs">{t("health.plan.limit", { limit: plan.limit })}</div>
+                        )}
+                    </div>
+                </div>
+            )}
+        </motion.div>
+    );
+}
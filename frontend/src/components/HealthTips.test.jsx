@@ -0,0 +1,66 @@
+import React from "react";
+import { describe, expect, it, vi } from "vitest";
+import { screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { fetchEnvironment, renderWithLocale } from "../test/utils";
+import HealthTips from "./HealthTips";
+
+const renderTips = async (query, props = {}) => {
+    const { aqi_data: aqiData } = await fetchEnvironment(query);
+    return renderWithLocale(
+        <HealthTips standard="us_epa" aqiData={aqiData} profile="general" onProfileChange={() => {}} {...props} />
+    );
+};
+
+describe("HealthTips", () => {
+    it("gives the all-clear for clean air", async () => {
+        await renderTips("city=Reykjavik");
+
+        expect(screen.getByText("Little or no risk for you. A great time to be outdoors.")).toBeTruthy();
+        expect(screen.getByText("Open the windows to let fresh air in.")).toBeTruthy();
+        expect(screen.getByText("No mask needed.")).toBeTruthy();
+        expect(screen.getByText("Yes, go ahead.")).toBeTruthy();
+    });
+
+    it("warns about hazardous air and names the cause", async () => {
+        await renderTips("city=Delhi");
+
+        expect(screen.getByText("High risk for you. Stay indoors as much as you can.")).toBeTruthy();
+        expect(screen.getByText("Mainly due to PM2.5")).toBeTruthy();
+        expect(screen.getByText("Wear a well-fitted N95/FFP2 respirator outdoors.")).toBeTruthy();
+        expect(screen.getByText("Not recommended; choose an indoor alternative.")).toBeTruthy();
+    });
+
+    it("adds advice for a sensitive profile", async () => {
+        await renderTips("city=Delhi", { profile: "asthma" });
+
+        expect(screen.getByText("Keep your reliever inhaler with you.")).toBeTruthy();
+    });
+
+    it("reports a profile change", async () => {
+        const onProfileChange = vi.fn();
+        await renderTips("city=London", { onProfileChange });
+
+        await userEvent.selectOptions(screen.getByLabelText("Profile"), "heart");
+
+        expect(onProfileChange).toHaveBeenCalledWith("heart");
+    });
+
+    it("plans an activity for the chosen length", async () => {
+        await renderTips("city=Delhi");
+
+        await userEvent.selectOptions(screen.getByLabelText("Activity"), "walk");
+        const minutes = screen.getByRole("spinbutton", { name: "Minutes" });
+        await userEvent.clear(minutes);
+        await userEvent.type(minutes, "10");
+
+        expect(screen.getByText("Yes, go ahead.")).toBeTruthy();
+    });
+
+    it("has nothing to plan without a reading", async () => {
+        await renderTips("city=McMurdo");
+
+        expect(screen.queryByText("Activity planner")).toBeNull();
+        expect(screen.queryByText("Mask")).toBeNull();
+    });
+});
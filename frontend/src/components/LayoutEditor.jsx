@@ -0,0 +1,118 @@
+import React, { useEffect, useRef, useState } from "react";
+import { ArrowLeftRight, ChevronDown, ChevronUp, LayoutGrid } from "lucide-react";
+import { AnimatePresence, motion } from "framer-motion";
+import { COLUMNS, DEFAULT_LAYOUT, PANELS, isVisible, movePanel, switchColumn, togglePanel } from "../utils/layout";
+import { useLocale } from "../i18n/context";
+
+// Popover for arranging the dashboard: show or hide each panel, move it
+// within its column or to the other one, or go back to the default layout
+export default function LayoutEditor({ layout, onChange }) {
+    const { t } = useLocale();
+    const [open, setOpen] = useState(false);
+    const panelRef = useRef(null);
+
+    useEffect(() => {
+        if (!open) return;
+        const onClick = (e) => {
+            if (panelRef.current && !panelRef.current.contains(e.target)) setOpen(false);
+        };
+        const onKeyDown = (e) => {
+            if (e.key === "Escape") setOpen(false);
+        };
+        document.addEventListener("mousedown", onClick);
+        document.addEventListener("keydown", onKeyDown);
+        return () => {
+            document.removeEventListener("mousedown", onClick);
+            document.removeEventListener("keydown", onKeyDown);
+        };
+    }, [open]);
+
+    return (
+        <div className="relative" ref={panelRef}>
+            <button
+                onClick={() => setOpen(!open)}
+                className={`p-3 rounded-xl transition-all duration-300 shadow-lg transform hover:scale-105 ${open
+                        ? 'bg-gradient-to-r from-slate-300/60 dark:from-slate-500/30 to-slate-200/40 dark:to-slate-400/20 text-slate-900 dark:text-white border border-slate-400/60 dark:border-slate-300/50'
+                        : 'bg-slate-100 dark:bg-slate-700/50 hover:bg-slate-200 dark:hover:bg-slate-700/70 border border-slate-300 dark:border-slate-500/50 text-slate-600 dark:text-slate-300 hover:text-slate-900 dark:hover:text-white shadow-slate-500/20'
+                    }`}
+                title={t("layout.title")}
+                aria-label={t("layout.title")}
+                aria-haspopup="true"
+                aria-expanded={open}
+            >
+                <LayoutGrid className="w-5 h-5" aria-hidden="true" />
+            </button>
+
+            <AnimatePresence>
+                {open && (
+                    <motion.div
+                        initial={{ opacity: 0, y: -5 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: -5 }}
+                        className="absolute right-0 mt-2 w-80 z-20 p-4 space-y-4 rounded-xl bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600/50 shadow-2xl"
+                    >
+                        <div className="flex items-center justify-between">
+                            <div className="text-sm font-semibold text-slate-900 dark:text-white">{t("layout.title")}</div>
+                            <button
+                                onClick={() => onChange(DEFAULT_LAYOUT)}
+                                className="text-xs text-blue-700 dark:text-blue-300 hover:text-blue-800 dark:hover:text-blue-200"
+                            >
+                                {t("layout.reset")}
+                            </button>
+                        </div>
+
+                        {COLUMNS.map(column => (
+                            <div key={column}>
+                                <div className="text-xs text-slate-500 dark:text-slate-400 mb-1">{t(`layout.column.${column}`)}</div>
+                                <ul className="space-y-1">
+                                    {layout[column].map((id, index) => {
+                                        const name = t(`layout.panel.${id}`);
+                                        return (
+                                            <li key={id} className="flex items-center gap-1 p-1 rounded-lg bg-slate-100 dark:bg-slate-900/50">
+                                                <label className="flex-1 flex items-center gap-2 text-sm text-slate-800 dark:text-slate-200">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={isVisible(layout, id)}
+                                                        disabled={PANELS[id].required}
+                                                        onChange={(e) => onChange(togglePanel(layout, id, "hidden", !e.target.checked))}
+                                                    />
+                                                    {name}
+                                                </label>
+                                                <button
+                                                    onClick={() => onChange(movePanel(layout, id, -1))}
+                                                    disabled={index === 0}
+                                                    className="p-1 rounded text-slate-500 dark:text-slate-400 hover:text-slate-900 dark:hover:text-white disabled:opacity-30"
+                                                    title={t("layout.moveUp")}
+                                                    aria-label={t("layout.moveUpPanel", { panel: name })}
+                                                >
+                                                    <ChevronUp className="w-4 h-4" aria-hidden="true" />
+                                                </button>
+                                                <button
+                                                    onClick={() => onChange(movePanel(layout, id, 1))}
+                                                    disabled={index === layout[column].length - 1}
+                                                    className="p-1 rounded text-slate-500 dark:text-slate-400 hover:text-slate-900 dark:hover:text-white disabled:opacity-30"
+                                                    title={t("layout.moveDown")}
+                                                    aria-label={t("layout.moveDownPanel", { panel: name })}
+                                                >
+                                                    <ChevronDown className="w-4 h-4" aria-hidden="true" />
+                                                </button>
+                                                <button
+                                                    onClick={() => onChange(switchColumn(layout, id))}
+                                                    className="p-1 rounded text-slate-500 dark:text-slate-400 hover:text-slate-900 dark:hover:text-white"
+                                                    title={t("layout.switchColumn")}
+                                                    aria-label={t("layout.switchColumnPanel", { panel: name })}
+                                                >
+                                                    <ArrowLeftRight className="w-4 h-4" aria-hidden="true" />
+                                                </button>
+                                            </li>
+                                        );
+                                    })}
+                                </ul>
+                            </div>
+                        ))}
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+}
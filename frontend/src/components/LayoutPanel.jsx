@@ -0,0 +1,22 @@
+import React from "react";
+import { ChevronDown, ChevronRight } from "lucide-react";
+import { useLocale } from "../i18n/context";
+
+// One panel of the dashboard layout under a title that collapses it
+export default function LayoutPanel({ id, collapsed, onToggle, children }) {
+    const { t } = useLocale();
+
+    return (
+        <section aria-label={t(`layout.panel.${id}`)}>
+            <button
+                onClick={onToggle}
+                aria-expanded={!collapsed}
+                className="mb-2 flex items-center gap-1 text-xs font-semibold uppercase tracking-wide text-slate-500 hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-200 transition"
+            >
+                {collapsed ? <ChevronRight className="w-4 h-4" aria-hidden="true" /> : <ChevronDown className="w-4 h-4" aria-hidden="true" />}
+                {t(`layout.panel.${id}`)}
+            </button>
+            {!collapsed && children}
+        </section>
+    );
+}
@@ -0,0 +1,37 @@
+import React from "react";
+import { AlertTriangle, RefreshCw } from "lucide-react";
+import { describePartial } from "../utils/api";
+import { useLocale } from "../i18n/context";
+
+// What's missing from a partial /environment response (its "errors"), with a
+// retry button when any of the failures may clear up
+export default function PartialDataNotice({ errors, loading, onRetry }) {
+    const { t } = useLocale();
+    if (!errors?.length) return null;
+
+    return (
+        <div className="flex flex-wrap items-center gap-3 p-4 bg-amber-500/10 border border-amber-500/30 rounded-xl">
+            <div className="flex-1 space-y-1">
+                {errors.map(entry => {
+                    const { key, vars } = describePartial(entry);
+                    return (
+                        <div key={`${entry.code}-${entry.upstream}`} className="flex items-center gap-2 text-sm text-amber-800 dark:text-amber-200">
+                            <AlertTriangle className="w-4 h-4 flex-shrink-0" aria-hidden="true" />
+                            {t(key, vars)}
+                        </div>
+                    );
+                })}
+            </div>
+            {errors.some(entry => entry.retryable) && (
+                <button
+                    onClick={onRetry}
+                    disabled={loading}
+                    className="flex items-center gap-1 px-3 py-1 text-sm rounded-lg bg-amber-500/20 text-amber-900 dark:text-amber-100 hover:bg-amber-500/30 disabled:opacity-50"
+                >
+                    <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} aria-hidden="true" />
+                    {t("error.retry")}
+                </button>
+            )}
+        </div>
+    );
+}
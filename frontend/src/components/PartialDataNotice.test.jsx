@@ -0,0 +1,48 @@
+import React from "react";
+import { describe, expect, it, vi } from "vitest";
+import { screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { fetchEnvironment, renderWithLocale } from "../test/utils";
+import PartialDataNotice from "./PartialDataNotice";
+
+const renderNotice = async (query, props = {}) => {
+    const { errors } = await fetchEnvironment(query);
+    return renderWithLocale(<PartialDataNotice errors={errors} loading={false} onRetry={() => {}} {...props} />);
+};
+
+describe("PartialDataNotice", () => {
+    it("renders nothing for a complete response", async () => {
+        const { container } = await renderNotice("city=London");
+
+        expect(container.textContent).toBe("");
+    });
+
+    it("names the service behind a missing half", async () => {
+        await renderNotice("city=Tokyo");
+
+        expect(screen.getByText(/^Weather data is unavailable because OpenWeather is not responding/)).toBeTruthy();
+    });
+
+    it("words the notice by the half that is missing, not the provider", () => {
+        const errors = [{ code: "UPSTREAM_UNAVAILABLE", message: "", upstream: "openweather", retryable: true, affects: "aqi" }];
+        renderWithLocale(<PartialDataNotice errors={errors} loading={false} onRetry={() => {}} />);
+
+        expect(screen.getByText(/^Air quality data is unavailable because OpenWeather is not responding/)).toBeTruthy();
+    });
+
+    it("offers a retry for a failure that may clear up", async () => {
+        const onRetry = vi.fn();
+        await renderNotice("city=Mumbai", { onRetry });
+
+        expect(screen.getByText(/^Air quality data is unavailable because WAQI is not responding/)).toBeTruthy();
+        await userEvent.click(screen.getByRole("button", { name: "Retry" }));
+        expect(onRetry).toHaveBeenCalledTimes(1);
+    });
+
+    it("has nothing to retry when there is simply no data", async () => {
+        await renderNotice("city=McMurdo");
+
+        expect(screen.getByText("No air quality station covers this location.")).toBeTruthy();
+        expect(screen.queryByRole("button")).toBeNull();
+    });
+});
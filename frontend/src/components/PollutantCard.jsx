@@ -0,0 +1,89 @@
+import React, { useId } from "react";
+import { Activity, ChevronDown, ChevronRight, Droplet, Thermometer, Wind } from "lucide-react";
+import { motion, AnimatePresence } from "framer-motion";
+import { subIndex, pollutantCategory, pollutantPercent } from "../utils/aqi";
+import { useLocale } from "../i18n/context";
+import PollutantDetail from "./PollutantDetail";
+import { providerName } from "../utils/providers";
+
+// Weather readings get their own icon; pollutants share Activity
+const ICONS = { dew: Droplet, h: Droplet, t: Thermometer, w: Wind, wd: Wind, wg: Wind };
+
+// One reading (`k` is a WAQI iaqi key such as pm25) with its category and,
+// when expanded, the PollutantDetail drill-down for `city`. `source` is the
+// reading's aqi_data.sources entry; `fallback` marks one filled in by a
+// provider other than the main one.
+export default function PollutantCard({ k, value, standard, city, source, fallback, expanded, onToggle }) {
+    const { t, formatMeasurement, label, categoryLabel } = useLocale();
+    const detailId = useId();
+    const Icon = ICONS[k] || Activity;
+    const reading = formatMeasurement(k, value);
+    const index = subIndex(standard, k, value);
+    const catObj = pollutantCategory(standard, k, value);
+    const widthPct = index === null ? 0 : pollutantPercent(standard, k, value);
+
+    return (
+        <motion.div
+            layout
+            whileHover={{ scale: 1.02 }}
+            className="bg-white/70 dark:bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-300 dark:border-slate-600/50 hover:border-slate-400 dark:hover:border-slate-500/70 transition-all"
+        >
+            <button
+                type="button"
+                onClick={onToggle}
+                aria-expanded={expanded}
+                aria-controls={detailId}
+                className="block w-full p-4 text-left rounded-xl"
+            >
+                <span className="flex items-center justify-between mb-3">
+                    <span className="flex items-center gap-3">
+                        <span className="w-10 h-10 rounded-lg bg-gradient-to-r from-blue-500/20 to-purple-500/20 border border-blue-500/30 flex items-center justify-center">
+                            <Icon size={20} className="text-blue-600 dark:text-blue-400" aria-hidden="true" />
+                        </span>
+                        <span>
+                            <span className="block font-semibold text-slate-900 dark:text-white">{label(k)}</span>
+                            <span className="block text-sm text-slate-600 dark:text-slate-300">{reading}</span>
+                            {fallback && source && (
+                                <span className="block text-xs text-slate-500 dark:text-slate-400">{t("source.via", { provider: providerName(source.provider) })}</span>
+                            )}
+                        </span>
+                    </span>
+
+                    <span className="text-right">
+                        <span className={`inline-block px-3 py-1 rounded-full text-xs font-semibold ${catObj.color} ${catObj.text}`}>
+                            {categoryLabel(catObj.cat)}
+                        </span>
+                        <span className="flex justify-end mt-1">
+                            {expanded ? <ChevronDown className="w-4 h-4 text-slate-500 dark:text-slate-400" aria-hidden="true" /> : <ChevronRight className="w-4 h-4 text-slate-500 dark:text-slate-400" aria-hidden="true" />}
+                        </span>
+                    </span>
+                </span>
+
+                {/* Progress Bar */}
+                <span className="block bg-slate-200/70 dark:bg-slate-700/30 h-2 rounded-full overflow-hidden">
+                    <motion.span
+                        initial={{ width: 0 }}
+                        animate={{ width: `${widthPct}%` }}
+                        transition={{ duration: 1, delay: 0.1 }}
+                        className="block h-2 rounded-full bg-gradient-to-r from-blue-400 to-purple-400"
+                    />
+                </span>
+            </button>
+
+            {/* Expanded Information */}
+            <AnimatePresence>
+                {expanded && (
+                    <motion.div
+                        id={detailId}
+                        initial={{ opacity: 0, height: 0 }}
+                        animate={{ opacity: 1, height: "auto" }}
+                        exit={{ opacity: 0, height: 0 }}
+                        className="mx-4 mb-4 text-sm text-slate-600 dark:text-slate-300 border-t border-slate-300 dark:border-slate-600/50 pt-3"
+                    >
+                        <PollutantDetail k={k} value={value} standard={standard} city={city} source={source} />
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </motion.div>
+    );
+}
@@ -0,0 +1,74 @@
+import React from "react";
+import { describe, expect, it, vi } from "vitest";
+import { screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { pollutantCategory } from "../utils/aqi";
+import { fetchEnvironment, renderWithLocale } from "../test/utils";
+import PollutantCard from "./PollutantCard";
+
+const renderCard = async (query, k, props = {}) => {
+    const { city, aqi_data: aqiData } = await fetchEnvironment(query);
+    const value = aqiData.pollutants[k];
+    renderWithLocale(
+        <PollutantCard
+            k={k}
+            value={value}
+            standard="us_epa"
+            city={city}
+            source={aqiData.sources[k]}
+            fallback={aqiData.sources[k].provider !== aqiData.source.provider}
+            expanded={false}
+            onToggle={() => {}}
+            {...props}
+        />
+    );
+    return value;
+};
+
+describe("PollutantCard", () => {
+    it("shows the reading and its category", async () => {
+        const value = await renderCard("city=Delhi", "pm25");
+
+        expect(screen.getByText("PM2.5")).toBeTruthy();
+        expect(screen.getByText(`${value} µg/m³`)).toBeTruthy();
+        expect(screen.getByText(pollutantCategory("us_epa", "pm25", value).cat)).toBeTruthy();
+        expect(screen.queryByText(/^via /)).toBeNull();
+    });
+
+    it("names the provider of a value filled in by a fallback", async () => {
+        await renderCard("city=Kathmandu", "pm25");
+
+        expect(screen.getByText("via Open-Meteo")).toBeTruthy();
+    });
+
+    it("asks to expand from its header button", async () => {
+        const onToggle = vi.fn();
+        await renderCard("city=Delhi", "pm25", { onToggle });
+
+        const header = screen.getByRole("button", { name: /^PM2\.5/ });
+        expect(header.getAttribute("aria-expanded")).toBe("false");
+        await userEvent.click(header);
+
+        expect(onToggle).toHaveBeenCalledTimes(1);
+    });
+
+    it("toggles from the keyboard", async () => {
+        const onToggle = vi.fn();
+        await renderCard("city=Delhi", "pm25", { onToggle });
+
+        await userEvent.tab();
+        await userEvent.keyboard("{Enter}");
+
+        expect(onToggle).toHaveBeenCalledTimes(1);
+    });
+
+    it("shows the drill-down when expanded", async () => {
+        vi.spyOn(console, "error").mockImplementation(() => {});
+        await renderCard("city=Delhi", "pm25", { expanded: true });
+
+        const header = screen.getByRole("button", { name: /^PM2\.5/ });
+        expect(header.getAttribute("aria-expanded")).toBe("true");
+        const detail = document.getElementById(header.getAttribute("aria-controls"));
+        expect(detail.textContent).toContain("Fine particulate matter (≤ 2.5 µm)");
+    });
+});
@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from "react";
+import { POLLUTANT_META, alternateReading, whoComparison, unitFor } from "../utils/pollutants";
+import { categoryPattern, getStandard, subIndex, pollutantBands, pollutantScalePosition } from "../utils/aqi";
+import { getHistory } from "../utils/history";
+import { useLocale } from "../i18n/context";
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+const SPARK_WIDTH = 300;
+const SPARK_HEIGHT = 48;
+
+// Drill-down for one reading of an expanded PollutantCard: where it sits on the
+// standard's breakpoints, how it compares with the WHO guideline, what causes
+// it and what it does, and what this browser has recorded for it in `city`.
+// Weather readings only get the current value. `source` says which provider
+// and station the value came from.
+export default function PollutantDetail({ k, value, standard, city, source }) {
+    const { t, formatNumber, formatMeasurement, formatDate, categoryLabel, sourceLabel } = useLocale();
+    const [history, setHistory] = useState([]);
+    const isPollutant = Boolean(POLLUTANT_META[k]?.who);
+
+    useEffect(() => {
+        if (!city || !isPollutant) return;
+        let cancelled = false;
+        getHistory(city, Date.now() - WEEK)
+            .then(rows => {
+                if (cancelled) return;
+                setHistory(rows
+                    .filter(r => r.pollutants?.[k] !== null && r.pollutants?.[k] !== undefined)
+                    .map(r => ({ t: r.timestamp, v: Number(r.pollutants[k]) }))
+                    .filter(p => !isNaN(p.v)));
+            })
+            .catch(err => console.error("Failed to load history:", err));
+        return () => { cancelled = true; };
+    }, [city, k, isPollutant]);
+
+    const unit = unitFor(k);
+    const reading = formatMeasurement(k, value);
+    const index = subIndex(standard, k, value);
+    const bands = pollutantBands(standard, k);
+    const position = pollutantScalePosition(standard, k, value);
+    const who = whoComparison(k, value);
+    const alternate = alternateReading(k, value);
+
+    const values = history.map(p => p.v);
+    const max = Math.max(...values);
+    const min = Math.min(...values);
+    const avg = values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+    const now = Date.now();
+    const sparkPath = history
+        .map((p, i) => {
+            const x = ((p.t - (now - WEEK)) / WEEK) * SPARK_WIDTH;
+            const y = SPARK_HEIGHT - (max > 0 ? (p.v / max) * (SPARK_HEIGHT - 4) : 0) - 2;
+            return `${i === 0 ? "M" : "L"}${x.toFixed(1)},${y.toFixed(1)}`;
+        })
+        .join(" ");
+
+    return (
+        // Clicks inside the detail shouldn't collapse the card
+        <div className="space-y-4" onClick={(e) => e.stopPropagation()}>
+            <div className="space-y-1">
+                <div>{t("pollutants.current")}: <span className="font-semibold text-slate-900 dark:text-white">{reading}</span></div>
+                {alternate && (
+                    <div className="text-xs text-slate-500 dark:text-slate-400">
+                        {t("pollutant.equals", { value: `${formatNumber(alternate.value, 1)} ${alternate.unit}` })}
+                    </div>
+                )}
+                {index !== null && (
+                    <div>{t("pollutants.subIndex", { standard: getStandard(standard).label })}: <span className="font-semibold text-slate-900 dark:text-white">{index}</span></div>
+                )}
+                {source && (
+                    <div className="text-xs text-slate-500 dark:text-slate-400">{t("source.label", { source: sourceLabel(source) })}</div>
+                )}
+            </div>
+
+            {position !== null && (
+                <div>
+                    <div className="mb-1 text-xs text-slate-500 dark:text-slate-400">{t("pollutant.scale", { standard: getStandard(standard).label })}</div>
+                    <div className="relative">
+                        <div className="flex h-3 rounded-full overflow-hidden">
+                            {bands.map(b => (
+                                <div key={b.cat} className={`flex-1 ${b.color} ${categoryPattern(b)}`} title={categoryLabel(b.cat)}></div>
+                            ))}
+                        </div>
+                        <div
+                            className="absolute -top-1 w-1 h-5 bg-white rounded shadow"
+                            style={{ left: `calc(${position}% - 2px)` }}
+                        ></div>
+                    </div>
+                    <div className="flex mt-1 text-[10px] text-slate-500 dark:text-slate-400">
+                        {bands.map(b => (
+                            <div key={b.cat} className="flex-1 truncate">{formatNumber(b.from, 1)}</div>
+                        ))}
+                    </div>
+                    <div className="text-[10px] text-slate-500 text-right">{unit}</div>
+                </div>
+            )}
+
+            {who && (
+                <div className={`p-2 rounded-lg text-sm ${who.multiple > 1 ? "bg-orange-500/15 text-orange-800 dark:text-orange-200" : "bg-green-500/15 text-green-800 dark:text-green-200"}`}>
+                    {t(who.multiple > 1 ? "pollutant.who" : "pollutant.whoWithin", {
+                        multiple: formatNumber(who.multiple, 1),
+                        period: t(`pollutant.period.${who.period}`),
+                        limit: `${formatNumber(who.limit)} ${who.unit}`,
+                    })}
+                </div>
+            )}
+
+            {isPollutant && (
+                <div className="space-y-2">
+                    <div className="text-xs text-slate-500 dark:text-slate-400">{t(`pollutant.${k}.name`)}</div>
+                    <div>
+                        <div className="font-semibold text-slate-900 dark:text-white text-xs">{t("pollutant.sources")}</div>
+                        <div>{t(`pollutant.${k}.sources`)}</div>
+                    </div>
+                    <div>
+                        <div className="font-semibold text-slate-900 dark:text-white text-xs">{t("pollutant.effects")}</div>
+                        <div>{t(`pollutant.${k}.effects`)}</div>
+                    </div>
+                </div>
+            )}
+
+            {isPollutant && (
+                <div>
+                    <div className="mb-1 text-xs text-slate-500 dark:text-slate-400">{t("pollutant.history")}</div>
+                    {history.length > 0 ? (
+                        <>
+                            <svg viewBox={`0 0 ${SPARK_WIDTH} ${SPARK_HEIGHT}`} className="w-full h-12" preserveAspectRatio="none">
+                                <path d={sparkPath} fill="none" stroke="#60a5fa" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+                            </svg>
+                            <div className="flex justify-between text-[10px] text-slate-500">
+                                <span>{formatDate(now - WEEK, { month: "short", day: "numeric" })}</span>
+                                <span>{formatDate(now, { month: "short", day: "numeric" })}</span>
+                            </div>
+                            <div className="text-xs text-slate-600 dark:text-slate-300">
+                                {t("pollutant.historyStats", {
+                                    min: formatNumber(min, 1),
+                                    avg: formatNumber(avg, 1),
+                                    max: formatNumber(max, 1),
+                                })} {unit}
+                            </div>
+                        </>
+                    ) : (
+                        <div className="text-xs text-slate-500">{t("pollutant.noHistory")}</div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
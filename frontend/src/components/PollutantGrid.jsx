@@ -0,0 +1,41 @@
+import React from "react";
+import { Heart } from "lucide-react";
+import { useLocale } from "../i18n/context";
+import PollutantCard from "./PollutantCard";
+
+// A card for every reading in `aqiData.pollutants`, at most one of them
+// (`expanded`) showing its drill-down. `onExpand(k)` gets null to collapse it.
+export default function PollutantGrid({ aqiData, city, standard, expanded, onExpand, onHealthTips, narrow = false }) {
+    const { t } = useLocale();
+
+    return (
+        <>
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-slate-900 dark:text-white">{t("pollutants.heading")}</h3>
+                <button
+                    onClick={onHealthTips}
+                    className="flex items-center gap-2 px-3 py-1 bg-blue-500/20 hover:bg-blue-500/30 rounded-lg transition text-blue-700 dark:text-blue-300"
+                >
+                    <Heart className="w-4 h-4" aria-hidden="true" />
+                    {t("pollutants.healthTips")}
+                </button>
+            </div>
+
+            <div className={`grid grid-cols-1 gap-4 ${narrow ? "" : "md:grid-cols-2"}`}>
+                {Object.entries(aqiData?.pollutants || {}).map(([k, v]) => (
+                    <PollutantCard
+                        key={k}
+                        k={k}
+                        value={v}
+                        standard={standard}
+                        city={city}
+                        source={aqiData.sources?.[k]}
+                        fallback={aqiData.sources?.[k]?.provider !== aqiData.source?.provider}
+                        expanded={expanded === k}
+                        onToggle={() => onExpand(expanded === k ? null : k)}
+                    />
+                ))}
+            </div>
+        </>
+    );
+}
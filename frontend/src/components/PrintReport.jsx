@@ -0,0 +1,75 @@
+import React from "react";
+import { unitFor } from "../utils/pollutants";
+import { getStandard, headlineAqi, subIndex, pollutantCategory } from "../utils/aqi";
+import { healthAdvice } from "../utils/health";
+import { useLocale } from "../i18n/context";
+
+// One-page report that only renders when printing (or saving as PDF)
+export default function PrintReport({ data, standard, profile, lastUpdated }) {
+    const { t, formatNumber, formatMeasurement, formatDateTime, label, categoryLabel } = useLocale();
+    const { aqi, category, dominant } = headlineAqi(standard, data?.aqi_data);
+    const { tips, mask } = healthAdvice(standard, data?.aqi_data, profile);
+    const pollutants = Object.entries(data?.aqi_data?.pollutants || {}).filter(([k, v]) => subIndex(standard, k, v) !== null);
+
+    return (
+        <div className="hidden print:block text-black bg-white text-sm">
+            <div className="flex items-end justify-between border-b-2 border-black pb-3 mb-6">
+                <div>
+                    <div className="text-xs uppercase tracking-wide">दुनिया मौसम · {t("print.subtitle")}</div>
+                    <h1 className="text-3xl font-bold">{data?.place || data?.city || t("location.unknown")}</h1>
+                </div>
+                <div className="text-xs text-right">
+                    {formatDateTime(lastUpdated || new Date())}
+                </div>
+            </div>
+
+            <div className="flex items-center gap-6 mb-6">
+                <div className="text-6xl font-extrabold">{aqi ?? "—"}</div>
+                <div>
+                    <div className="text-xs uppercase">{t("aqi.label", { standard: getStandard(standard).label })}</div>
+                    <div className={`inline-block px-3 py-1 mt-1 rounded-full font-semibold ${category.color} ${category.text}`}>{categoryLabel(category.cat)}</div>
+                    {dominant && (
+                        <div className="mt-1">{t("print.dominant", { pollutant: label(dominant) })}</div>
+                    )}
+                </div>
+                <div className="ml-auto text-right">
+                    <div>{formatMeasurement("t", data?.weather_data?.temperature)} · {t("print.humidity", { value: formatNumber(data?.weather_data?.humidity) })}</div>
+                    <div className="capitalize">{data?.weather_data?.weather ?? "—"}</div>
+                </div>
+            </div>
+
+            <table className="w-full mb-6 border-collapse">
+                <thead>
+                    <tr className="border-b border-black text-left">
+                        <th className="py-1">{t("print.pollutant")}</th>
+                        <th className="py-1">{t("print.value")}</th>
+                        <th className="py-1">{t("print.unit")}</th>
+                        <th className="py-1">{t("print.subIndex")}</th>
+                        <th className="py-1">{t("print.category")}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {pollutants.map(([k, v]) => (
+                        <tr key={k} className="border-b border-gray-300">
+                            <td className="py-1">{label(k)}</td>
+                            <td className="py-1">{formatNumber(v)}</td>
+                            <td className="py-1">{unitFor(k)}</td>
+                            <td className="py-1">{subIndex(standard, k, v)}</td>
+                            <td className="py-1">{categoryLabel(pollutantCategory(standard, k, v).cat)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            <h2 className="text-lg font-bold mb-2">{t("health.heading")} · {t(`health.profile.${profile}`)}</h2>
+            <ul className="list-disc pl-5 space-y-1 mb-6">
+                {tips.map(tip => <li key={tip.id}>{t(tip.key)}</li>)}
+                {mask && <li>{t("health.mask.heading")}: {t(mask.key)}{mask.gasNote && ` ${t("health.mask.gas")}`}</li>}
+            </ul>
+
+            <p className="text-xs border-t border-gray-400 pt-2">
+                {t("guide.disclaimer")}
+            </p>
+        </div>
+    );
+}
@@ -0,0 +1,45 @@
+import React from "react";
+import { Download, Share2 } from "lucide-react";
+import { motion } from "framer-motion";
+import { useLocale } from "../i18n/context";
+
+// Shortcuts to the health tips, the JSON export and sharing
+export default function QuickActions({ onHealthTips, onExport, onShare }) {
+    const { t } = useLocale();
+
+    return (
+        <motion.div
+            className="p-6 rounded-2xl bg-gradient-to-br from-white/90 dark:from-slate-800/40 to-slate-50/90 dark:to-slate-900/60 backdrop-blur-sm border border-slate-300 dark:border-slate-600/50 shadow-lg"
+            initial={{ opacity: 0, x: 20 }}
+            animate={{ opacity: 1, x: 0, transition: { delay: 0.2 } }}
+        >
+            <h3 className="text-lg font-semibold text-slate-900 dark:text-white mb-4">{t("quick.heading")}</h3>
+
+            <div className="space-y-3">
+                <button
+                    onClick={onHealthTips}
+                    className="w-full flex items-center gap-3 p-3 bg-blue-500/20 hover:bg-blue-500/30 rounded-lg transition text-left"
+                >
+                    {/* <Lungs className="w-5 h-5 text-blue-600 dark:text-blue-400" /> */}
+                    <span className="text-slate-900 dark:text-white">{t("quick.health")}</span>
+                </button>
+
+                <button
+                    onClick={onExport}
+                    className="w-full flex items-center gap-3 p-3 bg-purple-500/20 hover:bg-purple-500/30 rounded-lg transition text-left"
+                >
+                    <Download className="w-5 h-5 text-purple-600 dark:text-purple-400" aria-hidden="true" />
+                    <span className="text-slate-900 dark:text-white">{t("quick.export")}</span>
+                </button>
+
+                <button
+                    onClick={onShare}
+                    className="w-full flex items-center gap-3 p-3 bg-green-500/20 hover:bg-green-500/30 rounded-lg transition text-left"
+                >
+                    <Share2 className="w-5 h-5 text-green-600 dark:text-green-400" aria-hidden="true" />
+                    <span className="text-slate-900 dark:text-white">{t("quick.share")}</span>
+                </button>
+            </div>
+        </motion.div>
+    );
+}
@@ -0,0 +1,56 @@
+import React from "react";
+import { LocateFixed, RefreshCw, Zap } from "lucide-react";
+import { useLocale } from "../i18n/context";
+import CitySearch from "./CitySearch";
+
+// City search with suggestions (see CitySearch), a button to use the browser's
+// location and one to look up what's typed. `onSubmit(name)` runs for a typed
+// or recent name, `onSelectPlace(place)` for a /geocode suggestion.
+export default function SearchBar({
+    fetchUrl, value, onChange, onSubmit, onSelectPlace, onLocate, loading, locating, favorites, recent, inputRef,
+}) {
+    const { t } = useLocale();
+
+    return (
+        <div className="relative group">
+            <div className="absolute inset-0 bg-gradient-to-r from-blue-500/20 to-purple-500/20 rounded-xl blur-lg opacity-50 group-hover:opacity-70 transition-opacity"></div>
+            <div className="relative flex items-center gap-2 bg-white/80 dark:bg-slate-800/50 backdrop-blur-lg rounded-xl p-3 border border-slate-300 dark:border-slate-500/50 shadow-lg shadow-blue-500/20 hover:shadow-blue-500/30 transition-all duration-300">
+                <CitySearch
+                    fetchUrl={fetchUrl}
+                    value={value}
+                    onChange={onChange}
+                    onSubmit={onSubmit}
+                    onSelectPlace={onSelectPlace}
+                    favorites={favorites}
+                    recent={recent}
+                    placeholder={t("search.placeholder")}
+                    inputRef={inputRef}
+                    className="bg-transparent outline-none placeholder:text-slate-400 px-3 py-1 w-52 text-slate-900 dark:text-white font-medium focus:placeholder:text-slate-500 transition-colors"
+                />
+                <button
+                    onClick={onLocate}
+                    disabled={loading || locating}
+                    className="p-2 rounded-lg text-slate-600 dark:text-slate-300 hover:text-slate-900 dark:hover:text-white hover:bg-slate-200 dark:hover:bg-slate-700/70 transition disabled:opacity-50"
+                    title={t("search.locate")}
+                    aria-label={t("search.locate")}
+                >
+                    <LocateFixed className={`w-4 h-4 ${locating ? 'animate-pulse text-blue-700 dark:text-blue-300' : ''}`} aria-hidden="true" />
+                </button>
+                <button
+                    onClick={() => onSubmit(value)}
+                    disabled={loading}
+                    className="px-5 py-2 bg-gradient-to-r from-blue-500 via-purple-600 to-fuchsia-500 hover:from-blue-600 hover:via-purple-700 hover:to-fuchsia-600 rounded-lg transition-all duration-300 disabled:opacity-50 flex items-center gap-2 shadow-lg shadow-purple-500/30 hover:shadow-purple-500/50 transform hover:scale-105 font-semibold text-white"
+                >
+                    {loading ? (
+                        <RefreshCw className="w-4 h-4 animate-spin" aria-label={t("search.loading")} />
+                    ) : (
+                        <>
+                            <Zap className="w-4 h-4 text-yellow-300 drop-shadow-lg" aria-hidden="true" />
+                            <span className="text-white">{t("search.analyze")}</span>
+                        </>
+                    )}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,139 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Settings } from "lucide-react";
+import { AnimatePresence, motion } from "framer-motion";
+import { LOCALES } from "../i18n";
+import { useLocale } from "../i18n/context";
+import { UNIT_OPTIONS } from "../utils/units";
+
+const UNIT_ROWS = [
+    { kind: "temperature", label: "settings.temperature" },
+    { kind: "speed", label: "settings.speed" },
+    { kind: "pressure", label: "settings.pressure" },
+];
+
+const THEMES = ["light", "dark", "system"];
+
+// Display options, stored as preferences.accessibility (see utils/storage)
+const ACCESSIBILITY_ROWS = [
+    { kind: "contrast", label: "settings.contrast", options: ["normal", "high"] },
+    // "system" follows the OS prefers-reduced-motion setting
+    { kind: "motion", label: "settings.motion", options: ["system", "reduce"] },
+];
+
+export default function SettingsPanel({ locale, onLocaleChange, units, onUnitsChange, accessibility, onAccessibilityChange, theme, onThemeChange }) {
+    const { t } = useLocale();
+    const [open, setOpen] = useState(false);
+    const panelRef = useRef(null);
+
+    useEffect(() => {
+        if (!open) return;
+        const onClick = (e) => {
+            if (panelRef.current && !panelRef.current.contains(e.target)) setOpen(false);
+        };
+        const onKeyDown = (e) => {
+            if (e.key === "Escape") setOpen(false);
+        };
+        document.addEventListener("mousedown", onClick);
+        document.addEventListener("keydown", onKeyDown);
+        return () => {
+            document.removeEventListener("mousedown", onClick);
+            document.removeEventListener("keydown", onKeyDown);
+        };
+    }, [open]);
+
+    return (
+        <div className="relative" ref={panelRef}>
+            <button
+                onClick={() => setOpen(!open)}
+                className={`p-3 rounded-xl transition-all duration-300 shadow-lg transform hover:scale-105 ${open
+                        ? 'bg-gradient-to-r from-slate-300/60 dark:from-slate-500/30 to-slate-200/40 dark:to-slate-400/20 text-slate-900 dark:text-white border border-slate-400/60 dark:border-slate-300/50'
+                        : 'bg-slate-100 dark:bg-slate-700/50 hover:bg-slate-200 dark:hover:bg-slate-700/70 border border-slate-300 dark:border-slate-500/50 text-slate-600 dark:text-slate-300 hover:text-slate-900 dark:hover:text-white shadow-slate-500/20'
+                    }`}
+                title={t("settings.title")}
+                aria-label={t("settings.title")}
+                aria-haspopup="true"
+                aria-expanded={open}
+            >
+                <Settings className="w-5 h-5" aria-hidden="true" />
+            </button>
+
+            <AnimatePresence>
+                {open && (
+                    <motion.div
+                        initial={{ opacity: 0, y: -5 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: -5 }}
+                        className="absolute right-0 mt-2 w-72 z-20 p-4 space-y-4 rounded-xl bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600/50 shadow-2xl"
+                    >
+                        <div className="text-sm font-semibold text-slate-900 dark:text-white">{t("settings.title")}</div>
+
+                        <label className="block text-xs text-slate-500 dark:text-slate-400">
+                            {t("settings.language")}
+                            <select
+                                value={locale}
+                                onChange={(e) => onLocaleChange(e.target.value)}
+                                className="mt-1 w-full px-2 py-1 bg-slate-100 dark:bg-slate-900/70 border border-slate-300 dark:border-slate-600/50 rounded-lg text-sm text-slate-900 dark:text-white"
+                            >
+                                {Object.entries(LOCALES).map(([id, l]) => (
+                                    <option key={id} value={id}>{l.label}</option>
+                                ))}
+                            </select>
+                        </label>
+
+                        <div>
+                            <div className="text-xs text-slate-500 dark:text-slate-400 mb-1">{t("settings.theme")}</div>
+                            <div className="flex rounded-lg overflow-hidden border border-slate-300 dark:border-slate-600/50">
+                                {THEMES.map(option => (
+                                    <button
+                                        key={option}
+                                        onClick={() => onThemeChange(option)}
+                                        aria-pressed={theme === option}
+                                        className={`flex-1 px-3 py-1 text-sm transition ${theme === option ? "bg-blue-500/30 text-slate-900 dark:text-white" : "bg-slate-100 dark:bg-slate-900/50 text-slate-600 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-700/70"}`}
+                                    >
+                                        {t(`settings.theme.${option}`)}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        {UNIT_ROWS.map(row => (
+                            <div key={row.kind}>
+                                <div className="text-xs text-slate-500 dark:text-slate-400 mb-1">{t(row.label)}</div>
+                                <div className="flex rounded-lg overflow-hidden border border-slate-300 dark:border-slate-600/50">
+                                    {UNIT_OPTIONS[row.kind].map(u => (
+                                        <button
+                                            key={u.id}
+                                            onClick={() => onUnitsChange({ ...units, [row.kind]: u.id })}
+                                            aria-pressed={units[row.kind] === u.id}
+                                            className={`flex-1 px-3 py-1 text-sm transition ${units[row.kind] === u.id ? "bg-blue-500/30 text-slate-900 dark:text-white" : "bg-slate-100 dark:bg-slate-900/50 text-slate-600 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-700/70"}`}
+                                        >
+                                            {u.label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        ))}
+
+                        {ACCESSIBILITY_ROWS.map(row => (
+                            <div key={row.kind}>
+                                <div className="text-xs text-slate-500 dark:text-slate-400 mb-1">{t(row.label)}</div>
+                                <div className="flex rounded-lg overflow-hidden border border-slate-300 dark:border-slate-600/50">
+                                    {row.options.map(option => (
+                                        <button
+                                            key={option}
+                                            onClick={() => onAccessibilityChange({ ...accessibility, [row.kind]: option })}
+                                            aria-pressed={accessibility[row.kind] === option}
+                                            className={`flex-1 px-3 py-1 text-sm transition ${accessibility[row.kind] === option ? "bg-blue-500/30 text-slate-900 dark:text-white" : "bg-slate-100 dark:bg-slate-900/50 text-slate-600 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-700/70"}`}
+                                        >
+                                            {t(`${row.label}.${option}`)}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        ))}
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+}
@@ -0,0 +1,84 @@
+import React, { useEffect, useId, useRef } from "react";
+import { Keyboard, X } from "lucide-react";
+import { motion } from "framer-motion";
+import { useLocale } from "../i18n/context";
+
+// Keys handled by the dashboard (see useKeyboardShortcuts there), with their
+// descriptions in the catalogs as shortcuts.<id>
+const SHORTCUTS = [
+    { id: "search", keys: ["/"] },
+    { id: "refresh", keys: ["r"] },
+    { id: "favorite", keys: ["f"] },
+    { id: "previous", keys: ["["] },
+    { id: "next", keys: ["]"] },
+    { id: "help", keys: ["?"] },
+];
+
+// Modal list of the keyboard shortcuts. Focus moves into the dialog while it
+// is open and back to whatever had it on close.
+export default function ShortcutsHelp({ onClose }) {
+    const { t } = useLocale();
+    const titleId = useId();
+    const closeRef = useRef(null);
+
+    useEffect(() => {
+        const previous = document.activeElement;
+        closeRef.current?.focus();
+        return () => previous?.focus?.();
+    }, []);
+
+    const onKeyDown = (e) => {
+        if (e.key === "Escape") {
+            e.stopPropagation();
+            onClose();
+        } else if (e.key === "Tab") {
+            // The close button is the only control, so focus stays on it
+            e.preventDefault();
+            closeRef.current?.focus();
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60" onClick={onClose}>
+            <motion.div
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby={titleId}
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                exit={{ opacity: 0, scale: 0.95 }}
+                onClick={(e) => e.stopPropagation()}
+                onKeyDown={onKeyDown}
+                className="w-full max-w-sm p-6 rounded-2xl bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600/50 shadow-2xl"
+            >
+                <div className="flex items-center justify-between mb-4">
+                    <h2 id={titleId} className="text-lg font-semibold text-slate-900 dark:text-white flex items-center gap-2">
+                        <Keyboard className="w-5 h-5 text-blue-600 dark:text-blue-400" aria-hidden="true" />
+                        {t("shortcuts.title")}
+                    </h2>
+                    <button
+                        ref={closeRef}
+                        onClick={onClose}
+                        className="p-1 rounded text-slate-500 dark:text-slate-400 hover:text-slate-900 dark:hover:text-white"
+                        aria-label={t("shortcuts.close")}
+                    >
+                        <X className="w-4 h-4" aria-hidden="true" />
+                    </button>
+                </div>
+
+                <dl className="space-y-2 text-sm">
+                    {SHORTCUTS.map(s => (
+                        <div key={s.id} className="flex items-center justify-between gap-4">
+                            <dt className="text-slate-600 dark:text-slate-300">{t(`shortcuts.${s.id}`)}</dt>
+                            <dd className="flex gap-1">
+                                {s.keys.map(k => (
+                                    <kbd key={k} className="px-2 py-0.5 rounded bg-slate-100 dark:bg-slate-900/70 border border-slate-300 dark:border-slate-600/50 font-mono text-slate-900 dark:text-white">{k}</kbd>
+                                ))}
+                            </dd>
+                        </div>
+                    ))}
+                </dl>
+            </motion.div>
+        </div>
+    );
+}
@@ -0,0 +1,140 @@
+import React, { useEffect, useRef, useState } from "react";
+import axios from "axios";
+import L from "leaflet";
+import "leaflet/dist/leaflet.css";
+import { Map as MapIcon } from "lucide-react";
+import { categoryFor } from "../utils/aqi";
+import { useLocale } from "../i18n/context";
+
+// Point VITE_MAP_TILE_URL at a local tile server to run without OpenStreetMap
+const TILE_URL = import.meta.env.VITE_MAP_TILE_URL || "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
+const TILE_ATTRIBUTION = import.meta.env.VITE_MAP_ATTRIBUTION || "&copy; OpenStreetMap contributors";
+
+const DEFAULT_ZOOM = 10;
+const MOVE_DEBOUNCE_MS = 400;
+// Radius of each station's glow in the heatmap layer
+const HEAT_RADIUS_M = 4000;
+
+// WAQI's map API only reports each station's US AQI, so markers are always
+// coloured on the US EPA scale regardless of the selected standard.
+const MAP_STANDARD = "us_epa";
+
+// Nearby monitoring stations around `center`, coloured by AQI category.
+// Clicking one hands it to `onSelectStation` to load its full reading.
+export default function StationMap({ fetchUrl, center, activeStation, onSelectStation }) {
+    const { t, categoryLabel } = useLocale();
+    const containerRef = useRef(null);
+    const mapRef = useRef(null);
+    const layersRef = useRef(null);
+    const selectRef = useRef(onSelectStation);
+    const [stations, setStations] = useState([]);
+    const [showHeat, setShowHeat] = useState(true);
+    const [failed, setFailed] = useState(false);
+
+    useEffect(() => {
+        selectRef.current = onSelectStation;
+    }, [onSelectStation]);
+
+    // Create the map once and reload stations whenever the view settles
+    useEffect(() => {
+        const map = L.map(containerRef.current, { zoomControl: true }).setView([0, 0], 2);
+        L.tileLayer(TILE_URL, { attribution: TILE_ATTRIBUTION, maxZoom: 18 }).addTo(map);
+        layersRef.current = { heat: L.layerGroup().addTo(map), markers: L.layerGroup().addTo(map) };
+        mapRef.current = map;
+
+        let timer;
+        let latest = 0;
+        const load = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                // Panning past the antimeridian leaves longitudes outside ±180; a
+                // box across it comes out with west > east, and one wider than
+                // the world still spans more than 360°
+                const b = map.wrapLatLngBounds(map.getBounds());
+                const [west, east] = b.getEast() - b.getWest() >= 360 ? [-180, 180] : [b.getWest(), b.getEast()];
+                const bounds = [b.getSouth(), west, b.getNorth(), east].map(v => v.toFixed(4)).join(",");
+                const request = ++latest;
+                axios(`${fetchUrl}/stations?bounds=${bounds}`)
+                    .then(res => {
+                        if (request !== latest) return;
+                        setStations(res.data.stations || []);
+                        setFailed(false);
+                    })
+                    .catch(err => {
+                        console.error("Failed to load stations:", err);
+                        if (request === latest) setFailed(true);
+                    });
+            }, MOVE_DEBOUNCE_MS);
+        };
+        map.on("moveend", load);
+
+        return () => {
+            clearTimeout(timer);
+            map.remove();
+            mapRef.current = null;
+        };
+    }, [fetchUrl]);
+
+    const lat = center?.lat;
+    const lon = center?.lon;
+    useEffect(() => {
+        if (!mapRef.current || lat === undefined || lon === undefined) return;
+        mapRef.current.setView([lat, lon], Math.max(mapRef.current.getZoom(), DEFAULT_ZOOM));
+    }, [lat, lon]);
+
+    // Redraw markers (and the heat glow under them) for the loaded stations
+    useEffect(() => {
+        if (!layersRef.current) return;
+        const { heat, markers } = layersRef.current;
+        heat.clearLayers();
+        markers.clearLayers();
+
+        stations.forEach(s => {
+            const category = categoryFor(MAP_STANDARD, s.aqi);
+            const active = activeStation !== null && activeStation !== undefined && s.uid === activeStation;
+
+            if (showHeat && s.aqi !== null) {
+                L.circle([s.lat, s.lon], {
+                    radius: HEAT_RADIUS_M,
+                    stroke: false,
+                    fillColor: category.hex,
+                    fillOpacity: 0.25,
+                    interactive: false,
+                }).addTo(heat);
+            }
+
+            L.circleMarker([s.lat, s.lon], {
+                radius: active ? 11 : 8,
+                color: active ? "#ffffff" : "#0f172a",
+                weight: active ? 3 : 1,
+                fillColor: category.hex,
+                fillOpacity: 0.9,
+            })
+                .bindTooltip(`${s.name} · AQI ${s.aqi ?? "—"} (${categoryLabel(category.cat)})`)
+                .on("click", () => selectRef.current(s))
+                .addTo(markers);
+        });
+    }, [stations, showHeat, activeStation, categoryLabel]);
+
+    return (
+        <div>
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <h3 className="text-lg font-semibold text-slate-900 dark:text-white flex items-center gap-2">
+                    <MapIcon className="w-5 h-5 text-blue-600 dark:text-blue-400" />
+                    {t("map.title")}
+                </h3>
+                <label className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-300">
+                    <input type="checkbox" checked={showHeat} onChange={(e) => setShowHeat(e.target.checked)} />
+                    {t("map.heatmap")}
+                </label>
+            </div>
+
+            <div ref={containerRef} className="h-80 rounded-xl border border-slate-300 dark:border-slate-600/50 overflow-hidden z-0" />
+
+            <div className="flex flex-wrap items-center justify-between gap-2 mt-2 text-xs text-slate-500 dark:text-slate-400">
+                <span>{failed ? t("map.failed") : t("map.hint", { count: stations.length })}</span>
+                <span>{t("map.scale")}</span>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,91 @@
+import React from "react";
+import { AlertTriangle, Bookmark, Clock, RefreshCw, Share2, WifiOff } from "lucide-react";
+import { useLocale } from "../i18n/context";
+import ExportMenu from "./ExportMenu";
+
+// Readings younger than this (seconds) count as live; older ones were served from the backend cache
+const LIVE_MAX_AGE = 120;
+
+// How fresh the reading on screen is, the live update status and the actions
+// for it: favorite, export and share. `lastUpdated` is when this page got it;
+// `streamStatus` (see useEnvironmentStream) is null while live updates are off;
+// `streamError` describes why the last live update for this place failed.
+export default function StatusBar({ data, lastUpdated, standard, streamStatus, streamError, isFavorite, onToggleFavorite, onShare, onPrint }) {
+    const { t, formatClock, formatTime } = useLocale();
+
+    // The backend serves cached upstream data and reports when it was fetched;
+    // age is counted from then, not from when this page asked for it
+    const dataTime = data.fetched_at ? new Date(data.fetched_at) : lastUpdated;
+    const dataAge = (data.data_age ?? 0) + (lastUpdated ? (Date.now() - lastUpdated) / 1000 : 0);
+
+    return (
+        <div className="flex flex-wrap items-center justify-between p-4 bg-white/70 dark:bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-300 dark:border-slate-600/50">
+            <div className="flex items-center gap-4">
+                {data.stale ? (
+                    <div className="flex items-center gap-2 px-3 py-1 rounded-lg bg-slate-200 dark:bg-slate-600/40 border border-slate-300 dark:border-slate-500/50">
+                        <WifiOff className="w-4 h-4 text-slate-600 dark:text-slate-300" aria-hidden="true" />
+                        <span className="text-sm text-slate-800 dark:text-slate-200">
+                            {t("status.stale", { time: formatClock(dataTime) })}
+                        </span>
+                        <span className="text-xs text-slate-500 dark:text-slate-400">{t("status.queued")}</span>
+                    </div>
+                ) : streamError ? (
+                    <div className="flex items-center gap-2 px-3 py-1 rounded-lg bg-amber-100 dark:bg-amber-500/20 border border-amber-300 dark:border-amber-500/40">
+                        <AlertTriangle className="w-4 h-4 text-amber-700 dark:text-amber-300" aria-hidden="true" />
+                        <span className="text-sm text-amber-900 dark:text-amber-100">
+                            {t("status.updateFailed", { time: formatClock(dataTime) })}
+                        </span>
+                        <span className="text-xs text-amber-800 dark:text-amber-200">{t(streamError.key, streamError.vars)}</span>
+                    </div>
+                ) : (
+                    <div className="flex items-center gap-2">
+                        <div className={`w-3 h-3 rounded-full ${dataAge < LIVE_MAX_AGE ? "bg-green-400 animate-pulse" : "bg-amber-400"}`}></div>
+                        <span className="text-sm text-slate-600 dark:text-slate-300">
+                            {dataAge < LIVE_MAX_AGE ? t("status.live") : t("status.cached", { minutes: Math.round(dataAge / 60) })}
+                        </span>
+                    </div>
+                )}
+
+                {dataTime && !data.stale && (
+                    <div className="flex items-center gap-2 text-sm text-slate-500 dark:text-slate-400">
+                        <Clock className="w-4 h-4" aria-hidden="true" />
+                        {t("status.updated", { time: formatTime(dataTime) })}
+                    </div>
+                )}
+
+                {streamStatus && (
+                    <div className="flex items-center gap-2 text-sm text-slate-500 dark:text-slate-400">
+                        <RefreshCw className="w-4 h-4" aria-hidden="true" />
+                        {t(`stream.${streamStatus}`)}
+                    </div>
+                )}
+            </div>
+
+            <div className="flex items-center gap-2">
+                <button
+                    onClick={onToggleFavorite}
+                    className={`p-2 rounded-lg transition ${isFavorite
+                            ? 'bg-yellow-500/20 text-yellow-600 dark:text-yellow-400'
+                            : 'bg-slate-100 dark:bg-slate-700/50 hover:bg-slate-200 dark:hover:bg-slate-700/70'
+                        }`}
+                    title={t("status.favorite")}
+                    aria-label={t("status.favorite")}
+                    aria-pressed={isFavorite}
+                >
+                    <Bookmark className="w-4 h-4" aria-hidden="true" />
+                </button>
+
+                <ExportMenu data={data} standard={standard} onPrint={onPrint} />
+
+                <button
+                    onClick={onShare}
+                    className="p-2 rounded-lg bg-slate-100 dark:bg-slate-700/50 hover:bg-slate-200 dark:hover:bg-slate-700/70 transition"
+                    title={t("status.share")}
+                    aria-label={t("status.share")}
+                >
+                    <Share2 className="w-4 h-4" aria-hidden="true" />
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,166 @@
+import React, { useEffect, useState } from "react";
+import { TrendingUp } from "lucide-react";
+import { POLLUTANT_META, POLLUTANT_KEYS } from "../utils/pollutants";
+import {
+    categoryPattern, getStandard, headlineAqi, categoryFor, pollutantCategory, pollutantBands, indexBands
+} from "../utils/aqi";
+import { getHistory } from "../utils/history";
+import { useLocale } from "../i18n/context";
+
+const HOUR = 60 * 60 * 1000;
+
+const RANGES = [
+    { id: "6h", label: "6h", ms: 6 * HOUR },
+    { id: "24h", label: "24h", ms: 24 * HOUR },
+    { id: "7d", label: "7d", ms: 7 * 24 * HOUR },
+    { id: "30d", label: "30d", ms: 30 * 24 * HOUR },
+];
+
+const WIDTH = 600;
+const HEIGHT = 200;
+
+// AQI first, then every pollutant the standard covers that appears in at least one snapshot
+function metricsFor(snapshots, standard) {
+    const { label, breakpoints } = getStandard(standard);
+    const keys = POLLUTANT_KEYS.filter(k => breakpoints[k] && snapshots.some(s => s.pollutants?.[k] !== undefined));
+    return [
+        {
+            id: "aqi",
+            label: `AQI (${label})`,
+            bands: indexBands(standard),
+            category: (v) => categoryFor(standard, v),
+        },
+        ...keys.map(k => ({
+            id: k,
+            label: POLLUTANT_META[k].label,
+            bands: pollutantBands(standard, k),
+            category: (v) => pollutantCategory(standard, k, v),
+        })),
+    ];
+}
+
+const valueOf = (snapshot, metric, standard) => metric === "aqi"
+    ? Number(headlineAqi(standard, { aqi_us: snapshot.aqi, pollutants: snapshot.pollutants }).aqi ?? NaN)
+    : Number(snapshot.pollutants?.[metric]);
+
+// Category bands clipped to the visible y range. Each band runs up to where the
+// next one starts so the small gaps in published breakpoint tables aren't drawn.
+function clipBands(bands, yMax) {
+    return bands
+        .map((b, i) => ({ ...b, to: Math.min(i + 1 < bands.length ? bands[i + 1].from : Infinity, yMax) }))
+        .filter(b => b.from < yMax);
+}
+
+export default function TrendChart({ city, standard, refreshKey }) {
+    const { t, formatNumber, formatDate, formatClock, formatDateTime, categoryLabel } = useLocale();
+    const [range, setRange] = useState("24h");
+    const [metric, setMetric] = useState("aqi");
+    const [snapshots, setSnapshots] = useState([]);
+    const [unavailable, setUnavailable] = useState(false);
+
+    const rangeMs = RANGES.find(r => r.id === range).ms;
+
+    useEffect(() => {
+        let cancelled = false;
+        getHistory(city, Date.now() - rangeMs)
+            .then(rows => { if (!cancelled) setSnapshots(rows); })
+            .catch(err => {
+                console.error("Failed to load history:", err);
+                if (!cancelled) setUnavailable(true);
+            });
+        return () => { cancelled = true; };
+    }, [city, rangeMs, refreshKey]);
+
+    const metrics = metricsFor(snapshots, standard);
+    const active = metrics.find(m => m.id === metric) || metrics[0];
+    const points = snapshots
+        .map(s => ({ t: s.timestamp, v: valueOf(s, active.id, standard) }))
+        .filter(p => !isNaN(p.v));
+
+    const now = Date.now();
+    const xMin = now - rangeMs;
+    const dataMax = Math.max(0, ...points.map(p => p.v));
+    // Always show at least the first two bands so a clean day still has context
+    const yMax = Math.max(dataMax * 1.2, active.bands[1].to);
+
+    const x = (time) => ((time - xMin) / (now - xMin)) * WIDTH;
+    const y = (v) => HEIGHT - (v / yMax) * HEIGHT;
+    const path = points.map((p, i) => `${i === 0 ? "M" : "L"}${x(p.t).toFixed(1)},${y(p.v).toFixed(1)}`).join(" ");
+
+    const formatTick = (time) => rangeMs > 24 * HOUR
+        ? formatDate(time, { month: "short", day: "numeric" })
+        : formatClock(time);
+
+    return (
+        <div>
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <h3 className="text-lg font-semibold text-slate-900 dark:text-white flex items-center gap-2">
+                    <TrendingUp className="w-5 h-5 text-blue-600 dark:text-blue-400" />
+                    {t("trend.title")}
+                </h3>
+
+                <div className="flex flex-wrap items-center gap-2">
+                    <select
+                        value={active.id}
+                        onChange={(e) => setMetric(e.target.value)}
+                        className="px-2 py-1 bg-white/80 dark:bg-slate-800/70 border border-slate-300 dark:border-slate-600/50 rounded-lg text-sm text-slate-900 dark:text-white"
+                        aria-label={t("trend.metric")}
+                    >
+                        {metrics.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                    </select>
+
+                    <div className="flex rounded-lg overflow-hidden border border-slate-300 dark:border-slate-600/50">
+                        {RANGES.map(r => (
+                            <button
+                                key={r.id}
+                                onClick={() => setRange(r.id)}
+                                className={`px-3 py-1 text-sm transition ${range === r.id ? "bg-blue-500/30 text-slate-900 dark:text-white" : "bg-white/80 dark:bg-slate-800/50 text-slate-600 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-700/70"}`}
+                            >
+                                {r.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            </div>
+
+            {unavailable ? (
+                <div className="p-4 text-sm text-slate-500 dark:text-slate-400 bg-white/70 dark:bg-slate-800/30 rounded-xl border border-slate-300 dark:border-slate-600/50">
+                    {t("trend.unavailable")}
+                </div>
+            ) : points.length < 2 ? (
+                <div className="p-4 text-sm text-slate-500 dark:text-slate-400 bg-white/70 dark:bg-slate-800/30 rounded-xl border border-slate-300 dark:border-slate-600/50">
+                    {t("trend.notEnough", { city })}
+                </div>
+            ) : (
+                <div className="p-4 bg-white/70 dark:bg-slate-800/30 rounded-xl border border-slate-300 dark:border-slate-600/50">
+                    <div className="relative" style={{ aspectRatio: `${WIDTH} / ${HEIGHT}` }}>
+                        {/* Category bands */}
+                        {clipBands(active.bands, yMax).map(b => (
+                            <div
+                                key={b.from}
+                                className={`absolute left-0 right-0 ${b.color} ${categoryPattern(b)} opacity-20`}
+                                style={{ bottom: `${(b.from / yMax) * 100}%`, height: `${((b.to - b.from) / yMax) * 100}%` }}
+                                title={categoryLabel(b.cat)}
+                            />
+                        ))}
+
+                        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none" className="absolute inset-0 w-full h-full overflow-visible">
+                            <path d={path} fill="none" className="stroke-indigo-500 dark:stroke-indigo-300" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+                            {points.map(p => (
+                                <circle key={p.t} cx={x(p.t)} cy={y(p.v)} r="3" className="fill-indigo-600 dark:fill-indigo-100">
+                                    <title>{`${formatDateTime(p.t)}: ${formatNumber(p.v)} (${categoryLabel(active.category(p.v).cat)})`}</title>
+                                </circle>
+                            ))}
+                        </svg>
+                    </div>
+
+                    <div className="flex justify-between mt-2 text-xs text-slate-500 dark:text-slate-400">
+                        <span>{formatTick(xMin)}</span>
+                        <span>{formatTick(xMin + rangeMs / 2)}</span>
+                        <span>{formatTick(now)}</span>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,206 @@
+import React, { useState } from "react";
+import { Bell, BellOff, Plus, X } from "lucide-react";
+import { POLLUTANT_META, POLLUTANT_KEYS, prettyKey } from "../utils/pollutants";
+import { pollutantBands } from "../utils/aqi";
+import { defaultRules, ruleKey, notificationsSupported } from "../utils/alerts";
+import { useLocale } from "../i18n/context";
+
+export default function Watchlist({ watchlist, onChange, currentCity, standard }) {
+    const { t, categoryLabel } = useLocale();
+    const [input, setInput] = useState("");
+    const [newPollutant, setNewPollutant] = useState("pm10");
+    const [permission, setPermission] = useState(
+        notificationsSupported() ? Notification.permission : "unsupported"
+    );
+
+    const addCity = (name) => {
+        const trimmed = (name || "").trim();
+        if (!trimmed || watchlist.some(e => e.city.toLowerCase() === trimmed.toLowerCase())) return;
+        onChange([...watchlist, { city: trimmed, rules: defaultRules(), lastReading: null }]);
+        setInput("");
+    };
+
+    const removeCity = (name) => {
+        onChange(watchlist.filter(e => e.city !== name));
+    };
+
+    const updateRule = (name, key, changes) => {
+        onChange(watchlist.map(e => e.city !== name ? e : {
+            ...e,
+            rules: e.rules.map(r => ruleKey(r) === key ? { ...r, ...changes } : r),
+        }));
+    };
+
+    const removeRule = (name, key) => {
+        onChange(watchlist.map(e => e.city !== name ? e : {
+            ...e,
+            rules: e.rules.filter(r => ruleKey(r) !== key),
+        }));
+    };
+
+    const addPollutantRule = (name) => {
+        const rule = {
+            type: "pollutant_above",
+            pollutant: newPollutant,
+            // Default to where the standard's second category ends
+            threshold: Number(pollutantBands(standard, newPollutant)[1]?.to.toFixed(1)) || 0,
+            enabled: true,
+        };
+        onChange(watchlist.map(e => e.city !== name || e.rules.some(r => ruleKey(r) === ruleKey(rule)) ? e : {
+            ...e,
+            rules: [...e.rules, rule],
+        }));
+    };
+
+    const requestPermission = async () => {
+        setPermission(await Notification.requestPermission());
+    };
+
+    return (
+        <div className="p-6 rounded-2xl bg-gradient-to-br from-white/90 dark:from-slate-800/40 to-slate-50/90 dark:to-slate-900/60 backdrop-blur-sm border border-slate-300 dark:border-slate-600/50 shadow-2xl">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <h2 className="text-lg font-semibold text-slate-900 dark:text-white flex items-center gap-2">
+                    <Bell className="w-5 h-5 text-yellow-600 dark:text-yellow-400" />
+                    {t("watch.title")}
+                </h2>
+
+                {permission === "default" && (
+                    <button
+                        onClick={requestPermission}
+                        className="px-3 py-1 bg-yellow-500/20 hover:bg-yellow-500/30 rounded-lg transition text-sm text-yellow-800 dark:text-yellow-200"
+                    >
+                        {t("watch.enableNotifications")}
+                    </button>
+                )}
+                {(permission === "denied" || permission === "unsupported") && (
+                    <span className="flex items-center gap-2 text-xs text-slate-500 dark:text-slate-400">
+                        <BellOff className="w-4 h-4" />
+                        {permission === "denied" ? t("watch.blocked") : t("watch.unsupported")}
+                    </span>
+                )}
+            </div>
+
+            <p className="text-sm text-slate-500 dark:text-slate-400 mb-4">
+                {t("watch.interval")}
+            </p>
+
+            <div className="flex flex-wrap items-center gap-2 mb-6">
+                <div className="flex items-center gap-2 bg-white/80 dark:bg-slate-800/50 rounded-xl p-2 border border-slate-300 dark:border-slate-500/50">
+                    <input
+                        value={input}
+                        onChange={(e) => setInput(e.target.value)}
+                        onKeyDown={(e) => e.key === "Enter" && addCity(input)}
+                        placeholder={t("watch.placeholder")}
+                        className="bg-transparent outline-none placeholder:text-slate-400 px-3 py-1 w-44 text-slate-900 dark:text-white"
+                    />
+                    <button
+                        onClick={() => addCity(input)}
+                        className="p-2 rounded-lg bg-slate-100 dark:bg-slate-700/50 hover:bg-slate-200 dark:hover:bg-slate-700/70 transition"
+                        title={t("watch.add")}
+                        aria-label={t("watch.add")}
+                    >
+                        <Plus className="w-4 h-4" aria-hidden="true" />
+                    </button>
+                </div>
+                {currentCity && !watchlist.some(e => e.city.toLowerCase() === currentCity.toLowerCase()) && (
+                    <button
+                        onClick={() => addCity(currentCity)}
+                        className="px-3 py-2 bg-blue-500/20 hover:bg-blue-500/30 rounded-lg transition text-sm text-blue-800 dark:text-blue-200"
+                    >
+                        {t("watch.watchCity", { city: currentCity })}
+                    </button>
+                )}
+            </div>
+
+            <div className="space-y-4">
+                {watchlist.map(entry => (
+                    <div key={entry.city} className="p-4 bg-white/70 dark:bg-slate-800/30 rounded-xl border border-slate-300 dark:border-slate-600/50">
+                        <div className="flex items-center justify-between mb-3">
+                            <div>
+                                <div className="font-semibold text-slate-900 dark:text-white">{entry.city}</div>
+                                <div className="text-xs text-slate-500 dark:text-slate-400">
+                                    {entry.lastReading
+                                        ? t("watch.lastReading", { aqi: entry.lastReading.aqi ?? "—", category: entry.lastReading.category ? categoryLabel(entry.lastReading.category) : "—" })
+                                        : t("watch.waiting")}
+                                </div>
+                            </div>
+                            <button
+                                onClick={() => removeCity(entry.city)}
+                                className="p-1 rounded text-slate-500 dark:text-slate-400 hover:text-red-700 dark:hover:text-red-300"
+                                title={t("watch.stop")}
+                                aria-label={t("watch.stop")}
+                            >
+                                <X className="w-4 h-4" aria-hidden="true" />
+                            </button>
+                        </div>
+
+                        <div className="space-y-2">
+                            {entry.rules.map(rule => {
+                                const key = ruleKey(rule);
+                                const ruleLabel = rule.type === "category_change"
+                                    ? t("watch.ruleCategory")
+                                    : t("watch.ruleAbove", { label: rule.type === "aqi_above" ? "AQI" : prettyKey(rule.pollutant) });
+                                return (
+                                    <div key={key} className="flex flex-wrap items-center gap-3 text-sm text-slate-800 dark:text-slate-200">
+                                        <label className="flex items-center gap-2">
+                                            <input
+                                                type="checkbox"
+                                                checked={rule.enabled}
+                                                onChange={(e) => updateRule(entry.city, key, { enabled: e.target.checked })}
+                                            />
+                                            {ruleLabel}
+                                        </label>
+                                        {rule.threshold !== undefined && (
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                value={rule.threshold}
+                                                onChange={(e) => updateRule(entry.city, key, { threshold: Number(e.target.value) })}
+                                                aria-label={ruleLabel}
+                                                className="w-20 px-2 py-1 bg-white/80 dark:bg-slate-800/70 border border-slate-300 dark:border-slate-600/50 rounded text-slate-900 dark:text-white"
+                                            />
+                                        )}
+                                        {rule.type === "pollutant_above" && (
+                                            <span className="text-xs text-slate-500 dark:text-slate-400">{POLLUTANT_META[rule.pollutant]?.unit}</span>
+                                        )}
+                                        {rule.type === "pollutant_above" && (
+                                            <button
+                                                onClick={() => removeRule(entry.city, key)}
+                                                className="text-slate-500 hover:text-red-700 dark:hover:text-red-300"
+                                                title={t("watch.removeRule")}
+                                                aria-label={t("watch.removeRule")}
+                                            >
+                                                <X className="w-3 h-3" aria-hidden="true" />
+                                            </button>
+                                        )}
+                                    </div>
+                                );
+                            })}
+                        </div>
+
+                        <div className="flex items-center gap-2 mt-3">
+                            <select
+                                value={newPollutant}
+                                onChange={(e) => setNewPollutant(e.target.value)}
+                                className="px-2 py-1 bg-white/80 dark:bg-slate-800/70 border border-slate-300 dark:border-slate-600/50 rounded text-sm text-slate-900 dark:text-white"
+                                aria-label={t("watch.rulePollutant")}
+                            >
+                                {POLLUTANT_KEYS.map(k => <option key={k} value={k}>{prettyKey(k)}</option>)}
+                            </select>
+                            <button
+                                onClick={() => addPollutantRule(entry.city)}
+                                className="px-2 py-1 bg-slate-100 dark:bg-slate-700/50 hover:bg-slate-200 dark:hover:bg-slate-700/70 rounded text-sm text-slate-800 dark:text-slate-200 transition"
+                            >
+                                {t("watch.addRule")}
+                            </button>
+                        </div>
+                    </div>
+                ))}
+
+                {watchlist.length === 0 && (
+                    <div className="text-sm text-slate-500 dark:text-slate-400">{t("watch.empty")}</div>
+                )}
+            </div>
+        </div>
+    );
+}
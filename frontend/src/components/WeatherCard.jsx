@@ -0,0 +1,160 @@
+import React from "react";
+import { motion } from "framer-motion";
+import {
+    Cloud, CloudDrizzle, CloudFog, CloudLightning, CloudMoon, CloudRain, CloudSnow, CloudSun,
+    Moon, Sun, Sunrise, Sunset, Tornado,
+} from "lucide-react";
+import { compassPoint, isDaytime, placeTime, uvLevel } from "../utils/weather";
+import { useLocale } from "../i18n/context";
+import WeatherValue from "./WeatherValue";
+
+// Icon for OpenWeather's condition group (`condition`), by day or night.
+// Mist, haze, smoke, dust and the like share the fog icon.
+function conditionIcon(weather) {
+    const day = isDaytime(weather);
+    switch (weather?.condition) {
+        case "Clouds":
+            // "02" is OpenWeather's "few clouds"
+            if (weather.icon?.startsWith("02")) return day ? CloudSun : CloudMoon;
+            return Cloud;
+        case "Rain": return CloudRain;
+        case "Drizzle": return CloudDrizzle;
+        case "Thunderstorm": return CloudLightning;
+        case "Snow": return CloudSnow;
+        case "Squall":
+        case "Tornado": return Tornado;
+        case "Clear":
+        case undefined:
+        case null: return day ? Sun : Moon;
+        default: return CloudFog;
+    }
+}
+
+// Dial with an arrow pointing where the wind blows to (opposite `deg`, the
+// direction it comes from)
+function WindCompass({ deg }) {
+    const { t } = useLocale();
+    const labels = [["N", 50, 17], ["E", 85, 54], ["S", 50, 91], ["W", 15, 54]];
+
+    return (
+        <svg viewBox="0 0 100 100" className="w-20 h-20 flex-shrink-0" aria-hidden="true">
+            <circle cx="50" cy="50" r="46" fill="none" className="stroke-slate-300 dark:stroke-white/20" strokeWidth="2" />
+            {labels.map(([point, x, y]) => (
+                <text key={point} x={x} y={y} textAnchor="middle" fontSize="11" className="fill-slate-500 dark:fill-slate-300">{t(`wind.dial.${point}`)}</text>
+            ))}
+            {deg !== null && deg !== undefined && (
+                <g transform={`rotate(${Number(deg) + 180} 50 50)`}>
+                    <path d="M50 24 L57 48 L50 43 L43 48 Z" fill="#60a5fa" />
+                    <line x1="50" y1="43" x2="50" y2="74" stroke="#60a5fa" strokeWidth="3" strokeLinecap="round" />
+                </g>
+            )}
+        </svg>
+    );
+}
+
+// Current conditions for an /environment response. OpenWeather is the source
+// for every field; where the AQI station also reports one, WeatherValue shows
+// its reading on hover (or in place of a missing OpenWeather value).
+export default function WeatherCard({ data }) {
+    const { t, intl, formatNumber, formatMeasurement, formatClock } = useLocale();
+    const weather = data?.weather_data || {};
+    const Icon = conditionIcon(weather);
+    const direction = compassPoint(weather.wind_deg);
+    const uv = uvLevel(weather.uv_index);
+    const hasRange = weather.temp_min !== null && weather.temp_min !== undefined
+        && weather.temp_max !== null && weather.temp_max !== undefined;
+
+    // Sunrise and sunset in the place's own time when its UTC offset is known
+    const clock = (unix) => {
+        if (unix === null || unix === undefined) return "—";
+        if (weather.timezone === null || weather.timezone === undefined) return formatClock(unix * 1000);
+        return placeTime(unix, weather.timezone).toLocaleTimeString(intl, { hour: "2-digit", minute: "2-digit", timeZone: "UTC" });
+    };
+
+    const rows = [
+        { key: "humidity", label: t("metric.humidity"), value: <WeatherValue data={data} field="humidity" /> },
+        { key: "pressure", label: t("metric.pressure"), value: <WeatherValue data={data} field="pressure" /> },
+        { key: "visibility", label: t("weather.visibility"), value: formatMeasurement("vis", weather.visibility) },
+        {
+            key: "clouds",
+            label: t("weather.clouds"),
+            value: weather.clouds === null || weather.clouds === undefined ? "—" : `${formatNumber(weather.clouds, 0)}%`,
+        },
+        {
+            key: "uv",
+            label: t("weather.uv"),
+            value: uv ? (
+                <span className="inline-flex items-center gap-2">
+                    {formatNumber(weather.uv_index, 1)}
+                    <span className={`px-2 py-0.5 rounded-full text-xs text-white ${uv.color}`}>{t(`weather.uv.${uv.id}`)}</span>
+                </span>
+            ) : "—",
+        },
+    ];
+
+    return (
+        <motion.div
+            className="p-6 rounded-2xl bg-gradient-to-br from-blue-500/20 to-purple-600/20 backdrop-blur-sm border border-blue-500/30 shadow-lg"
+            initial={{ opacity: 0, x: 20 }}
+            animate={{ opacity: 1, x: 0 }}
+        >
+            <div className="flex items-center justify-between mb-4">
+                <div>
+                    <div className="text-sm text-blue-800 dark:text-blue-200">{t("weather.current")}</div>
+                    <div className="text-xl font-semibold text-slate-900 dark:text-white mt-1 capitalize">{weather.weather ?? "—"}</div>
+                </div>
+                <Icon className="w-10 h-10 text-blue-700 dark:text-blue-300" aria-hidden="true" />
+            </div>
+
+            <div className="text-center mb-4">
+                <WeatherValue data={data} field="temperature" className="block text-4xl font-bold text-slate-900 dark:text-white" />
+                {weather.feels_like !== null && weather.feels_like !== undefined && (
+                    <div className="text-sm text-blue-800 dark:text-blue-200">{t("weather.feelsLike", { temperature: formatMeasurement("t", weather.feels_like) })}</div>
+                )}
+                {hasRange && (
+                    <div className="text-xs text-blue-800/80 dark:text-blue-200/80">
+                        {t("weather.highLow", { max: formatMeasurement("t", weather.temp_max), min: formatMeasurement("t", weather.temp_min) })}
+                    </div>
+                )}
+            </div>
+
+            <div className="flex items-center gap-4 mb-4 p-2 bg-slate-900/5 dark:bg-white/5 rounded-lg">
+                <WindCompass deg={weather.wind_deg} />
+                <div className="text-sm">
+                    <div className="text-slate-600 dark:text-slate-300">{t("metric.wind")}</div>
+                    <WeatherValue data={data} field="wind_speed" className="block font-semibold text-slate-900 dark:text-white" />
+                    {direction && <div className="text-xs text-slate-600 dark:text-slate-300">{t("weather.windFrom", { direction: t(`wind.${direction}`) })}</div>}
+                    {weather.wind_gust !== null && weather.wind_gust !== undefined && (
+                        <div className="text-xs text-slate-600 dark:text-slate-300">{t("weather.gust", { speed: formatMeasurement("wg", weather.wind_gust) })}</div>
+                    )}
+                </div>
+            </div>
+
+            <div className="space-y-3">
+                {rows.map(row => (
+                    <div key={row.key} className="flex justify-between items-center p-2 bg-slate-900/5 dark:bg-white/5 rounded-lg">
+                        <span className="text-sm text-slate-600 dark:text-slate-300">{row.label}</span>
+                        <span className="font-semibold text-slate-900 dark:text-white">{row.value}</span>
+                    </div>
+                ))}
+            </div>
+
+            <div className="grid grid-cols-2 gap-3 mt-3">
+                <div className="flex items-center gap-2 p-2 bg-slate-900/5 dark:bg-white/5 rounded-lg">
+                    <Sunrise className="w-5 h-5 text-amber-700 dark:text-amber-300" aria-hidden="true" />
+                    <div>
+                        <div className="text-xs text-slate-600 dark:text-slate-300">{t("weather.sunrise")}</div>
+                        <div className="font-semibold text-slate-900 dark:text-white">{clock(weather.sunrise)}</div>
+                    </div>
+                </div>
+                <div className="flex items-center gap-2 p-2 bg-slate-900/5 dark:bg-white/5 rounded-lg">
+                    <Sunset className="w-5 h-5 text-orange-700 dark:text-orange-300" aria-hidden="true" />
+                    <div>
+                        <div className="text-xs text-slate-600 dark:text-slate-300">{t("weather.sunset")}</div>
+                        <div className="font-semibold text-slate-900 dark:text-white">{clock(weather.sunset)}</div>
+                    </div>
+                </div>
+            </div>
+        </motion.div>
+    );
+}
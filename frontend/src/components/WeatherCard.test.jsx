@@ -0,0 +1,56 @@
+import React from "react";
+import { describe, expect, it } from "vitest";
+import { screen } from "@testing-library/react";
+import { fetchEnvironment, renderWithLocale } from "../test/utils";
+import WeatherCard from "./WeatherCard";
+
+describe("WeatherCard", () => {
+    it("shows the current conditions", async () => {
+        const data = await fetchEnvironment("city=London");
+        renderWithLocale(<WeatherCard data={data} />);
+
+        expect(screen.getByText("broken clouds")).toBeTruthy();
+        expect(screen.getByText("14.2°C")).toBeTruthy();
+        expect(screen.getByText("Feels like 13.2°C")).toBeTruthy();
+        expect(screen.getByText("H 16.2°C · L 12.2°C")).toBeTruthy();
+        expect(screen.getByText("66%")).toBeTruthy();
+        expect(screen.getByText("10 km")).toBeTruthy();
+        expect(screen.getByText("75%")).toBeTruthy();
+    });
+
+    it("shows where the wind comes from and the UV level", async () => {
+        const data = await fetchEnvironment("city=London");
+        renderWithLocale(<WeatherCard data={data} />);
+
+        expect(screen.getByText("From the southwest")).toBeTruthy();
+        expect(screen.getByText(/^Gusts /)).toBeTruthy();
+        expect(screen.getByText("Moderate")).toBeTruthy();
+    });
+
+    it("gives sunrise and sunset in the place's own time", async () => {
+        const data = await fetchEnvironment("city=London");
+        renderWithLocale(<WeatherCard data={data} />);
+
+        // 1714539600 is 05:00 UTC, 06:00 in London (UTC+1)
+        expect(screen.getByText("06:00 AM")).toBeTruthy();
+    });
+
+    it("converts to the chosen unit system", async () => {
+        const data = await fetchEnvironment("city=London");
+        renderWithLocale(<WeatherCard data={data} />, { units: { temperature: "f", speed: "mph", pressure: "inhg" } });
+
+        expect(screen.getByText("58°F")).toBeTruthy();
+        expect(screen.getByText("Gusts 25 mph")).toBeTruthy();
+        expect(screen.getByText("30 inHg")).toBeTruthy();
+        expect(screen.getByText("6.2 mi")).toBeTruthy();
+        expect(screen.queryByText("14.2°C")).toBeNull();
+    });
+
+    it("shows placeholders when the weather service failed", async () => {
+        const data = await fetchEnvironment("city=Tokyo");
+        renderWithLocale(<WeatherCard data={data} />);
+
+        expect(screen.getAllByText("—").length).toBeGreaterThan(5);
+        expect(screen.queryByText(/^Feels like/)).toBeNull();
+    });
+});
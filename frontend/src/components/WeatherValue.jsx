@@ -0,0 +1,26 @@
+import React from "react";
+import { STATION_KEYS, weatherValue } from "../utils/weather";
+import { providerName } from "../utils/providers";
+import { useLocale } from "../i18n/context";
+
+// One weather field of an /environment response (see weatherValue in
+// utils/weather): the value to trust, with where it came from and the other
+// source's reading on hover. `bare` leaves out the unit.
+export default function WeatherValue({ data, field, bare = false, className }) {
+    const { t, measure, formatMeasurement, sourceLabel } = useLocale();
+    const { value, source, alternate } = weatherValue(data, field);
+    const k = STATION_KEYS[field];
+
+    // OpenWeather's current weather is observed, not modelled, so only stations get sourceLabel
+    const describe = (s) => (s.station ? sourceLabel(s) : providerName(s.provider));
+    const title = [
+        source && t("weather.source", { source: describe(source) }),
+        alternate?.source && t("weather.alternate", { source: describe(alternate.source), value: formatMeasurement(k, alternate.value) }),
+    ].filter(Boolean).join("\n");
+
+    return (
+        <span className={className} title={title || undefined}>
+            {bare ? measure(k, value).value : formatMeasurement(k, value)}
+        </span>
+    );
+}
@@ -0,0 +1,82 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import axios from "axios";
+import { getWithRetry, describeError } from "../utils/api";
+
+// One /environment reading and its loading/error state. `load(query)` takes the
+// query string (city=…, lat=…&lon=…, station=…); starting a new load cancels
+// the one still in flight so a slow, stale response can't replace a newer one.
+// `receive(reading)` shows a reading pushed for the current query (see
+// useEnvironmentStream) without asking for it.
+//
+// Offline, the service worker (public/sw.js) answers with the last reading it
+// saw for the query, flagged `stale: true`; that query is then reloaded as soon
+// as the browser is back online.
+export default function useEnvironmentData({ fetchUrl, onData }) {
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(false);
+    // { key, vars?, retryable? } describing the last failure (see utils/api)
+    const [error, setError] = useState(null);
+    const [lastUpdated, setLastUpdated] = useState(null);
+    // Query behind `data`; the forecast and live updates ask about the same place
+    const [lastQuery, setLastQuery] = useState(null);
+    const controllerRef = useRef(null);
+    // Query to reload once the network returns
+    const queuedRef = useRef(null);
+    const onDataRef = useRef(onData);
+
+    useEffect(() => {
+        onDataRef.current = onData;
+    }, [onData]);
+
+    // Resolves to the data, or null if the request failed or was superseded
+    const load = useCallback(async (query) => {
+        controllerRef.current?.abort();
+        const controller = new AbortController();
+        controllerRef.current = controller;
+        setLoading(true);
+        setError(null);
+
+        try {
+            const res = await getWithRetry(`${fetchUrl}/environment?${query}`, { signal: controller.signal });
+            queuedRef.current = res.data.stale ? query : null;
+            setData(res.data);
+            setLastQuery(query);
+            setLastUpdated(new Date());
+            onDataRef.current?.(res.data);
+            return res.data;
+        } catch (err) {
+            if (axios.isCancel(err)) return null;
+            console.error(err);
+            setError(describeError(err));
+            return null;
+        } finally {
+            if (controllerRef.current === controller) {
+                controllerRef.current = null;
+                setLoading(false);
+            }
+        }
+    }, [fetchUrl]);
+
+    useEffect(() => {
+        const onOnline = () => {
+            const query = queuedRef.current;
+            queuedRef.current = null;
+            if (query) load(query);
+        };
+        window.addEventListener("online", onOnline);
+        return () => window.removeEventListener("online", onOnline);
+    }, [load]);
+
+    const receive = useCallback((reading) => {
+        queuedRef.current = null;
+        setData(reading);
+        setLastUpdated(new Date());
+        setError(null);
+        onDataRef.current?.(reading);
+    }, []);
+
+    // Nothing left running once the component using the hook goes away
+    useEffect(() => () => controllerRef.current?.abort(), []);
+
+    return { data, loading, error, setError, lastQuery, lastUpdated, load, receive };
+}
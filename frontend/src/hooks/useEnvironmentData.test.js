@@ -0,0 +1,112 @@
+import { describe, expect, it, vi } from "vitest";
+import { act, renderHook, waitFor } from "@testing-library/react";
+import { http, HttpResponse } from "msw";
+import { server } from "../mocks/node";
+import { API_URL } from "../test/utils";
+import useEnvironmentData from "./useEnvironmentData";
+
+const setup = (onData) => renderHook(() => useEnvironmentData({ fetchUrl: API_URL, onData }));
+
+describe("useEnvironmentData", () => {
+    it("loads a reading for a query", async () => {
+        const onData = vi.fn();
+        const { result } = setup(onData);
+        expect(result.current.data).toBeNull();
+
+        let loaded;
+        await act(async () => {
+            loaded = await result.current.load("city=London");
+        });
+
+        expect(loaded.city).toBe("London");
+        expect(result.current).toMatchObject({ loading: false, error: null, lastQuery: "city=London" });
+        expect(result.current.data.place).toBe("London, England, GB");
+        expect(result.current.lastUpdated).toBeInstanceOf(Date);
+        expect(onData).toHaveBeenCalledWith(loaded);
+    });
+
+    it("reports loading while a request is in flight", async () => {
+        const { result } = setup();
+
+        let pending;
+        act(() => {
+            pending = result.current.load("city=London");
+        });
+        expect(result.current.loading).toBe(true);
+
+        await act(() => pending);
+        expect(result.current.loading).toBe(false);
+    });
+
+    it("describes a failed lookup", async () => {
+        vi.spyOn(console, "error").mockImplementation(() => {});
+        const { result } = setup();
+
+        let loaded;
+        await act(async () => {
+            loaded = await result.current.load("city=Atlantis");
+        });
+
+        expect(loaded).toBeNull();
+        expect(result.current.data).toBeNull();
+        expect(result.current.error).toEqual({ key: "error.notFound", retryable: false });
+    });
+
+    it("keeps the partial-result errors of a response", async () => {
+        const { result } = setup();
+        await act(() => result.current.load("city=Tokyo"));
+
+        expect(result.current.error).toBeNull();
+        expect(result.current.data.errors).toEqual([
+            expect.objectContaining({ code: "UPSTREAM_UNAVAILABLE", upstream: "openweather" }),
+        ]);
+    });
+
+    it("lets a newer request cancel a slower one still in flight", async () => {
+        const { result } = setup();
+
+        let first;
+        let second;
+        await act(async () => {
+            first = result.current.load("city=London");
+            second = result.current.load("city=Delhi");
+            await Promise.all([first, second]);
+        });
+
+        await expect(first).resolves.toBeNull();
+        await expect(second).resolves.toMatchObject({ city: "Delhi" });
+        expect(result.current.data.city).toBe("Delhi");
+        expect(result.current.lastQuery).toBe("city=Delhi");
+    });
+
+    it("retries a failure the backend marks retryable", async () => {
+        let calls = 0;
+        server.use(http.get("*/environment", () => {
+            calls += 1;
+            if (calls === 1) {
+                return HttpResponse.json(
+                    { error: { code: "UPSTREAM_TIMEOUT", message: "WAQI timed out", upstream: "waqi", retryable: true } },
+                    { status: 504 },
+                );
+            }
+            return HttpResponse.json({ city: "London", weather_data: {}, aqi_data: {}, errors: [] });
+        }));
+        const { result } = setup();
+
+        await act(() => result.current.load("city=London"));
+
+        expect(calls).toBe(2);
+        expect(result.current.data.city).toBe("London");
+    });
+
+    it("shows a pushed reading without asking for it", async () => {
+        const onData = vi.fn();
+        const { result } = setup(onData);
+        const reading = { city: "London", weather_data: {}, aqi_data: { aqi_us: 42 }, errors: [] };
+
+        act(() => result.current.receive(reading));
+
+        await waitFor(() => expect(result.current.data).toBe(reading));
+        expect(onData).toHaveBeenCalledWith(reading);
+    });
+});
@@ -0,0 +1,104 @@
+import { useEffect, useRef, useState } from "react";
+import { describeError } from "../utils/api";
+
+// Give up on a broken stream for this long before reconnecting, doubling up to the max
+const RECONNECT_DELAY = 5000;
+const MAX_RECONNECT_DELAY = 60000;
+
+// Subscribes to the backend's /stream (Server-Sent Events) for a list of
+// /environment query strings and calls `onReading(query, reading)` whenever
+// the backend sees new data for one of them, or `onFailure(query, error)`
+// (`error` as described by describeError) when reading one fails. The connection is closed while
+// the tab is hidden and reopened, catching up on the latest readings, when it
+// becomes visible again. Returns the connection status: "off", "connecting",
+// "open" or "paused".
+export default function useEnvironmentStream({ fetchUrl, queries, enabled = true, onReading, onFailure }) {
+    const [status, setStatus] = useState("off");
+    const onReadingRef = useRef(onReading);
+    const onFailureRef = useRef(onFailure);
+    // Stable dependency for the effect below; the order of queries doesn't matter
+    const subscription = [...new Set(queries.filter(Boolean))].sort().join("\n");
+
+    useEffect(() => {
+        onReadingRef.current = onReading;
+    }, [onReading]);
+
+    useEffect(() => {
+        onFailureRef.current = onFailure;
+    }, [onFailure]);
+
+    useEffect(() => {
+        if (!enabled || !subscription) {
+            setStatus("off");
+            return;
+        }
+
+        const url = `${fetchUrl}/stream?${subscription.split("\n").map(q => `q=${encodeURIComponent(q)}`).join("&")}`;
+        let source = null;
+        let timer = null;
+        let delay = RECONNECT_DELAY;
+
+        const onMessage = (e) => {
+            try {
+                const { query, ...reading } = JSON.parse(e.data);
+                onReadingRef.current?.(query, reading);
+            } catch (err) {
+                console.error("Bad stream event:", err);
+            }
+        };
+
+        // Carries the error envelope and HTTP status /environment would have answered with
+        const onFailed = (e) => {
+            try {
+                const { query, error, status } = JSON.parse(e.data);
+                onFailureRef.current?.(query, describeError({ response: { status, data: { error } } }));
+            } catch (err) {
+                console.error("Bad stream event:", err);
+            }
+        };
+
+        const connect = () => {
+            clearTimeout(timer);
+            source?.close();
+            setStatus("connecting");
+            source = new EventSource(url);
+            source.onopen = () => {
+                delay = RECONNECT_DELAY;
+                setStatus("open");
+            };
+            source.addEventListener("reading", onMessage);
+            source.addEventListener("failed", onFailed);
+            source.onerror = () => {
+                // EventSource retries dropped connections itself, but gives up
+                // (CLOSED) on an HTTP error such as a 429; retry those here
+                if (source.readyState !== EventSource.CLOSED) {
+                    setStatus("connecting");
+                    return;
+                }
+                timer = setTimeout(connect, delay);
+                delay = Math.min(delay * 2, MAX_RECONNECT_DELAY);
+            };
+        };
+
+        const pause = () => {
+            clearTimeout(timer);
+            source?.close();
+            source = null;
+            setStatus("paused");
+        };
+
+        const onVisibilityChange = () => (document.hidden ? pause() : connect());
+
+        if (document.hidden) pause();
+        else connect();
+        document.addEventListener("visibilitychange", onVisibilityChange);
+
+        return () => {
+            document.removeEventListener("visibilitychange", onVisibilityChange);
+            clearTimeout(timer);
+            source?.close();
+        };
+    }, [fetchUrl, subscription, enabled]);
+
+    return status;
+}
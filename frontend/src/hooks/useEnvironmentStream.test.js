@@ -0,0 +1,77 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { act, renderHook } from "@testing-library/react";
+import { API_URL } from "../test/utils";
+import useEnvironmentStream from "./useEnvironmentStream";
+
+// Stands in for the browser's EventSource; `emit` plays an event from the backend
+class FakeEventSource {
+    static CLOSED = 2;
+    static instances = [];
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+        this.listeners = {};
+        FakeEventSource.instances.push(this);
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] ||= []).push(listener);
+    }
+
+    close() {
+        this.readyState = FakeEventSource.CLOSED;
+    }
+
+    emit(type, body) {
+        act(() => this.listeners[type]?.forEach(listener => listener({ data: JSON.stringify(body) })));
+    }
+}
+
+const setup = (props) => renderHook(() => useEnvironmentStream({ fetchUrl: API_URL, queries: ["city=London"], ...props }));
+
+describe("useEnvironmentStream", () => {
+    beforeEach(() => {
+        FakeEventSource.instances = [];
+        vi.stubGlobal("EventSource", FakeEventSource);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it("subscribes to the queries and passes readings on", () => {
+        const onReading = vi.fn();
+        setup({ queries: ["city=London", "city=Delhi", null], onReading });
+
+        const [source] = FakeEventSource.instances;
+        expect(source.url).toBe(`${API_URL}/stream?q=city%3DDelhi&q=city%3DLondon`);
+
+        source.emit("reading", { query: "city=London", city: "London" });
+        expect(onReading).toHaveBeenCalledWith("city=London", { city: "London" });
+    });
+
+    it("describes a failed lookup", () => {
+        const onFailure = vi.fn();
+        setup({ onFailure });
+
+        FakeEventSource.instances[0].emit("failed", {
+            query: "city=London",
+            error: { code: "UPSTREAM_TIMEOUT", message: "OpenWeather timed out", upstream: "openweather", retryable: true },
+            status: 504,
+        });
+
+        expect(onFailure).toHaveBeenCalledWith("city=London", {
+            key: "error.upstreamTimeout",
+            vars: { service: "OpenWeather" },
+            retryable: true,
+        });
+    });
+
+    it("stays off when disabled", () => {
+        const { result } = setup({ enabled: false });
+
+        expect(result.current).toBe("off");
+        expect(FakeEventSource.instances).toHaveLength(0);
+    });
+});
@@ -0,0 +1,32 @@
+import { useEffect, useRef } from "react";
+
+// Fields where a key press is typing, not a shortcut
+const EDITABLE = "input, textarea, select, [contenteditable='true']";
+
+// Page-wide single-key shortcuts. `bindings` maps a KeyboardEvent.key to its
+// handler. Presses with Ctrl, Alt or Meta held, or while typing in a form
+// field, are left to the browser.
+export default function useKeyboardShortcuts(bindings, enabled = true) {
+    // The listener reads the latest handlers through a ref so it isn't re-added every render
+    const bindingsRef = useRef(bindings);
+
+    useEffect(() => {
+        bindingsRef.current = bindings;
+    }, [bindings]);
+
+    useEffect(() => {
+        if (!enabled) return;
+
+        const onKeyDown = (e) => {
+            if (e.defaultPrevented || e.ctrlKey || e.altKey || e.metaKey) return;
+            if (e.target instanceof Element && e.target.closest(EDITABLE)) return;
+
+            const handler = bindingsRef.current[e.key];
+            if (!handler) return;
+            e.preventDefault();
+            handler(e);
+        };
+        window.addEventListener("keydown", onKeyDown);
+        return () => window.removeEventListener("keydown", onKeyDown);
+    }, [enabled]);
+}
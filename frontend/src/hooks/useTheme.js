@@ -0,0 +1,23 @@
+import { useEffect } from "react";
+
+// Browser chrome color for each theme, matching the page background
+const THEME_COLORS = { light: "#f1f5f9", dark: "#0f172a" };
+
+// Applies the theme preference ("light", "dark" or "system") as Tailwind's
+// `dark` class on <html>. "system" follows prefers-color-scheme, including
+// when the OS switches while the page is open.
+export default function useTheme(theme) {
+    useEffect(() => {
+        const query = window.matchMedia("(prefers-color-scheme: dark)");
+        const apply = () => {
+            const dark = theme === "dark" || (theme !== "light" && query.matches);
+            document.documentElement.classList.toggle("dark", dark);
+            document.querySelector('meta[name="theme-color"]')?.setAttribute("content", THEME_COLORS[dark ? "dark" : "light"]);
+        };
+
+        apply();
+        if (theme === "light" || theme === "dark") return;
+        query.addEventListener("change", apply);
+        return () => query.removeEventListener("change", apply);
+    }, [theme]);
+}
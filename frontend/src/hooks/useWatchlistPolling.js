@@ -0,0 +1,75 @@
+import { useEffect, useRef } from "react";
+import axios from "axios";
+import { summarizeReading, evaluateRules, describeAlert, notify, ALERT_HISTORY_LIMIT } from "../utils/alerts";
+import { recordSnapshot } from "../utils/history";
+
+export const POLL_INTERVAL = 300000;
+
+// Polls every watched city in the background, evaluates its alert rules against
+// the previous reading and reports anything that fired. `l10n` (see
+// createLocaleValue) words the browser notifications.
+export default function useWatchlistPolling({ fetchUrl, standard, l10n, watchlist, setWatchlist, setAlertHistory }) {
+    // The interval reads the latest list through a ref so it doesn't restart on every edit
+    const watchlistRef = useRef(watchlist);
+    const inFlight = useRef(false);
+    const active = watchlist.length > 0;
+    // Same for the language notifications are written in
+    const l10nRef = useRef(l10n);
+
+    useEffect(() => {
+        watchlistRef.current = watchlist;
+    }, [watchlist]);
+
+    useEffect(() => {
+        l10nRef.current = l10n;
+    }, [l10n]);
+
+    useEffect(() => {
+        if (!active) return;
+
+        const poll = async () => {
+            if (inFlight.current) return;
+            inFlight.current = true;
+
+            try {
+                const entries = watchlistRef.current;
+                const settled = await Promise.allSettled(
+                    entries.map(e => axios(`${fetchUrl}/environment?city=${encodeURIComponent(e.city)}`))
+                );
+
+                const readings = {};
+                const fired = [];
+                const timestamp = Date.now();
+
+                settled.forEach((res, i) => {
+                    if (res.status !== "fulfilled") {
+                        console.error(`Watchlist poll failed for ${entries[i].city}:`, res.reason);
+                        return;
+                    }
+                    const entry = entries[i];
+                    const reading = summarizeReading(res.value.data, standard);
+                    readings[entry.city] = reading;
+                    recordSnapshot(res.value.data).catch(err => console.error("Failed to record snapshot:", err));
+
+                    evaluateRules(entry.rules, reading, entry.lastReading).forEach(alert => {
+                        fired.push({ id: `${timestamp}-${entry.city}-${alert.rule}`, city: entry.city, key: alert.key, vars: alert.vars, timestamp });
+                    });
+                });
+
+                setWatchlist(prev => prev.map(e => readings[e.city] ? { ...e, lastReading: readings[e.city] } : e));
+
+                if (fired.length > 0) {
+                    setAlertHistory(prev => [...fired, ...prev].slice(0, ALERT_HISTORY_LIMIT));
+                    const { t } = l10nRef.current;
+                    fired.forEach(a => notify(t("alerts.notificationTitle", { city: a.city }), describeAlert(a, l10nRef.current)));
+                }
+            } finally {
+                inFlight.current = false;
+            }
+        };
+
+        poll();
+        const interval = setInterval(poll, POLL_INTERVAL);
+        return () => clearInterval(interval);
+    }, [active, fetchUrl, standard, setWatchlist, setAlertHistory]);
+}
@@ -0,0 +1,56 @@
+import { createContext, useContext } from "react";
+import { LOCALES, DEFAULT_LOCALE, normalizeLocale, createTranslator } from "./index";
+import { prettyKey, unitFor, formatValue } from "../utils/pollutants";
+import { getStandard } from "../utils/aqi";
+import { providerName } from "../utils/providers";
+import { DEFAULT_UNITS, unitKind, convertMeasurement } from "../utils/units";
+
+// Everything a component needs to render text, numbers and measurements for
+// the chosen language and unit system.
+export function createLocaleValue(locale, units = DEFAULT_UNITS) {
+    const id = normalizeLocale(locale);
+    const intl = LOCALES[id].intl;
+    const t = createTranslator(id);
+
+    const formatNumber = (value, digits = 2) => formatValue(value, { locale: intl, digits });
+
+    // Converted value and unit label for a reading key (see POLLUTANT_META)
+    const measure = (k, value) => {
+        const kind = unitKind(k);
+        if (!kind) return { value: formatNumber(value), unit: unitFor(k) };
+        const converted = convertMeasurement(kind, value, units);
+        return { value: formatNumber(converted.value, converted.digits), unit: converted.unit };
+    };
+
+    return {
+        locale: id,
+        intl,
+        units,
+        t,
+        formatNumber,
+        formatTime: (date) => new Date(date).toLocaleTimeString(intl),
+        formatDateTime: (date) => new Date(date).toLocaleString(intl),
+        formatDate: (date, options) => new Date(date).toLocaleDateString(intl, options),
+        formatClock: (date) => new Date(date).toLocaleTimeString(intl, { hour: "2-digit", minute: "2-digit" }),
+        measure,
+        // Degrees and percent sit directly against the number, other units after a space
+        formatMeasurement: (k, value) => {
+            const { value: text, unit } = measure(k, value);
+            if (text === "—" || !unit) return text;
+            return unit.startsWith("°") || unit === "%" ? `${text}${unit}` : `${text} ${unit}`;
+        },
+        label: (k) => t(`label.${k}`, null, prettyKey(k)),
+        categoryLabel: (cat) => t(`category.${cat}`, null, cat),
+        standardName: (standard) => t(`standard.${standard}`, null, getStandard(standard).name),
+        // Provider and station behind a reading (aqi_data.source); modelled data has no station
+        sourceLabel: (source) => {
+            if (!source) return null;
+            const provider = providerName(source.provider);
+            return source.station ? t("source.station", { provider, station: source.station }) : t("source.model", { provider });
+        },
+    };
+}
+
+export const LocaleContext = createContext(createLocaleValue(DEFAULT_LOCALE));
+
+export const useLocale = () => useContext(LocaleContext);
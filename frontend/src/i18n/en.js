@@ -0,0 +1,402 @@
+// English strings. Keys are flat and dot-separated; `{name}` marks a value
+// filled in by the translator. This catalog is the fallback for every locale.
+const en = {
+    "app.tagline": "Real-time Climate Intelligence Platform",
+
+    "header.autoRefresh": "Live updates for this place and your favorites",
+    "header.compare": "Compare cities",
+    "header.backToSingle": "Back to single city",
+    "header.watchlist": "Watchlist and alerts",
+    "header.showGuide": "Show Guide",
+    "header.hideGuide": "Hide Guide",
+    "header.standard": "AQI standard",
+
+    "search.placeholder": "Enter city name...",
+    "search.analyze": "Analyze",
+    "search.locate": "Use my location",
+    "search.favorite": "Favorite",
+    "search.recent": "Recent",
+    "search.label": "Search for a city",
+    "search.loading": "Loading",
+
+    "error.emptyCity": "Please enter a city name",
+    "error.fetch": "Failed to fetch data. Please check if the backend is running.",
+    "error.rateLimited": "Too many requests. Please wait {seconds} seconds and try again.",
+    "error.notFound": "We couldn't find that place. Check the spelling or pick a suggestion.",
+    "error.offline": "You're offline. The reading will load again once you reconnect.",
+    "error.upstream": "{service} is not responding right now. Please try again shortly.",
+    "error.upstreamTimeout": "{service} took too long to respond. Please try again shortly.",
+    "error.invalid": "The request was not valid: {message}",
+    "error.retry": "Retry",
+    "error.dismiss": "Dismiss",
+    "error.partial.weatherDown": "Weather data is unavailable because {service} is not responding; showing air quality only.",
+    "error.partial.aqiDown": "Air quality data is unavailable because {service} is not responding; showing weather only.",
+    "error.partial.noWeather": "No weather data is available for this location.",
+    "error.partial.noAqi": "No air quality station covers this location.",
+    "error.geoUnsupported": "Location is not available in this browser.",
+    "error.geoDenied": "Location access was denied. Allow it in the browser to use your position.",
+    "error.geoFailed": "Could not determine your location. Try again or search by city.",
+
+    "settings.title": "Settings",
+    "settings.language": "Language",
+    "settings.theme": "Theme",
+    "settings.theme.light": "Light",
+    "settings.theme.dark": "Dark",
+    "settings.theme.system": "System",
+    "settings.temperature": "Temperature",
+    "settings.speed": "Wind speed",
+    "settings.pressure": "Pressure",
+    "settings.contrast": "Contrast",
+    "settings.contrast.normal": "Normal",
+    "settings.contrast.high": "High",
+    "settings.motion": "Motion",
+    "settings.motion.system": "System",
+    "settings.motion.reduce": "Reduced",
+
+    "status.live": "Live Data",
+    "status.cached": "Cached data, {minutes} min old",
+    "status.stale": "Offline — stale since {time}",
+    "status.queued": "Refreshes when you're back online",
+    "status.updateFailed": "Not updating — showing data from {time}",
+    "status.updated": "Updated {time}",
+    "stream.off": "Live updates off",
+    "stream.connecting": "Connecting to live updates…",
+    "stream.open": "Live updates on",
+    "stream.paused": "Live updates paused while the tab is hidden",
+    "status.favorite": "Add to favorites",
+    "status.share": "Share data",
+
+    "share.title": "Environment Data",
+    "share.text": "Air Quality in {city}: AQI {aqi} ({standard}), Temperature: {temperature}",
+    "share.copied": "Data copied to clipboard!",
+    "share.copyFailed": "Could not copy to the clipboard",
+
+    "shortcuts.title": "Keyboard shortcuts",
+    "shortcuts.close": "Close",
+    "shortcuts.search": "Search for a city",
+    "shortcuts.refresh": "Refresh the reading",
+    "shortcuts.favorite": "Add or remove favorite",
+    "shortcuts.previous": "Previous favorite",
+    "shortcuts.next": "Next favorite",
+    "shortcuts.help": "Show this list",
+
+    "layout.title": "Customize layout",
+    "layout.reset": "Reset",
+    "layout.column.main": "Main column",
+    "layout.column.side": "Sidebar",
+    "layout.moveUp": "Move up",
+    "layout.moveDown": "Move down",
+    "layout.switchColumn": "Move to the other column",
+    "layout.moveUpPanel": "Move {panel} up",
+    "layout.moveDownPanel": "Move {panel} down",
+    "layout.switchColumnPanel": "Move {panel} to the other column",
+    "layout.panel.statements": "Climate statements",
+    "layout.panel.overview": "Overview",
+    "layout.panel.pollutants": "Pollutants",
+    "layout.panel.trends": "Trends, forecast and map",
+    "layout.panel.guide": "Guide",
+    "layout.panel.weather": "Weather",
+    "layout.panel.healthTips": "Health tips",
+    "layout.panel.actions": "Quick actions",
+    "layout.panel.favorites": "Favorites",
+
+    "a11y.updated": "{place}: AQI {aqi}, {category}",
+    "a11y.updatedNoAqi": "{place}: new reading, no air quality index",
+
+    "location.unknown": "Unknown Location",
+
+    "aqi.heading": "Air Quality Index — {name}",
+    "aqi.label": "AQI ({standard})",
+    "aqi.indicative": "Indicative: too few pollutants reported",
+    "source.label": "Source: {source}",
+    "source.station": "{provider} · {station}",
+    "source.model": "{provider} model",
+    "source.via": "via {provider}",
+
+    "metric.temperature": "Temperature",
+    "metric.humidity": "Humidity",
+    "metric.windSpeed": "Wind Speed",
+    "metric.wind": "Wind",
+    "metric.pressure": "Pressure",
+    "metric.pressureUnit": "Pressure ({unit})",
+
+    "dominant.title": "Dominant Pollutant",
+    "dominant.body": "{pollutant} is the primary concern in your area",
+
+    "pollutants.heading": "Detailed Pollutant Analysis",
+    "pollutants.healthTips": "Health Tips",
+    "pollutants.current": "Current",
+    "pollutants.subIndex": "Sub-index ({standard})",
+    "pollutant.scale": "Position on the {standard} scale",
+    "pollutant.who": "{multiple}× the WHO {period} guideline of {limit}",
+    "pollutant.whoWithin": "Within the WHO {period} guideline of {limit}",
+    "pollutant.period.24h": "24-hour",
+    "pollutant.period.8h": "8-hour",
+    "pollutant.equals": "Equivalent to {value}",
+    "pollutant.sources": "Typical sources",
+    "pollutant.effects": "Health effects",
+    "pollutant.history": "Recorded here in the last 7 days",
+    "pollutant.historyStats": "Min {min} · Avg {avg} · Max {max}",
+    "pollutant.noHistory": "No readings of this pollutant recorded here yet.",
+    "pollutant.pm25.name": "Fine particulate matter (≤ 2.5 µm)",
+    "pollutant.pm25.sources": "Vehicle exhaust, burning of coal, wood and crop stubble, industry, and chemical reactions between other pollutants.",
+    "pollutant.pm25.effects": "Reaches deep into the lungs and the bloodstream; linked to asthma attacks, heart attacks, strokes and lung cancer.",
+    "pollutant.pm10.name": "Coarse particulate matter (≤ 10 µm)",
+    "pollutant.pm10.sources": "Road and construction dust, unpaved roads, mining, and desert dust storms.",
+    "pollutant.pm10.effects": "Irritates the nose, throat and airways; worsens asthma and bronchitis.",
+    "pollutant.no2.name": "Nitrogen dioxide",
+    "pollutant.no2.sources": "Road traffic (especially diesel), power plants and gas stoves.",
+    "pollutant.no2.effects": "Inflames the airways, worsens asthma and increases respiratory infections, most of all in children.",
+    "pollutant.o3.name": "Ground-level ozone",
+    "pollutant.o3.sources": "Formed in sunlight from traffic and industrial emissions; peaks on hot afternoons, often away from the source.",
+    "pollutant.o3.effects": "Causes coughing, chest tightness and reduced lung function; triggers asthma attacks.",
+    "pollutant.so2.name": "Sulfur dioxide",
+    "pollutant.so2.sources": "Burning of coal and oil in power plants and industry, ships, and volcanoes.",
+    "pollutant.so2.effects": "Tightens the airways within minutes, especially in people with asthma.",
+    "pollutant.co.name": "Carbon monoxide",
+    "pollutant.co.sources": "Incomplete burning of fuel: vehicle exhaust, generators, and cooking or heating with solid fuels.",
+    "pollutant.co.effects": "Reduces the blood's ability to carry oxygen; causes headaches and dizziness and strains the heart.",
+
+    "weather.current": "Current Weather",
+    "weather.feelsLike": "Feels like {temperature}",
+    "weather.highLow": "H {max} · L {min}",
+    "weather.source": "Source: {source}",
+    "weather.alternate": "{source}: {value}",
+    "weather.windFrom": "From the {direction}",
+    "weather.gust": "Gusts {speed}",
+    "weather.visibility": "Visibility",
+    "weather.clouds": "Cloud cover",
+    "weather.uv": "UV index",
+    "weather.uv.low": "Low",
+    "weather.uv.moderate": "Moderate",
+    "weather.uv.high": "High",
+    "weather.uv.veryHigh": "Very high",
+    "weather.uv.extreme": "Extreme",
+    "weather.sunrise": "Sunrise",
+    "weather.sunset": "Sunset",
+    "wind.N": "north",
+    "wind.NE": "northeast",
+    "wind.E": "east",
+    "wind.SE": "southeast",
+    "wind.S": "south",
+    "wind.SW": "southwest",
+    "wind.W": "west",
+    "wind.NW": "northwest",
+    "wind.dial.N": "N",
+    "wind.dial.E": "E",
+    "wind.dial.S": "S",
+    "wind.dial.W": "W",
+
+    "health.heading": "Health Recommendations",
+    "health.profile.label": "Profile",
+    "health.profile.general": "General",
+    "health.profile.asthma": "Asthma / lung condition",
+    "health.profile.heart": "Heart condition",
+    "health.profile.children": "Children",
+    "health.profile.elderly": "Older adults",
+    "health.profile.athlete": "Outdoor athlete",
+    "health.profile.pregnancy": "Pregnancy",
+    "health.driver": "Mainly due to {pollutant}",
+    "health.risk.0": "Little or no risk for you. A great time to be outdoors.",
+    "health.risk.1": "Acceptable, but take it easier if you notice symptoms.",
+    "health.risk.2": "Elevated risk for you. Cut back long or intense time outdoors.",
+    "health.risk.3": "High risk for you. Stay indoors as much as you can.",
+    "health.rule.ventilate": "Open the windows to let fresh air in.",
+    "health.rule.windows": "Keep windows closed, especially during rush hour.",
+    "health.rule.purifier": "Run an air purifier with a HEPA filter indoors.",
+    "health.profile.asthma.inhaler": "Keep your reliever inhaler with you.",
+    "health.profile.asthma.plan": "Follow your asthma action plan and avoid exertion outdoors.",
+    "health.profile.heart.exertion": "Avoid strenuous activity; choose gentle walks over workouts.",
+    "health.profile.heart.symptoms": "Watch for chest pain, palpitations or unusual breathlessness and seek care if they occur.",
+    "health.profile.children.play": "Move playtime and sports indoors, or keep them short.",
+    "health.profile.children.school": "Ask the school to hold recess and PE indoors.",
+    "health.profile.elderly.pace": "Take it slow outdoors and rest often.",
+    "health.profile.elderly.checkin": "Check in on older relatives and neighbors who live alone.",
+    "health.profile.athlete.intensity": "Lower the intensity and train away from busy roads.",
+    "health.profile.athlete.indoors": "Train indoors today.",
+    "health.profile.pregnancy.traffic": "Walk on quieter streets, away from heavy traffic.",
+    "health.profile.pregnancy.indoors": "Limit time outdoors and keep indoor air clean.",
+    "health.pollutant.o3": "Ozone peaks in the afternoon; go out in the morning or evening.",
+    "health.pollutant.no2": "Nitrogen dioxide is highest beside traffic; avoid busy roads.",
+    "health.pollutant.so2": "Sulfur dioxide can tighten airways within minutes; stay away from industrial areas.",
+    "health.pollutant.co": "Carbon monoxide is elevated; avoid idling vehicles and ventilate when cooking on gas.",
+    "health.mask.heading": "Mask",
+    "health.mask.none": "No mask needed.",
+    "health.mask.surgical": "A well-fitted surgical mask or KN95 helps outdoors.",
+    "health.mask.n95": "Wear a well-fitted N95/FFP2 respirator outdoors.",
+    "health.mask.gas": "Masks don't filter gases like ozone or NO₂, so limiting time outdoors matters more.",
+    "health.plan.heading": "Activity planner",
+    "health.plan.activity": "Activity",
+    "health.plan.minutes": "Minutes",
+    "health.plan.walk": "Walk",
+    "health.plan.cycle": "Cycle",
+    "health.plan.run": "Run",
+    "health.plan.safe": "Yes, go ahead.",
+    "health.plan.caution": "Possible, but shorter is better.",
+    "health.plan.avoid": "Not recommended; choose an indoor alternative.",
+    "health.plan.limit": "Up to {limit} minutes is fine for you today.",
+
+    "quick.heading": "Quick Actions",
+    "quick.health": "Health Guidelines",
+    "quick.export": "Export Data",
+    "quick.share": "Share Report",
+
+    "favorites.heading": "Favorites",
+    "favorites.moveUp": "Move up",
+    "favorites.moveDown": "Move down",
+    "favorites.remove": "Remove from favorites",
+    "favorites.moveUpCity": "Move {city} up",
+    "favorites.moveDownCity": "Move {city} down",
+    "favorites.removeCity": "Remove {city} from favorites",
+
+    "guide.title": "Environmental Intelligence Guide",
+    "guide.aqi": "Understanding AQI",
+    "guide.protection": "Health Protection",
+    "guide.protection.1": "Use N95 masks when AQI >100",
+    "guide.protection.2": "Avoid outdoor exercise when AQI >150",
+    "guide.protection.3": "Keep windows closed on high pollution days",
+    "guide.protection.4": "Use air purifiers indoors",
+    "guide.protection.5": "Stay hydrated and eat antioxidant-rich foods",
+    "guide.protection.6": "Monitor children and elderly closely",
+    "guide.features": "Advanced Features",
+    "guide.features.1": "Click pollutant cards for detailed info",
+    "guide.features.2": "Enable auto-refresh for live monitoring",
+    "guide.features.3": "Save favorite locations for quick access",
+    "guide.features.4": "Export data for analysis",
+    "guide.features.5": "Share reports with family/friends",
+    "guide.features.6": "Get location-based recommendations",
+    "guide.disclaimerLabel": "Disclaimer:",
+    "guide.disclaimer": "This tool provides educational information based on publicly available data. For medical decisions or official health advisories, always consult local health authorities and medical professionals.",
+
+    "footer.poweredBy": "Powered by दुनिया मौसम",
+    "footer.updates": "Data updates every 5 minutes",
+    "footer.built": "Built with ❤️ for Environmental Awareness",
+
+    "compare.title": "Compare Cities",
+    "compare.remove": "Remove {city}",
+    "compare.empty": "Add at least two cities to compare.",
+    "compare.placeholder": "Add a city...",
+    "compare.add": "Add city",
+    "compare.run": "Compare",
+    "compare.metric": "Metric",
+    "compare.notYet": "Not compared yet",
+    "compare.worst": "Worst",
+
+    "trend.title": "Trends",
+    "trend.metric": "Metric",
+    "trend.unavailable": "History is unavailable in this browser.",
+    "trend.notEnough": "Not enough readings yet. Each refresh of {city} is recorded locally; come back later or enable auto-refresh to build a trend.",
+
+    "forecast.title": "Forecast",
+    "forecast.hourly": "Next 24 hours",
+    "forecast.daily": "Coming days",
+    "forecast.noWeather": "No weather forecast",
+    "forecast.noAqi": "No air quality forecast",
+    "forecast.unavailable": "The forecast could not be loaded.",
+
+    "map.title": "Monitoring stations",
+    "map.heatmap": "Heatmap",
+    "map.hint": "{count} stations in view. Click one to load its readings.",
+    "map.scale": "Colors use the US AQI reported by each station",
+    "map.failed": "Stations could not be loaded for this area.",
+
+    "widget.loading": "Loading air quality…",
+    "widget.unavailable": "Air quality unavailable",
+
+    "watch.title": "Watchlist",
+    "watch.enableNotifications": "Enable browser notifications",
+    "watch.blocked": "Notifications blocked; alerts appear in the history only",
+    "watch.unsupported": "Notifications not supported in this browser",
+    "watch.interval": "Watched cities are checked every 5 minutes while this page is open.",
+    "watch.placeholder": "Watch a city...",
+    "watch.add": "Add to watchlist",
+    "watch.watchCity": "Watch {city}",
+    "watch.lastReading": "Last reading: AQI {aqi} ({category})",
+    "watch.waiting": "Waiting for first reading",
+    "watch.stop": "Stop watching",
+    "watch.ruleCategory": "AQI category changes",
+    "watch.ruleAbove": "{label} above",
+    "watch.removeRule": "Remove rule",
+    "watch.addRule": "Add pollutant rule",
+    "watch.rulePollutant": "Pollutant for a new rule",
+    "watch.empty": "No cities watched yet.",
+
+    "alerts.title": "Alert History",
+    "alerts.clear": "Clear",
+    "alerts.empty": "No alerts yet.",
+    "alerts.categoryChanged": "AQI category changed from {from} to {to} (AQI {aqi})",
+    "alerts.above": "{label} is {value}, above your limit of {threshold}",
+    "alerts.notificationTitle": "Air quality alert: {city}",
+
+    "export.button": "Export data",
+    "export.json": "JSON (raw response)",
+    "export.csv": "CSV (pollutants)",
+    "export.png": "PNG snapshot",
+    "export.print": "Print / PDF report",
+    "export.historyCsv": "History CSV ({count} readings)",
+    "export.historyJson": "History JSON",
+
+    "print.subtitle": "Environment Report",
+    "print.dominant": "Dominant pollutant: {pollutant}",
+    "print.humidity": "{value}% humidity",
+    "print.pollutant": "Pollutant",
+    "print.value": "Value",
+    "print.unit": "Unit",
+    "print.subIndex": "Sub-index",
+    "print.category": "Category",
+
+    // Pollutant and weather reading labels (chemical symbols are not translated)
+    "label.dew": "Dew Point",
+    "label.h": "Humidity",
+    "label.p": "Pressure",
+    "label.t": "Temperature",
+    "label.w": "Wind Speed",
+    "label.wd": "Wind Dir",
+    "label.wg": "Wind Gust",
+
+    // AQI standards and their categories, keyed by the names in utils/aqi.js
+    "standard.us_epa": "US EPA Standard",
+    "standard.in_naqi": "Indian National AQI (CPCB)",
+    "standard.eu_caqi": "European Common Air Quality Index (background, hourly)",
+    "standard.uk_daqi": "UK Daily Air Quality Index",
+
+    "category.Good": "Good",
+    "category.Moderate": "Moderate",
+    "category.Unhealthy (S)": "Unhealthy (S)",
+    "category.Unhealthy": "Unhealthy",
+    "category.Very Unhealthy": "Very Unhealthy",
+    "category.Hazardous": "Hazardous",
+    "category.Satisfactory": "Satisfactory",
+    "category.Poor": "Poor",
+    "category.Very Poor": "Very Poor",
+    "category.Severe": "Severe",
+    "category.Very Low": "Very Low",
+    "category.Low": "Low",
+    "category.Medium": "Medium",
+    "category.High": "High",
+    "category.Very High": "Very High",
+
+    "desc.us_epa.0": "Air quality is satisfactory",
+    "desc.us_epa.1": "Some sensitivity possible",
+    "desc.us_epa.2": "Sensitive groups affected",
+    "desc.us_epa.3": "Everyone may be affected",
+    "desc.us_epa.4": "Health alert for everyone",
+    "desc.us_epa.5": "Emergency conditions",
+    "desc.in_naqi.0": "Minimal impact",
+    "desc.in_naqi.1": "Minor breathing discomfort to sensitive people",
+    "desc.in_naqi.2": "Discomfort to people with lung or heart disease",
+    "desc.in_naqi.3": "Breathing discomfort on prolonged exposure",
+    "desc.in_naqi.4": "Respiratory illness on prolonged exposure",
+    "desc.in_naqi.5": "Affects healthy people, serious impact on the ill",
+    "desc.eu_caqi.0": "Very low pollution",
+    "desc.eu_caqi.1": "Low pollution",
+    "desc.eu_caqi.2": "Medium pollution",
+    "desc.eu_caqi.3": "High pollution",
+    "desc.eu_caqi.4": "Very high pollution",
+    "desc.uk_daqi.0": "Enjoy usual outdoor activities",
+    "desc.uk_daqi.1": "Sensitive people may notice symptoms",
+    "desc.uk_daqi.2": "Reduce strenuous outdoor activity",
+    "desc.uk_daqi.3": "Reduce physical exertion outdoors",
+};
+
+export default en;
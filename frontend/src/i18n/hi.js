@@ -0,0 +1,399 @@
+// Hindi strings. Missing keys fall back to ./en.js.
+const hi = {
+    "app.tagline": "रीयल-टाइम जलवायु जानकारी मंच",
+
+    "header.autoRefresh": "इस जगह और पसंदीदा के लाइव अपडेट",
+    "header.compare": "शहरों की तुलना करें",
+    "header.backToSingle": "एक शहर पर वापस जाएँ",
+    "header.watchlist": "वॉचलिस्ट और अलर्ट",
+    "header.showGuide": "गाइड दिखाएँ",
+    "header.hideGuide": "गाइड छिपाएँ",
+    "header.standard": "AQI मानक",
+
+    "search.placeholder": "शहर का नाम लिखें...",
+    "search.analyze": "विश्लेषण करें",
+    "search.locate": "मेरा स्थान उपयोग करें",
+    "search.favorite": "पसंदीदा",
+    "search.recent": "हाल की खोज",
+    "search.label": "शहर खोजें",
+    "search.loading": "लोड हो रहा है",
+
+    "error.emptyCity": "कृपया शहर का नाम लिखें",
+    "error.fetch": "डेटा नहीं मिल सका। कृपया जाँचें कि बैकएंड चल रहा है।",
+    "error.rateLimited": "बहुत अधिक अनुरोध। कृपया {seconds} सेकंड रुककर फिर से प्रयास करें।",
+    "error.notFound": "यह स्थान नहीं मिला। वर्तनी जाँचें या कोई सुझाव चुनें।",
+    "error.offline": "आप ऑफ़लाइन हैं। कनेक्शन लौटते ही रीडिंग फिर से लोड होगी।",
+    "error.upstream": "{service} अभी प्रतिक्रिया नहीं दे रहा है। कृपया थोड़ी देर बाद प्रयास करें।",
+    "error.upstreamTimeout": "{service} ने प्रतिक्रिया देने में बहुत समय लिया। कृपया थोड़ी देर बाद प्रयास करें।",
+    "error.invalid": "अनुरोध मान्य नहीं था: {message}",
+    "error.retry": "फिर से प्रयास करें",
+    "error.dismiss": "बंद करें",
+    "error.partial.weatherDown": "{service} प्रतिक्रिया नहीं दे रहा, इसलिए मौसम डेटा उपलब्ध नहीं है; केवल वायु गुणवत्ता दिखाई जा रही है।",
+    "error.partial.aqiDown": "{service} प्रतिक्रिया नहीं दे रहा, इसलिए वायु गुणवत्ता डेटा उपलब्ध नहीं है; केवल मौसम दिखाया जा रहा है।",
+    "error.partial.noWeather": "इस स्थान के लिए मौसम डेटा उपलब्ध नहीं है।",
+    "error.partial.noAqi": "इस स्थान के पास कोई वायु गुणवत्ता स्टेशन नहीं है।",
+    "error.geoUnsupported": "इस ब्राउज़र में स्थान उपलब्ध नहीं है।",
+    "error.geoDenied": "स्थान की अनुमति नहीं मिली। अपनी स्थिति उपयोग करने के लिए ब्राउज़र में अनुमति दें।",
+    "error.geoFailed": "आपका स्थान पता नहीं चल सका। फिर से प्रयास करें या शहर से खोजें।",
+
+    "settings.title": "सेटिंग्स",
+    "settings.language": "भाषा",
+    "settings.theme": "थीम",
+    "settings.theme.light": "लाइट",
+    "settings.theme.dark": "डार्क",
+    "settings.theme.system": "सिस्टम",
+    "settings.temperature": "तापमान",
+    "settings.speed": "हवा की गति",
+    "settings.pressure": "दबाव",
+    "settings.contrast": "कंट्रास्ट",
+    "settings.contrast.normal": "सामान्य",
+    "settings.contrast.high": "उच्च",
+    "settings.motion": "एनिमेशन",
+    "settings.motion.system": "सिस्टम",
+    "settings.motion.reduce": "कम",
+
+    "status.live": "लाइव डेटा",
+    "status.cached": "कैश डेटा, {minutes} मिनट पुराना",
+    "status.stale": "ऑफ़लाइन — {time} से पुराना डेटा",
+    "status.queued": "ऑनलाइन होते ही रीफ़्रेश होगा",
+    "status.updateFailed": "अपडेट नहीं हो रहा — {time} का डेटा दिख रहा है",
+    "status.updated": "अपडेट: {time}",
+    "stream.off": "लाइव अपडेट बंद",
+    "stream.connecting": "लाइव अपडेट से जुड़ रहे हैं…",
+    "stream.open": "लाइव अपडेट चालू",
+    "stream.paused": "टैब छिपा होने तक लाइव अपडेट रुके हैं",
+    "status.favorite": "पसंदीदा में जोड़ें",
+    "status.share": "डेटा साझा करें",
+
+    "share.title": "पर्यावरण डेटा",
+    "share.text": "{city} में वायु गुणवत्ता: AQI {aqi} ({standard}), तापमान: {temperature}",
+    "share.copied": "डेटा क्लिपबोर्ड पर कॉपी हो गया!",
+    "share.copyFailed": "क्लिपबोर्ड पर कॉपी नहीं हो सका",
+
+    "shortcuts.title": "कीबोर्ड शॉर्टकट",
+    "shortcuts.close": "बंद करें",
+    "shortcuts.search": "शहर खोजें",
+    "shortcuts.refresh": "रीडिंग रीफ़्रेश करें",
+    "shortcuts.favorite": "पसंदीदा में जोड़ें या हटाएँ",
+    "shortcuts.previous": "पिछला पसंदीदा",
+    "shortcuts.next": "अगला पसंदीदा",
+    "shortcuts.help": "यह सूची दिखाएँ",
+
+    "layout.title": "लेआउट बदलें",
+    "layout.reset": "रीसेट",
+    "layout.column.main": "मुख्य कॉलम",
+    "layout.column.side": "साइडबार",
+    "layout.moveUp": "ऊपर ले जाएँ",
+    "layout.moveDown": "नीचे ले जाएँ",
+    "layout.switchColumn": "दूसरे कॉलम में ले जाएँ",
+    "layout.moveUpPanel": "{panel} को ऊपर ले जाएँ",
+    "layout.moveDownPanel": "{panel} को नीचे ले जाएँ",
+    "layout.switchColumnPanel": "{panel} को दूसरे कॉलम में ले जाएँ",
+    "layout.panel.statements": "जलवायु वक्तव्य",
+    "layout.panel.overview": "सारांश",
+    "layout.panel.pollutants": "प्रदूषक",
+    "layout.panel.trends": "रुझान, पूर्वानुमान और नक्शा",
+    "layout.panel.guide": "गाइड",
+    "layout.panel.weather": "मौसम",
+    "layout.panel.healthTips": "स्वास्थ्य सुझाव",
+    "layout.panel.actions": "त्वरित कार्य",
+    "layout.panel.favorites": "पसंदीदा",
+
+    "a11y.updated": "{place}: AQI {aqi}, {category}",
+    "a11y.updatedNoAqi": "{place}: नई रीडिंग, वायु गुणवत्ता सूचकांक नहीं",
+
+    "location.unknown": "अज्ञात स्थान",
+
+    "aqi.heading": "वायु गुणवत्ता सूचकांक — {name}",
+    "aqi.label": "AQI ({standard})",
+    "aqi.indicative": "सांकेतिक: बहुत कम प्रदूषकों की जानकारी मिली",
+    "source.label": "स्रोत: {source}",
+    "source.station": "{provider} · {station}",
+    "source.model": "{provider} मॉडल",
+    "source.via": "{provider} से",
+
+    "metric.temperature": "तापमान",
+    "metric.humidity": "नमी",
+    "metric.windSpeed": "हवा की गति",
+    "metric.wind": "हवा",
+    "metric.pressure": "दबाव",
+    "metric.pressureUnit": "दबाव ({unit})",
+
+    "dominant.title": "मुख्य प्रदूषक",
+    "dominant.body": "आपके क्षेत्र में {pollutant} सबसे बड़ी चिंता है",
+
+    "pollutants.heading": "प्रदूषकों का विस्तृत विश्लेषण",
+    "pollutants.healthTips": "स्वास्थ्य सुझाव",
+    "pollutants.current": "वर्तमान",
+    "pollutants.subIndex": "उप-सूचकांक ({standard})",
+    "pollutant.scale": "{standard} पैमाने पर स्थिति",
+    "pollutant.who": "WHO के {period} दिशानिर्देश {limit} का {multiple} गुना",
+    "pollutant.whoWithin": "WHO के {period} दिशानिर्देश {limit} के भीतर",
+    "pollutant.period.24h": "24 घंटे के",
+    "pollutant.period.8h": "8 घंटे के",
+    "pollutant.equals": "{value} के बराबर",
+    "pollutant.sources": "आम स्रोत",
+    "pollutant.effects": "स्वास्थ्य पर असर",
+    "pollutant.history": "पिछले 7 दिनों में यहाँ दर्ज",
+    "pollutant.historyStats": "न्यूनतम {min} · औसत {avg} · अधिकतम {max}",
+    "pollutant.noHistory": "इस प्रदूषक की कोई रीडिंग अभी यहाँ दर्ज नहीं है।",
+    "pollutant.pm25.name": "सूक्ष्म कण (≤ 2.5 µm)",
+    "pollutant.pm25.sources": "वाहनों का धुआँ, कोयला, लकड़ी और पराली जलाना, उद्योग, और दूसरे प्रदूषकों की रासायनिक प्रतिक्रियाएँ।",
+    "pollutant.pm25.effects": "फेफड़ों में गहराई तक और खून में पहुँचते हैं; अस्थमा के दौरे, दिल का दौरा, स्ट्रोक और फेफड़ों के कैंसर से जुड़े हैं।",
+    "pollutant.pm10.name": "मोटे कण (≤ 10 µm)",
+    "pollutant.pm10.sources": "सड़क और निर्माण की धूल, कच्ची सड़कें, खनन, और रेगिस्तानी धूल भरी आँधियाँ।",
+    "pollutant.pm10.effects": "नाक, गले और साँस की नलियों में जलन; अस्थमा और ब्रोंकाइटिस को बढ़ाते हैं।",
+    "pollutant.no2.name": "नाइट्रोजन डाइऑक्साइड",
+    "pollutant.no2.sources": "सड़क यातायात (ख़ासकर डीज़ल), बिजलीघर और गैस स्टोव।",
+    "pollutant.no2.effects": "साँस की नलियों में सूजन, अस्थमा बढ़ाना और साँस के संक्रमण, सबसे ज़्यादा बच्चों में।",
+    "pollutant.o3.name": "ज़मीनी स्तर की ओज़ोन",
+    "pollutant.o3.sources": "यातायात और उद्योग के उत्सर्जन से धूप में बनती है; गर्म दोपहरों में चरम पर, अक्सर स्रोत से दूर।",
+    "pollutant.o3.effects": "खाँसी, सीने में जकड़न और फेफड़ों की क्षमता में कमी; अस्थमा के दौरे ला सकती है।",
+    "pollutant.so2.name": "सल्फ़र डाइऑक्साइड",
+    "pollutant.so2.sources": "बिजलीघरों और उद्योगों में कोयला और तेल जलाना, जहाज़, और ज्वालामुखी।",
+    "pollutant.so2.effects": "कुछ ही मिनटों में साँस की नलियाँ सिकोड़ती है, ख़ासकर अस्थमा वाले लोगों में।",
+    "pollutant.co.name": "कार्बन मोनोऑक्साइड",
+    "pollutant.co.sources": "ईंधन का अधूरा जलना: वाहनों का धुआँ, जनरेटर, और ठोस ईंधन से खाना पकाना या गर्म करना।",
+    "pollutant.co.effects": "खून की ऑक्सीजन ले जाने की क्षमता घटाती है; सिरदर्द, चक्कर और दिल पर दबाव।",
+
+    "weather.current": "वर्तमान मौसम",
+    "weather.feelsLike": "महसूस होता है {temperature}",
+    "weather.highLow": "अधिकतम {max} · न्यूनतम {min}",
+    "weather.source": "स्रोत: {source}",
+    "weather.alternate": "{source}: {value}",
+    "weather.windFrom": "{direction} से",
+    "weather.gust": "झोंके {speed}",
+    "weather.visibility": "दृश्यता",
+    "weather.clouds": "बादल",
+    "weather.uv": "यूवी सूचकांक",
+    "weather.uv.low": "कम",
+    "weather.uv.moderate": "मध्यम",
+    "weather.uv.high": "उच्च",
+    "weather.uv.veryHigh": "बहुत उच्च",
+    "weather.uv.extreme": "अत्यधिक",
+    "weather.sunrise": "सूर्योदय",
+    "weather.sunset": "सूर्यास्त",
+    "wind.N": "उत्तर",
+    "wind.NE": "उत्तर-पूर्व",
+    "wind.E": "पूर्व",
+    "wind.SE": "दक्षिण-पूर्व",
+    "wind.S": "दक्षिण",
+    "wind.SW": "दक्षिण-पश्चिम",
+    "wind.W": "पश्चिम",
+    "wind.NW": "उत्तर-पश्चिम",
+    "wind.dial.N": "उ",
+    "wind.dial.E": "पू",
+    "wind.dial.S": "द",
+    "wind.dial.W": "प",
+
+    "health.heading": "स्वास्थ्य सलाह",
+    "health.profile.label": "प्रोफ़ाइल",
+    "health.profile.general": "सामान्य",
+    "health.profile.asthma": "अस्थमा / फेफड़ों की बीमारी",
+    "health.profile.heart": "हृदय रोग",
+    "health.profile.children": "बच्चे",
+    "health.profile.elderly": "बुज़ुर्ग",
+    "health.profile.athlete": "आउटडोर खिलाड़ी",
+    "health.profile.pregnancy": "गर्भावस्था",
+    "health.driver": "मुख्य कारण: {pollutant}",
+    "health.risk.0": "आपके लिए जोखिम बहुत कम है। बाहर जाने का बढ़िया समय।",
+    "health.risk.1": "स्वीकार्य, पर लक्षण दिखें तो गतिविधि कम करें।",
+    "health.risk.2": "आपके लिए जोखिम बढ़ा हुआ है। बाहर लंबी या भारी गतिविधि कम करें।",
+    "health.risk.3": "आपके लिए जोखिम अधिक है। जितना हो सके घर के अंदर रहें।",
+    "health.rule.ventilate": "ताज़ी हवा के लिए खिड़कियाँ खोलें।",
+    "health.rule.windows": "खिड़कियाँ बंद रखें, ख़ासकर भीड़ के समय।",
+    "health.rule.purifier": "घर के अंदर HEPA फ़िल्टर वाला एयर प्यूरीफ़ायर चलाएँ।",
+    "health.profile.asthma.inhaler": "अपना रिलीवर इनहेलर साथ रखें।",
+    "health.profile.asthma.plan": "अपनी अस्थमा कार्य योजना का पालन करें और बाहर मेहनत से बचें।",
+    "health.profile.heart.exertion": "भारी गतिविधि से बचें; कसरत की जगह हल्की सैर करें।",
+    "health.profile.heart.symptoms": "सीने में दर्द, धड़कन या असामान्य साँस फूलने पर ध्यान दें और ऐसा हो तो डॉक्टर से मिलें।",
+    "health.profile.children.play": "खेलकूद घर के अंदर करें या कम समय रखें।",
+    "health.profile.children.school": "स्कूल से कहें कि खेल और PE घर के अंदर कराएँ।",
+    "health.profile.elderly.pace": "बाहर धीरे चलें और बार-बार आराम करें।",
+    "health.profile.elderly.checkin": "अकेले रहने वाले बुज़ुर्ग रिश्तेदारों और पड़ोसियों का हाल पूछें।",
+    "health.profile.athlete.intensity": "तीव्रता कम करें और व्यस्त सड़कों से दूर अभ्यास करें।",
+    "health.profile.athlete.indoors": "आज घर के अंदर अभ्यास करें।",
+    "health.profile.pregnancy.traffic": "भारी ट्रैफ़िक से दूर, शांत गलियों में चलें।",
+    "health.profile.pregnancy.indoors": "बाहर कम समय बिताएँ और घर की हवा साफ़ रखें।",
+    "health.pollutant.o3": "ओज़ोन दोपहर में सबसे अधिक होती है; सुबह या शाम को बाहर जाएँ।",
+    "health.pollutant.no2": "नाइट्रोजन डाइऑक्साइड ट्रैफ़िक के पास सबसे अधिक होती है; व्यस्त सड़कों से बचें।",
+    "health.pollutant.so2": "सल्फ़र डाइऑक्साइड कुछ ही मिनटों में साँस की नलियाँ सिकोड़ सकती है; औद्योगिक क्षेत्रों से दूर रहें।",
+    "health.pollutant.co": "कार्बन मोनोऑक्साइड बढ़ी हुई है; चालू खड़े वाहनों से बचें और गैस पर खाना बनाते समय हवा आने दें।",
+    "health.mask.heading": "मास्क",
+    "health.mask.none": "मास्क की ज़रूरत नहीं।",
+    "health.mask.surgical": "बाहर ठीक से फ़िट सर्जिकल मास्क या KN95 मददगार है।",
+    "health.mask.n95": "बाहर ठीक से फ़िट N95/FFP2 रेस्पिरेटर पहनें।",
+    "health.mask.gas": "मास्क ओज़ोन या NO₂ जैसी गैसें नहीं रोकते, इसलिए बाहर कम समय बिताना ज़्यादा ज़रूरी है।",
+    "health.plan.heading": "गतिविधि योजना",
+    "health.plan.activity": "गतिविधि",
+    "health.plan.minutes": "मिनट",
+    "health.plan.walk": "सैर",
+    "health.plan.cycle": "साइकिल",
+    "health.plan.run": "दौड़",
+    "health.plan.safe": "हाँ, बेझिझक जाएँ।",
+    "health.plan.caution": "संभव है, पर कम समय बेहतर है।",
+    "health.plan.avoid": "सलाह नहीं दी जाती; घर के अंदर का विकल्प चुनें।",
+    "health.plan.limit": "आज आपके लिए {limit} मिनट तक ठीक है।",
+
+    "quick.heading": "त्वरित कार्य",
+    "quick.health": "स्वास्थ्य दिशानिर्देश",
+    "quick.export": "डेटा निर्यात करें",
+    "quick.share": "रिपोर्ट साझा करें",
+
+    "favorites.heading": "पसंदीदा",
+    "favorites.moveUp": "ऊपर ले जाएँ",
+    "favorites.moveDown": "नीचे ले जाएँ",
+    "favorites.remove": "पसंदीदा से हटाएँ",
+    "favorites.moveUpCity": "{city} को ऊपर ले जाएँ",
+    "favorites.moveDownCity": "{city} को नीचे ले जाएँ",
+    "favorites.removeCity": "{city} को पसंदीदा से हटाएँ",
+
+    "guide.title": "पर्यावरण जानकारी गाइड",
+    "guide.aqi": "AQI को समझें",
+    "guide.protection": "स्वास्थ्य सुरक्षा",
+    "guide.protection.1": "AQI >100 होने पर N95 मास्क पहनें",
+    "guide.protection.2": "AQI >150 होने पर बाहर व्यायाम न करें",
+    "guide.protection.3": "अधिक प्रदूषण वाले दिनों में खिड़कियाँ बंद रखें",
+    "guide.protection.4": "घर के अंदर एयर प्यूरीफ़ायर का उपयोग करें",
+    "guide.protection.5": "पर्याप्त पानी पिएँ और एंटीऑक्सीडेंट युक्त भोजन लें",
+    "guide.protection.6": "बच्चों और बुज़ुर्गों का विशेष ध्यान रखें",
+    "guide.features": "उन्नत सुविधाएँ",
+    "guide.features.1": "विस्तृत जानकारी के लिए प्रदूषक कार्ड पर क्लिक करें",
+    "guide.features.2": "लाइव निगरानी के लिए ऑटो-रीफ़्रेश चालू करें",
+    "guide.features.3": "जल्दी पहुँच के लिए पसंदीदा स्थान सहेजें",
+    "guide.features.4": "विश्लेषण के लिए डेटा निर्यात करें",
+    "guide.features.5": "परिवार/मित्रों के साथ रिपोर्ट साझा करें",
+    "guide.features.6": "स्थान के अनुसार सुझाव पाएँ",
+    "guide.disclaimerLabel": "अस्वीकरण:",
+    "guide.disclaimer": "यह टूल सार्वजनिक रूप से उपलब्ध डेटा पर आधारित शैक्षिक जानकारी देता है। चिकित्सा निर्णयों या आधिकारिक स्वास्थ्य परामर्श के लिए हमेशा स्थानीय स्वास्थ्य अधिकारियों और चिकित्सकों से सलाह लें।",
+
+    "footer.poweredBy": "दुनिया मौसम द्वारा संचालित",
+    "footer.updates": "डेटा हर 5 मिनट में अपडेट होता है",
+    "footer.built": "पर्यावरण जागरूकता के लिए ❤️ से बनाया गया",
+
+    "compare.title": "शहरों की तुलना",
+    "compare.remove": "{city} हटाएँ",
+    "compare.empty": "तुलना के लिए कम से कम दो शहर जोड़ें।",
+    "compare.placeholder": "शहर जोड़ें...",
+    "compare.add": "शहर जोड़ें",
+    "compare.run": "तुलना करें",
+    "compare.metric": "माप",
+    "compare.notYet": "अभी तुलना नहीं हुई",
+    "compare.worst": "सबसे ख़राब",
+
+    "trend.title": "रुझान",
+    "trend.metric": "माप",
+    "trend.unavailable": "इस ब्राउज़र में इतिहास उपलब्ध नहीं है।",
+    "trend.notEnough": "अभी पर्याप्त रीडिंग नहीं हैं। {city} का हर रीफ़्रेश इसी ब्राउज़र में सहेजा जाता है; रुझान बनाने के लिए बाद में आएँ या ऑटो-रीफ़्रेश चालू करें।",
+
+    "forecast.title": "पूर्वानुमान",
+    "forecast.hourly": "अगले 24 घंटे",
+    "forecast.daily": "आने वाले दिन",
+    "forecast.noWeather": "मौसम पूर्वानुमान उपलब्ध नहीं",
+    "forecast.noAqi": "वायु गुणवत्ता पूर्वानुमान उपलब्ध नहीं",
+    "forecast.unavailable": "पूर्वानुमान लोड नहीं हो सका।",
+
+    "map.title": "निगरानी स्टेशन",
+    "map.heatmap": "हीटमैप",
+    "map.hint": "दृश्य में {count} स्टेशन। रीडिंग देखने के लिए किसी एक पर क्लिक करें।",
+    "map.scale": "रंग प्रत्येक स्टेशन द्वारा बताए गए US AQI पर आधारित हैं",
+    "map.failed": "इस क्षेत्र के स्टेशन लोड नहीं हो सके।",
+
+    "widget.loading": "वायु गुणवत्ता लोड हो रही है…",
+    "widget.unavailable": "वायु गुणवत्ता उपलब्ध नहीं",
+
+    "watch.title": "वॉचलिस्ट",
+    "watch.enableNotifications": "ब्राउज़र सूचनाएँ चालू करें",
+    "watch.blocked": "सूचनाएँ अवरुद्ध हैं; अलर्ट केवल इतिहास में दिखेंगे",
+    "watch.unsupported": "यह ब्राउज़र सूचनाओं का समर्थन नहीं करता",
+    "watch.interval": "यह पेज खुला रहने तक निगरानी वाले शहरों की हर 5 मिनट में जाँच होती है।",
+    "watch.placeholder": "शहर की निगरानी करें...",
+    "watch.add": "वॉचलिस्ट में जोड़ें",
+    "watch.watchCity": "{city} की निगरानी करें",
+    "watch.lastReading": "पिछली रीडिंग: AQI {aqi} ({category})",
+    "watch.waiting": "पहली रीडिंग की प्रतीक्षा",
+    "watch.stop": "निगरानी बंद करें",
+    "watch.ruleCategory": "AQI श्रेणी बदलने पर",
+    "watch.ruleAbove": "{label} इससे ऊपर",
+    "watch.removeRule": "नियम हटाएँ",
+    "watch.addRule": "प्रदूषक नियम जोड़ें",
+    "watch.rulePollutant": "नए नियम के लिए प्रदूषक",
+    "watch.empty": "अभी किसी शहर की निगरानी नहीं हो रही।",
+
+    "alerts.title": "अलर्ट इतिहास",
+    "alerts.clear": "साफ़ करें",
+    "alerts.empty": "अभी कोई अलर्ट नहीं।",
+    "alerts.categoryChanged": "AQI श्रेणी {from} से {to} हो गई (AQI {aqi})",
+    "alerts.above": "{label} {value} है, आपकी सीमा {threshold} से ऊपर",
+    "alerts.notificationTitle": "वायु गुणवत्ता अलर्ट: {city}",
+
+    "export.button": "डेटा निर्यात करें",
+    "export.json": "JSON (मूल प्रतिक्रिया)",
+    "export.csv": "CSV (प्रदूषक)",
+    "export.png": "PNG स्नैपशॉट",
+    "export.print": "प्रिंट / PDF रिपोर्ट",
+    "export.historyCsv": "इतिहास CSV ({count} रीडिंग)",
+    "export.historyJson": "इतिहास JSON",
+
+    "print.subtitle": "पर्यावरण रिपोर्ट",
+    "print.dominant": "मुख्य प्रदूषक: {pollutant}",
+    "print.humidity": "{value}% नमी",
+    "print.pollutant": "प्रदूषक",
+    "print.value": "मान",
+    "print.unit": "इकाई",
+    "print.subIndex": "उप-सूचकांक",
+    "print.category": "श्रेणी",
+
+    "label.dew": "ओस बिंदु",
+    "label.h": "नमी",
+    "label.p": "दबाव",
+    "label.t": "तापमान",
+    "label.w": "हवा की गति",
+    "label.wd": "हवा की दिशा",
+    "label.wg": "हवा के झोंके",
+
+    "standard.us_epa": "US EPA मानक",
+    "standard.in_naqi": "राष्ट्रीय वायु गुणवत्ता सूचकांक (CPCB)",
+    "standard.eu_caqi": "यूरोपीय सामान्य वायु गुणवत्ता सूचकांक (पृष्ठभूमि, प्रति घंटा)",
+    "standard.uk_daqi": "UK दैनिक वायु गुणवत्ता सूचकांक",
+
+    "category.Good": "अच्छा",
+    "category.Moderate": "मध्यम",
+    "category.Unhealthy (S)": "अस्वस्थ (संवेदनशील)",
+    "category.Unhealthy": "अस्वस्थ",
+    "category.Very Unhealthy": "बहुत अस्वस्थ",
+    "category.Hazardous": "ख़तरनाक",
+    "category.Satisfactory": "संतोषजनक",
+    "category.Poor": "ख़राब",
+    "category.Very Poor": "बहुत ख़राब",
+    "category.Severe": "गंभीर",
+    "category.Very Low": "बहुत कम",
+    "category.Low": "कम",
+    "category.Medium": "मध्यम",
+    "category.High": "अधिक",
+    "category.Very High": "बहुत अधिक",
+
+    "desc.us_epa.0": "वायु गुणवत्ता संतोषजनक है",
+    "desc.us_epa.1": "कुछ लोगों पर असर संभव",
+    "desc.us_epa.2": "संवेदनशील समूह प्रभावित",
+    "desc.us_epa.3": "सभी प्रभावित हो सकते हैं",
+    "desc.us_epa.4": "सभी के लिए स्वास्थ्य चेतावनी",
+    "desc.us_epa.5": "आपात स्थिति",
+    "desc.in_naqi.0": "न्यूनतम प्रभाव",
+    "desc.in_naqi.1": "संवेदनशील लोगों को साँस लेने में हल्की परेशानी",
+    "desc.in_naqi.2": "फेफड़े या हृदय रोगियों को परेशानी",
+    "desc.in_naqi.3": "लंबे संपर्क पर साँस लेने में परेशानी",
+    "desc.in_naqi.4": "लंबे संपर्क पर श्वसन रोग",
+    "desc.in_naqi.5": "स्वस्थ लोगों पर असर, रोगियों पर गंभीर प्रभाव",
+    "desc.eu_caqi.0": "बहुत कम प्रदूषण",
+    "desc.eu_caqi.1": "कम प्रदूषण",
+    "desc.eu_caqi.2": "मध्यम प्रदूषण",
+    "desc.eu_caqi.3": "अधिक प्रदूषण",
+    "desc.eu_caqi.4": "बहुत अधिक प्रदूषण",
+    "desc.uk_daqi.0": "सामान्य बाहरी गतिविधियों का आनंद लें",
+    "desc.uk_daqi.1": "संवेदनशील लोगों को लक्षण महसूस हो सकते हैं",
+    "desc.uk_daqi.2": "बाहर ज़ोरदार गतिविधि कम करें",
+    "desc.uk_daqi.3": "बाहर शारीरिक मेहनत कम करें",
+};
+
+export default hi;
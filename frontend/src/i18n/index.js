@@ -0,0 +1,23 @@
+import en from "./en";
+import hi from "./hi";
+
+// `intl` is the tag handed to Intl/toLocale* for number and date formatting
+export const LOCALES = {
+    en: { label: "English", intl: "en", strings: en },
+    hi: { label: "हिन्दी", intl: "hi-IN", strings: hi },
+};
+
+export const DEFAULT_LOCALE = "en";
+
+export const normalizeLocale = (locale) => (locale in LOCALES ? locale : DEFAULT_LOCALE);
+
+// Returns t(key, vars, fallback): looks the key up in the locale, then English,
+// then `fallback`, and finally returns the key itself so gaps are visible.
+export function createTranslator(locale) {
+    const strings = LOCALES[normalizeLocale(locale)].strings;
+    return (key, vars, fallback) => {
+        const template = strings[key] ?? en[key] ?? fallback ?? key;
+        if (!vars) return template;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+    };
+}
@@ -3,8 +3,25 @@ import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// VITE_API_MOCKS=true answers API calls from src/mocks (MSW) so the dev server
+// runs without a backend. Never part of a production build.
+async function enableMocks() {
+  if (!import.meta.env.DEV || import.meta.env.VITE_API_MOCKS !== 'true') return
+  const { worker } = await import('./mocks/browser')
+  await worker.start({ onUnhandledRequest: 'bypass' })
+}
+
+enableMocks().then(() => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App />
+    </StrictMode>,
+  )
+})
+
+// Offline support (public/sw.js). Skipped in dev so it never serves stale modules.
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => console.error('Service worker registration failed', err))
+  })
+}
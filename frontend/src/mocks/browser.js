@@ -0,0 +1,5 @@
+import { setupWorker } from "msw/browser";
+import { handlers } from "./handlers";
+
+// Started from main.jsx when VITE_API_MOCKS=true (dev server only)
+export const worker = setupWorker(...handlers);
@@ -0,0 +1,351 @@
+import { http, HttpResponse, delay } from "msw";
+import fixtures from "../../../backend/fixtures/cities.json";
+import { convertUnits, unitFor } from "../utils/pollutants";
+import { providerName } from "../utils/providers";
+
+// MSW request handlers standing in for the Flask backend, built from the same
+// fixtures as its UPSTREAM_MODE=mock (backend/fixtures/cities.json), so the
+// dashboard runs with no backend at all. They reproduce the backend's response
+// shapes, partial-result "errors" and error envelopes; see backend/app.py for
+// the real thing.
+
+const { cities, stations: extraStations = [] } = fixtures;
+// Short pause so loading states are visible
+const LATENCY = 300;
+
+const normalize = (text) => String(text ?? "").trim().toLowerCase().split(/\s+/).join(" ");
+
+const placeName = (city) => [...new Set([city.name, city.state, city.country].filter(Boolean))].join(", ");
+
+function near(lat, lon) {
+    const close = cities.filter(c => Math.abs(c.lat - lat) <= 0.5 && Math.abs(c.lon - lon) <= 0.5);
+    const distance = (c) => (c.lat - lat) ** 2 + (c.lon - lon) ** 2;
+    return close.sort((a, b) => distance(a) - distance(b))[0] ?? null;
+}
+
+const geocode = (query) => cities.filter(c => normalize(c.name).startsWith(normalize(query)));
+
+const apiError = (code, message, { upstream = null, retryable = false } = {}) => ({ code, message, upstream, retryable });
+
+// An entry for a response's "errors", like partial_error
+const partialError = (error, affects) => ({ ...error, affects });
+
+function upstreamFailure(city, upstream) {
+    const failure = city?.fail?.[upstream];
+    if (!failure) return null;
+    const timeout = failure === "timeout";
+    return apiError(
+        timeout ? "UPSTREAM_TIMEOUT" : "UPSTREAM_UNAVAILABLE",
+        `${providerName(upstream)} ${timeout ? "timed out" : "returned HTTP 503"}`,
+        { upstream, retryable: true },
+    );
+}
+
+const errorResponse = (status, error) => HttpResponse.json({ error }, { status });
+
+const withAge = (payload) => ({ ...payload, fetched_at: new Date().toISOString(), data_age: 0 });
+
+// Same fields as get_weather_at, plus get_uv_index's uv_index
+function weatherData(city) {
+    const { main, weather: [condition], wind = {}, sys = {}, clouds = {} } = city.weather;
+    return {
+        temperature: main.temp,
+        feels_like: main.feels_like ?? null,
+        temp_min: main.temp_min ?? null,
+        temp_max: main.temp_max ?? null,
+        humidity: main.humidity ?? null,
+        pressure: main.pressure ?? null,
+        visibility: city.weather.visibility ?? null,
+        clouds: clouds.all ?? null,
+        wind_speed: wind.speed ?? null,
+        wind_deg: wind.deg ?? null,
+        wind_gust: wind.gust ?? null,
+        weather: condition.description,
+        condition: condition.main,
+        icon: condition.icon ?? null,
+        sunrise: sys.sunrise ?? null,
+        sunset: sys.sunset ?? null,
+        timezone: city.weather.timezone ?? null,
+        uv_index: city.uv ?? null,
+    };
+}
+
+// Air quality providers in the backend's default AQI_PROVIDERS order, and the
+// fields of their fixture entries (µg/m³) behind each pollutant key
+const AQI_POLLUTANTS = ["pm25", "pm10", "o3", "no2", "so2", "co"];
+const OPENWEATHER_COMPONENTS = { pm25: "pm2_5", pm10: "pm10", o3: "o3", no2: "no2", so2: "so2", co: "co" };
+const OPEN_METEO_FIELDS = {
+    pm25: "pm2_5", pm10: "pm10", o3: "ozone", no2: "nitrogen_dioxide", so2: "sulphur_dioxide", co: "carbon_monoxide",
+};
+
+// WAQI's pollutant values are US AQI sub-indices; the backend's from_us_aqi
+// turns them back into concentrations with these breakpoints (see
+// WAQI_CONCENTRATIONS there: ppb for O3, NO2 and SO2, ppm for CO)
+const US_AQI_BANDS = [[0, 50], [51, 100], [101, 150], [151, 200], [201, 300], [301, 400], [401, 500]];
+const WAQI_CONCENTRATIONS = {
+    pm25: [[0, 12.0], [12.1, 35.4], [35.5, 55.4], [55.5, 150.4], [150.5, 250.4], [250.5, 350.4], [350.5, 500.4]],
+    pm10: [[0, 54], [55, 154], [155, 254], [255, 354], [355, 424], [425, 504], [505, 604]],
+    o3: [[0, 54], [55, 70], [71, 85], [86, 105], [106, 200], [405, 504], [505, 604]],
+    no2: [[0, 53], [54, 100], [101, 360], [361, 649], [650, 1249], [1250, 1649], [1650, 2049]],
+    so2: [[0, 35], [36, 75], [76, 185], [186, 304], [305, 604], [605, 804], [805, 1004]],
+    co: [[0, 4.4], [4.5, 9.4], [9.5, 12.4], [12.5, 15.4], [15.5, 30.4], [30.5, 40.4], [40.5, 50.4]],
+};
+
+// Same result and rounding as from_us_aqi; other iaqi keys (weather) pass through
+function fromUsAqi(k, index) {
+    if (!WAQI_CONCENTRATIONS[k] || index === undefined || index === null) return index;
+    const bands = US_AQI_BANDS.map((band, i) => [band, WAQI_CONCENTRATIONS[k][i]]);
+    const [[iLo, iHi], [cLo, cHi]] = bands.find(([[, hi]]) => index <= hi) ?? bands[bands.length - 1];
+    const value = cLo + (cHi - cLo) / (iHi - iLo) * (Math.max(index, iLo) - iLo);
+    if (k === "co") return Math.round(convertUnits(k, value, "ppm", unitFor(k)) * 1000) / 1000;
+    return Math.round(value * 10) / 10;
+}
+
+// Same units and rounding as the backend's from_micrograms
+function modelled(fields, entry, aqiUs) {
+    const pollutants = {};
+    Object.entries(fields).forEach(([k, field]) => {
+        if (entry?.[field] === undefined || entry[field] === null) return;
+        const scale = k === "co" ? 1000 : 10;
+        pollutants[k] = Math.round(convertUnits(k, entry[field], "µg/m³", unitFor(k)) * scale) / scale;
+    });
+    if (Object.keys(pollutants).length === 0) return null;
+    return { aqi_us: aqiUs ?? null, dominant_pollutant: null, pollutants, station: null };
+}
+
+const PROVIDERS = {
+    waqi: (city) => city.waqi ? {
+        aqi_us: city.waqi.aqi,
+        dominant_pollutant: city.waqi.dominentpol,
+        pollutants: Object.fromEntries(Object.entries(city.waqi.iaqi || {}).map(([k, v]) => [k, fromUsAqi(k, v.v)])),
+        station: { uid: city.waqi.idx, name: city.waqi.city.name },
+    } : null,
+    openweather: (city) => modelled(OPENWEATHER_COMPONENTS, city.air),
+    openmeteo: (city) => modelled(OPEN_METEO_FIELDS, city.openmeteo, city.openmeteo?.us_aqi),
+};
+
+// The fallback chain of get_aqi: returns { aqi } or { error } when every provider failed
+function aqiData(city) {
+    let aqi = null;
+    const failures = [];
+    for (const [name, provider] of Object.entries(PROVIDERS)) {
+        if (aqi && AQI_POLLUTANTS.every(k => k in aqi.pollutants)) break;
+        const failure = upstreamFailure(city, name);
+        if (failure) {
+            failures.push(failure);
+            continue;
+        }
+        const reading = city && provider(city);
+        if (!reading) continue;
+
+        const source = { provider: name, station: reading.station?.name ?? null };
+        if (!aqi) {
+            aqi = { ...reading, source, sources: Object.fromEntries(Object.keys(reading.pollutants).map(k => [k, source])) };
+            continue;
+        }
+        Object.entries(reading.pollutants).forEach(([k, v]) => {
+            if (k in aqi.pollutants) return;
+            aqi.pollutants[k] = v;
+            aqi.sources[k] = source;
+        });
+    }
+    return !aqi && failures.length > 0 ? { error: failures[0] } : { aqi };
+}
+
+// Same precedence as resolve_location: station, then coordinates, then city name.
+// Returns { location } or { status, error }.
+function resolveLocation(params) {
+    const station = params.get("station");
+    const name = params.get("city");
+
+    if (station) {
+        const city = cities.find(c => String(c.waqi?.idx) === station);
+        if (!city) return { status: 404, error: apiError("STATION_NOT_FOUND", "Station not found") };
+        const label = name || city.waqi.city.name;
+        return { location: { city: label, place: label, lat: city.waqi.city.geo[0], lon: city.waqi.city.geo[1], fixture: city } };
+    }
+
+    if (params.has("lat") || params.has("lon")) {
+        const lat = Number(params.get("lat"));
+        const lon = Number(params.get("lon"));
+        if (isNaN(lat) || isNaN(lon)) return { status: 400, error: apiError("INVALID_REQUEST", "lat and lon must be numbers") };
+        const city = near(lat, lon);
+        const fallback = `${lat.toFixed(4)}, ${lon.toFixed(4)}`;
+        return { location: { city: name || city?.name || fallback, place: name || (city ? placeName(city) : fallback), lat, lon, fixture: city } };
+    }
+
+    if (!name) return { status: 400, error: apiError("INVALID_REQUEST", "City parameter is required") };
+    const [city] = geocode(name);
+    if (!city) return { status: 404, error: apiError("CITY_NOT_FOUND", `City not found: ${name}`) };
+    return { location: { city: name, place: placeName(city), lat: city.lat, lon: city.lon, fixture: city } };
+}
+
+function environment(params) {
+    const resolved = resolveLocation(params);
+    if (resolved.error) return errorResponse(resolved.status, resolved.error);
+    const { city, place, lat, lon, fixture } = resolved.location;
+    const errors = [];
+
+    let weather = null;
+    const weatherFailure = upstreamFailure(fixture, "openweather");
+    if (weatherFailure) errors.push(partialError(weatherFailure, "weather"));
+    else if (fixture) weather = weatherData(fixture);
+    else errors.push(partialError(apiError("NO_WEATHER_DATA", "No weather data for this location", { upstream: "openweather" }), "weather"));
+
+    const { aqi, error: aqiFailure } = aqiData(fixture);
+    if (aqiFailure) errors.push(partialError(aqiFailure, "aqi"));
+    else if (!aqi) errors.push(partialError(apiError("NO_AQI_DATA", "No air quality station covers this location", { upstream: "waqi" }), "aqi"));
+
+    const failed = errors.filter(e => e.code.startsWith("UPSTREAM_"));
+    if (!weather && !aqi && failed.length > 0) {
+        return errorResponse(failed[0].code === "UPSTREAM_TIMEOUT" ? 504 : 502, apiError(
+            failed[0].code, "Weather and air quality data are both unavailable",
+            { upstream: failed[0].upstream, retryable: failed.some(e => e.retryable) },
+        ));
+    }
+
+    return HttpResponse.json(withAge({
+        city,
+        place,
+        coordinates: { lat, lon },
+        weather_data: weather || {},
+        aqi_data: aqi || {},
+        errors,
+    }));
+}
+
+const HOUR = 3600;
+
+// A forecast drifting around the fixture's current readings, like mock_forecast
+function forecast(params) {
+    const resolved = resolveLocation(params);
+    if (resolved.error) return errorResponse(resolved.status, resolved.error);
+    const { city, place, lat, lon, fixture } = resolved.location;
+    const errors = [];
+    const offset = fixture?.weather.timezone ?? 0;
+
+    let hourly = [];
+    const weatherDays = {};
+    const weatherFailure = upstreamFailure(fixture, "openweather");
+    if (weatherFailure) {
+        errors.push(partialError(weatherFailure, "weather"));
+    } else if (fixture) {
+        const { main, weather, wind } = fixture.weather;
+        const start = Math.floor(Date.now() / 1000 / (3 * HOUR)) * 3 * HOUR + 3 * HOUR;
+        const steps = Array.from({ length: 40 }, (_, i) => {
+            const dt = start + i * 3 * HOUR;
+            const hour = Math.floor((dt + offset) / HOUR) % 24;
+            return {
+                dt,
+                temperature: Math.round((main.temp - 2 + 4 * (1 - Math.abs(hour - 15) / 12)) * 10) / 10,
+                humidity: main.humidity,
+                weather: weather[0].description,
+                wind_speed: wind?.speed ?? null,
+                pop: ["Rain", "Snow"].includes(weather[0].main) ? 0.6 : 0.1,
+            };
+        });
+        hourly = steps.slice(0, 8);
+        steps.forEach(step => {
+            const date = new Date((step.dt + offset) * 1000).toISOString().slice(0, 10);
+            const day = weatherDays[date] ||= { temp_min: Infinity, temp_max: -Infinity, pop: 0, weather: step.weather };
+            day.temp_min = Math.min(day.temp_min, step.temperature);
+            day.temp_max = Math.max(day.temp_max, step.temperature);
+            day.pop = Math.max(day.pop, step.pop);
+        });
+    }
+
+    const aqiDays = {};
+    const aqiFailure = upstreamFailure(fixture, "waqi");
+    if (aqiFailure) {
+        errors.push(partialError(aqiFailure, "aqi"));
+    } else if (fixture?.waqi) {
+        ["pm25", "pm10", "o3"].forEach(k => {
+            const level = fixture.waqi.iaqi[k]?.v;
+            if (level === undefined) return;
+            for (let d = 0; d < 5; d++) {
+                const date = new Date(Date.now() + d * 24 * HOUR * 1000).toISOString().slice(0, 10);
+                // Sub-indices like mock_aqi_forecast, converted like get_aqi_forecast
+                (aqiDays[date] ||= {})[k] = {
+                    avg: fromUsAqi(k, Math.round(level * (1 + 0.1 * ((d % 3) - 1)))),
+                    min: fromUsAqi(k, Math.round(level * 0.7)),
+                    max: fromUsAqi(k, Math.round(level * 1.3)),
+                };
+            }
+        });
+    }
+
+    const dates = [...new Set([...Object.keys(weatherDays), ...Object.keys(aqiDays)])].sort();
+    const firstDay = Object.keys(weatherDays).sort()[0] ?? "";
+    return HttpResponse.json(withAge({
+        city,
+        place,
+        coordinates: { lat, lon },
+        timezone: offset,
+        hourly,
+        daily: dates.filter(date => date >= firstDay).map(date => ({
+            date,
+            weather: weatherDays[date] ?? null,
+            pollutants: aqiDays[date] ?? {},
+        })),
+        errors,
+    }));
+}
+
+function stations(params) {
+    const [south, west, north, east] = (params.get("bounds") || "").split(",").map(Number);
+    if ([south, west, north, east].some(isNaN)) {
+        return errorResponse(400, apiError("INVALID_REQUEST", "bounds must be south,west,north,east"));
+    }
+    const entries = [
+        ...extraStations.map(s => ({ uid: s.uid, name: s.station.name, lat: s.lat, lon: s.lon, aqi: Number(s.aqi) || null, time: s.station.time })),
+        ...cities.filter(c => c.waqi).map(c => ({
+            uid: c.waqi.idx, name: c.waqi.city.name, lat: c.waqi.city.geo[0], lon: c.waqi.city.geo[1], aqi: c.waqi.aqi, time: null,
+        })),
+    ];
+    return HttpResponse.json(withAge({
+        // west > east when the box crosses the antimeridian
+        stations: entries.filter(s => s.lat >= south && s.lat <= north
+            && (west <= east ? s.lon >= west && s.lon <= east : s.lon >= west || s.lon <= east)),
+    }));
+}
+
+// One "reading" event per subscribed query, then the stream stays open like /stream
+function stream(params) {
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+        async start(controller) {
+            for (const query of params.getAll("q")) {
+                const response = environment(new URLSearchParams(query));
+                if (!response.ok) continue;
+                const reading = await response.json();
+                controller.enqueue(encoder.encode(`event: reading\ndata: ${JSON.stringify({ query, ...reading })}\n\n`));
+            }
+        },
+    });
+    return new HttpResponse(body, { headers: { "Content-Type": "text/event-stream" } });
+}
+
+const params = (request) => new URL(request.url).searchParams;
+
+export const handlers = [
+    http.get("*/environment", async ({ request }) => {
+        await delay(LATENCY);
+        return environment(params(request));
+    }),
+    http.get("*/forecast", async ({ request }) => {
+        await delay(LATENCY);
+        return forecast(params(request));
+    }),
+    http.get("*/geocode", ({ request }) => {
+        const query = (params(request).get("q") || "").trim();
+        if (query.length < 2) return errorResponse(400, apiError("INVALID_REQUEST", "Query must be at least 2 characters"));
+        const limit = Math.min(Math.max(Number(params(request).get("limit")) || 5, 1), 10);
+        return HttpResponse.json({
+            results: geocode(query).slice(0, limit).map(c => ({
+                name: c.name, state: c.state, country: c.country, lat: c.lat, lon: c.lon, place: placeName(c),
+            })),
+        });
+    }),
+    http.get("*/stations", ({ request }) => stations(params(request))),
+    http.get("*/stream", ({ request }) => stream(params(request))),
+];
@@ -0,0 +1,6 @@
+import { setupServer } from "msw/node";
+import { handlers } from "./handlers";
+
+// The same mocks for tests running in Node: call server.listen() before the
+// tests, server.resetHandlers() after each and server.close() at the end.
+export const server = setupServer(...handlers);
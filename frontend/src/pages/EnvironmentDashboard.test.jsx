@@ -0,0 +1,132 @@
+import React from "react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import axe from "axe-core";
+import { defaultRules } from "../utils/alerts";
+import { DEFAULT_STATE, saveState } from "../utils/storage";
+import { API_URL } from "../test/utils";
+import EnvironmentDashboard from "./EnvironmentDashboard";
+
+// jsdom has no layout or paint, so axe can't judge contrast here
+const AXE_OPTIONS = { rules: { "color-contrast": { enabled: false } } };
+
+const violations = async (container) => {
+    const { violations } = await axe.run(container, AXE_OPTIONS);
+    return violations.map(({ id, nodes }) => `${id}: ${nodes.map(node => node.target.join(" ")).join(", ")}`);
+};
+
+describe("EnvironmentDashboard accessibility", () => {
+    beforeEach(() => {
+        vi.stubEnv("VITE_BACKEND_URL", API_URL);
+        vi.stubGlobal("matchMedia", (query) => ({ matches: false, media: query, addEventListener() {}, removeEventListener() {} }));
+    });
+
+    afterEach(() => {
+        vi.unstubAllEnvs();
+        vi.unstubAllGlobals();
+        window.history.replaceState(null, "", "/");
+    });
+
+    it("has no axe violations with a city loaded", async () => {
+        // jsdom has no IndexedDB, so the local history only logs its failures
+        vi.spyOn(console, "error").mockImplementation(() => {});
+        window.history.replaceState(null, "", "/?city=London");
+        const { container } = render(<EnvironmentDashboard />);
+
+        // The print report repeats the heading
+        await screen.findAllByRole("heading", { name: "London, England, GB" }, { timeout: 3000 });
+
+        expect(await violations(container)).toEqual([]);
+    });
+
+    it("has no axe violations with every panel, an open card and the watchlist", async () => {
+        vi.spyOn(console, "error").mockImplementation(() => {});
+        saveState({
+            ...DEFAULT_STATE,
+            favorites: ["Delhi", "London"],
+            watchlist: [{ city: "Delhi", rules: defaultRules(), lastReading: null }],
+            preferences: { ...DEFAULT_STATE.preferences, layout: { ...DEFAULT_STATE.preferences.layout, hidden: [] } },
+        });
+        window.history.replaceState(null, "", "/?city=Delhi&card=pm25");
+        const { container } = render(<EnvironmentDashboard />);
+
+        await screen.findAllByRole("heading", { name: "Delhi, IN" }, { timeout: 3000 });
+        await userEvent.click(screen.getByRole("button", { name: "Watchlist and alerts" }));
+        expect(screen.getByRole("heading", { name: "Favorites" })).toBeTruthy();
+        expect(screen.getByLabelText("Pollutant for a new rule")).toBeTruthy();
+        expect(screen.getByLabelText("Profile")).toBeTruthy();
+
+        expect(await violations(container)).toEqual([]);
+    });
+
+    it("has no axe violations comparing cities", async () => {
+        vi.spyOn(console, "error").mockImplementation(() => {});
+        saveState({ ...DEFAULT_STATE, compareCities: ["Delhi", "London"] });
+        window.history.replaceState(null, "", "/?view=compare&compare=Delhi&compare=London");
+        const { container } = render(<EnvironmentDashboard />);
+
+        await screen.findByRole("table", {}, { timeout: 3000 });
+
+        expect(await violations(container)).toEqual([]);
+    });
+});
+
+describe("EnvironmentDashboard places", () => {
+    beforeEach(() => {
+        vi.stubEnv("VITE_BACKEND_URL", API_URL);
+        vi.stubGlobal("matchMedia", (query) => ({ matches: false, media: query, addEventListener() {}, removeEventListener() {} }));
+        vi.spyOn(console, "error").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.unstubAllEnvs();
+        vi.unstubAllGlobals();
+        window.history.replaceState(null, "", "/");
+    });
+
+    it("reopens a search suggestion by its coordinates", async () => {
+        const { unmount } = render(<EnvironmentDashboard />);
+
+        await userEvent.type(screen.getByRole("combobox", { name: "Search for a city" }), "Hyderabad");
+        await userEvent.click(await screen.findByRole("option", { name: /Hyderabad, Sindh, PK/ }, { timeout: 3000 }));
+        await screen.findAllByRole("heading", { name: "Hyderabad, Sindh, PK" }, { timeout: 3000 });
+        await waitFor(() => expect(window.location.search).toBe("?city=Hyderabad%2C+Sindh%2C+PK&lat=25.396&lon=68.3578"));
+
+        // By name alone the saved place would be looked up as another Hyderabad, or not found
+        unmount();
+        window.history.replaceState(null, "", "/");
+        render(<EnvironmentDashboard />);
+        expect(await screen.findAllByRole("heading", { name: "Hyderabad, Sindh, PK" }, { timeout: 3000 })).toBeTruthy();
+    });
+
+    it("reopens the browser's location by its coordinates", async () => {
+        const getCurrentPosition = (onSuccess) => onSuccess({ coords: { latitude: 25.39, longitude: 68.36 } });
+        vi.stubGlobal("navigator", { ...navigator, geolocation: { getCurrentPosition } });
+        const { unmount } = render(<EnvironmentDashboard />);
+
+        await userEvent.click(screen.getByRole("button", { name: "Use my location" }));
+        await screen.findAllByRole("heading", { name: "Hyderabad, Sindh, PK" }, { timeout: 3000 });
+        await waitFor(() => expect(window.location.search).toBe("?city=Hyderabad%2C+Sindh%2C+PK&lat=25.39&lon=68.36"));
+
+        unmount();
+        window.history.replaceState(null, "", "/");
+        render(<EnvironmentDashboard />);
+        expect(await screen.findAllByRole("heading", { name: "Hyderabad, Sindh, PK" }, { timeout: 3000 })).toBeTruthy();
+    });
+
+    it("opens a linked place by its coordinates", async () => {
+        window.history.replaceState(null, "", "/?city=Hyderabad%2C+PK&lat=25.396&lon=68.3578");
+        render(<EnvironmentDashboard />);
+
+        expect(await screen.findAllByRole("heading", { name: "Hyderabad, PK" }, { timeout: 3000 })).toBeTruthy();
+    });
+
+    it("reopens the last station picked on the map", async () => {
+        saveState({ ...DEFAULT_STATE, lastCity: "Sanathnagar, Hyderabad, India", lastLocation: { station: "9007" } });
+        render(<EnvironmentDashboard />);
+
+        await screen.findAllByRole("heading", { name: "Sanathnagar, Hyderabad, India" }, { timeout: 3000 });
+        await waitFor(() => expect(window.location.search).toBe("?city=Sanathnagar%2C+Hyderabad%2C+India&station=9007"));
+    });
+});
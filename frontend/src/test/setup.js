@@ -0,0 +1,16 @@
+import { afterAll, afterEach, beforeAll, vi } from "vitest";
+import { cleanup } from "@testing-library/react";
+import { server } from "../mocks/node";
+
+// Every request goes to the MSW handlers in src/mocks; anything they don't
+// answer fails the test instead of reaching the network
+beforeAll(() => server.listen({ onUnhandledRequest: "error" }));
+
+afterEach(() => {
+    cleanup();
+    server.resetHandlers();
+    localStorage.clear();
+    vi.restoreAllMocks();
+});
+
+afterAll(() => server.close());
@@ -0,0 +1,21 @@
+import React from "react";
+import { render } from "@testing-library/react";
+import { LocaleContext, createLocaleValue } from "../i18n/context";
+
+// Backend the components and hooks are pointed at; src/mocks answers on any host
+export const API_URL = "http://backend.test";
+
+// An /environment response from the mocked backend (see src/mocks/handlers.js)
+export async function fetchEnvironment(query) {
+    const res = await fetch(`${API_URL}/environment?${query}`);
+    return res.json();
+}
+
+// render() inside the locale context the dashboard provides
+export function renderWithLocale(ui, { locale = "en", units } = {}) {
+    return render(
+        <LocaleContext.Provider value={createLocaleValue(locale, units)}>
+            {ui}
+        </LocaleContext.Provider>
+    );
+}
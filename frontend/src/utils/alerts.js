@@ -0,0 +1,99 @@
+import { DEFAULT_STANDARD, headlineAqi, pollutantBands } from "./aqi";
+
+// Watchlist alert rules. A rule fires when its condition starts holding, not on
+// every poll while it keeps holding, so a bad-air day produces one alert per rule.
+
+export const ALERT_HISTORY_LIMIT = 100;
+
+export const ruleKey = (rule) => rule.pollutant ? `${rule.type}:${rule.pollutant}` : rule.type;
+
+export function defaultRules() {
+    return [
+        { type: "aqi_above", threshold: 150, enabled: true },
+        { type: "pollutant_above", pollutant: "pm25", threshold: pollutantBands(DEFAULT_STANDARD, "pm25")[1].to, enabled: true },
+        { type: "category_change", enabled: true },
+    ];
+}
+
+// Reduce a full /environment response to what the rules need to remember between
+// polls. The index and category only mean something under `standard`, so it's kept too.
+export function summarizeReading(data, standard = DEFAULT_STANDARD) {
+    const { aqi, category } = headlineAqi(standard, data?.aqi_data);
+    return {
+        standard,
+        aqi,
+        category: aqi === null ? null : category.cat,
+        pollutants: data?.aqi_data?.pollutants || {},
+    };
+}
+
+function readingValue(reading, rule) {
+    if (!reading) return NaN;
+    const raw = rule.type === "aqi_above" ? reading.aqi : reading.pollutants?.[rule.pollutant];
+    return raw === null || raw === undefined ? NaN : Number(raw);
+}
+
+// Returns one alert per rule that fired between `previous` and `current`. Alerts
+// carry a catalog key and raw values so they can be re-rendered in any language
+// (see describeAlert). After the standard changes, the previous index and
+// category can't be compared with the current ones: the AQI and category rules
+// wait for the next poll instead of firing on the switch itself.
+export function evaluateRules(rules, current, previous) {
+    const fired = [];
+    const sameStandard = !previous || previous.standard === current.standard;
+
+    rules.filter(r => r.enabled).forEach((rule) => {
+        if (rule.type === "category_change") {
+            if (sameStandard && previous?.category && current.category && previous.category !== current.category) {
+                fired.push({
+                    rule: ruleKey(rule),
+                    key: "alerts.categoryChanged",
+                    vars: { from: previous.category, to: current.category, aqi: current.aqi },
+                });
+            }
+            return;
+        }
+
+        if (rule.type === "aqi_above" && !sameStandard) return;
+
+        const now = readingValue(current, rule);
+        const before = readingValue(previous, rule);
+        if (isNaN(now) || now <= rule.threshold) return;
+        if (!isNaN(before) && before > rule.threshold) return;
+
+        fired.push({
+            rule: ruleKey(rule),
+            key: "alerts.above",
+            vars: { pollutant: rule.type === "aqi_above" ? null : rule.pollutant, value: now, threshold: rule.threshold },
+        });
+    });
+
+    return fired;
+}
+
+// Text for a fired or stored alert in the current locale (see ../i18n/context.js).
+export function describeAlert(alert, { t, label, categoryLabel, formatNumber }) {
+    const { vars } = alert;
+    if (alert.key === "alerts.categoryChanged") {
+        return t(alert.key, { from: categoryLabel(vars.from), to: categoryLabel(vars.to), aqi: vars.aqi });
+    }
+    return t(alert.key, {
+        label: vars.pollutant ? label(vars.pollutant) : "AQI",
+        value: formatNumber(vars.value),
+        threshold: formatNumber(vars.threshold),
+    });
+}
+
+export function notificationsSupported() {
+    return typeof window !== "undefined" && "Notification" in window;
+}
+
+export function notify(title, body) {
+    if (!notificationsSupported() || Notification.permission !== "granted") return;
+    try {
+        new Notification(title, { body, tag: `${title}:${body}` });
+    } catch (err) {
+        // Some mobile browsers only allow notifications from a service worker
+        console.error("Failed to show notification:", err);
+    }
+}
@@ -0,0 +1,34 @@
+import { describe, expect, it } from "vitest";
+import { defaultRules, evaluateRules, summarizeReading } from "./alerts";
+
+const response = (pollutants) => ({ aqi_data: { aqi_us: null, pollutants } });
+
+describe("evaluateRules", () => {
+    const rules = defaultRules();
+
+    it("fires when a condition starts holding", () => {
+        const previous = summarizeReading(response({ pm25: 9 }));
+        const current = summarizeReading(response({ pm25: 60 }));
+        expect(evaluateRules(rules, current, previous).map(a => a.rule)).toEqual(["aqi_above", "pollutant_above:pm25", "category_change"]);
+    });
+
+    it("doesn't fire again while a condition keeps holding", () => {
+        const reading = summarizeReading(response({ pm25: 60 }));
+        expect(evaluateRules(rules, reading, reading)).toEqual([]);
+    });
+
+    it("doesn't compare readings taken under different standards", () => {
+        const readings = { pm25: 30, pm10: 40, no2: 20 };
+        const previous = summarizeReading(response(readings), "us_epa");
+        const current = summarizeReading(response(readings), "in_naqi");
+        expect(previous.category).toBe("Moderate");
+        expect(current.category).toBe("Good");
+        expect(evaluateRules(rules, current, previous)).toEqual([]);
+    });
+
+    it("skips the AQI rule on a standard switch but still checks pollutants", () => {
+        const previous = summarizeReading(response({ pm25: 9 }), "uk_daqi");
+        const current = summarizeReading(response({ pm25: 60 }), "us_epa");
+        expect(evaluateRules(rules, current, previous).map(a => a.rule)).toEqual(["pollutant_above:pm25"]);
+    });
+});
@@ -0,0 +1,71 @@
+import axios from "axios";
+import { providerName } from "./providers";
+
+// Requests to the backend and what to tell the user when they fail. The backend
+// answers errors with {"error": {code, message, upstream, retryable}}.
+
+// Catalog key (error.*) and variables describing a failed request, and whether
+// repeating it may help
+export function describeError(err) {
+    if (!err.response) {
+        if (typeof navigator !== "undefined" && navigator.onLine === false) {
+            return { key: "error.offline", retryable: true };
+        }
+        return { key: "error.fetch", retryable: true };
+    }
+
+    const envelope = err.response.data?.error;
+    const code = envelope?.code;
+    const service = envelope?.upstream && providerName(envelope.upstream);
+
+    if (code === "CITY_NOT_FOUND" || code === "STATION_NOT_FOUND") {
+        return { key: "error.notFound", retryable: false };
+    }
+    if (code === "RATE_LIMITED" || err.response.status === 429) {
+        const seconds = Number(err.response.headers?.["retry-after"]) || 60;
+        return { key: "error.rateLimited", vars: { seconds }, retryable: true };
+    }
+    if (code?.startsWith("UPSTREAM_")) {
+        return {
+            key: code === "UPSTREAM_TIMEOUT" ? "error.upstreamTimeout" : "error.upstream",
+            vars: { service: service || "—" },
+            retryable: envelope.retryable,
+        };
+    }
+    if (err.response.status === 400) {
+        return { key: "error.invalid", vars: { message: envelope?.message || "" }, retryable: false };
+    }
+    return { key: "error.fetch", retryable: err.response.status >= 500 };
+}
+
+// Catalog key and variables for one entry of a partial response's "errors",
+// worded by the half of the data it left out (`affects`)
+export function describePartial(entry) {
+    const weather = entry.affects === "weather";
+    if (entry.code === "NO_WEATHER_DATA" || entry.code === "NO_AQI_DATA") {
+        return { key: weather ? "error.partial.noWeather" : "error.partial.noAqi" };
+    }
+    return {
+        key: weather ? "error.partial.weatherDown" : "error.partial.aqiDown",
+        vars: { service: providerName(entry.upstream) },
+    };
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// GET with retries for failures the backend marks retryable (and network
+// errors), backing off baseDelay, 2x, 4x... A rate limit is not retried here:
+// hammering the backend would only extend it. Aborting `signal` stops both the
+// request and any further attempts.
+export async function getWithRetry(url, { retries = 2, baseDelay = 1000, signal } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await axios(url, { signal });
+        } catch (err) {
+            if (axios.isCancel(err) || signal?.aborted) throw err;
+            const { key, retryable } = describeError(err);
+            if (!retryable || key === "error.rateLimited" || attempt >= retries) throw err;
+            await wait(baseDelay * 2 ** attempt);
+        }
+    }
+}
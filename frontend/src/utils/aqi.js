@@ -0,0 +1,261 @@
+// Computes air quality indices from raw pollutant concentrations under several
+// national standards. Concentrations come in the units listed in POLLUTANT_META
+// (µg/m³ for particulates, ppb for gases, mg/m³ for CO) and are converted to
+// each standard's native units before the breakpoint tables are applied.
+//
+// "linear" standards interpolate between breakpoints:
+//     I = (Ihi - Ilo) / (Chi - Clo) * (C - Clo) + Ilo
+// "banded" standards (UK DAQI) map each concentration band to a single index.
+
+import { POLLUTANT_META, convertUnits } from "./pollutants";
+
+// `tier` groups categories across standards into the four levels of health advice
+export const STANDARDS = {
+    us_epa: {
+        id: "us_epa",
+        label: "US EPA",
+        name: "US EPA Standard",
+        scale: "linear",
+        max: 500,
+        categories: [
+            { cat: "Good", range: [0, 50], color: "bg-green-400", text: "text-black", hex: "#4ade80", tier: 0, description: "Air quality is satisfactory" },
+            { cat: "Moderate", range: [51, 100], color: "bg-yellow-400", text: "text-black", hex: "#facc15", tier: 1, description: "Some sensitivity possible" },
+            { cat: "Unhealthy (S)", range: [101, 150], color: "bg-orange-400", text: "text-black", hex: "#fb923c", tier: 2, description: "Sensitive groups affected" },
+            { cat: "Unhealthy", range: [151, 200], color: "bg-red-500", text: "text-black", hex: "#ef4444", tier: 3, description: "Everyone may be affected" },
+            { cat: "Very Unhealthy", range: [201, 300], color: "bg-purple-700", text: "text-white", hex: "#7e22ce", tier: 3, description: "Health alert for everyone" },
+            { cat: "Hazardous", range: [301, 500], color: "bg-rose-900", text: "text-white", hex: "#881337", tier: 3, description: "Emergency conditions" },
+        ],
+        units: { pm25: "µg/m³", pm10: "µg/m³", o3: "ppb", no2: "ppb", so2: "ppb", co: "ppm" },
+        breakpoints: {
+            // 24-hour, 2024 revision
+            pm25: [[0, 9.0], [9.1, 35.4], [35.5, 55.4], [55.5, 125.4], [125.5, 225.4], [225.5, 325.4]],
+            pm10: [[0, 54], [55, 154], [155, 254], [255, 354], [355, 424], [425, 604]],
+            // 8-hour up to 200 ppb; EPA switches to the 1-hour table above that,
+            // whose hazardous band starts at 405 ppb
+            o3: [[0, 54], [55, 70], [71, 85], [86, 105], [106, 200], [405, 604]],
+            co: [[0, 4.4], [4.5, 9.4], [9.5, 12.4], [12.5, 15.4], [15.5, 30.4], [30.5, 50.4]],
+            so2: [[0, 35], [36, 75], [76, 185], [186, 304], [305, 604], [605, 1004]],
+            no2: [[0, 53], [54, 100], [101, 360], [361, 649], [650, 1249], [1250, 2049]],
+        },
+    },
+    in_naqi: {
+        id: "in_naqi",
+        label: "India NAQI",
+        name: "Indian National AQI (CPCB)",
+        scale: "linear",
+        max: 500,
+        // CPCB only publishes an index from at least three pollutants, one of them PM
+        minPollutants: 3,
+        requiresOneOf: ["pm25", "pm10"],
+        categories: [
+            { cat: "Good", range: [0, 50], color: "bg-green-600", text: "text-white", hex: "#16a34a", tier: 0, description: "Minimal impact" },
+            { cat: "Satisfactory", range: [51, 100], color: "bg-lime-400", text: "text-black", hex: "#a3e635", tier: 1, description: "Minor breathing discomfort to sensitive people" },
+            { cat: "Moderate", range: [101, 200], color: "bg-yellow-400", text: "text-black", hex: "#facc15", tier: 2, description: "Discomfort to people with lung or heart disease" },
+            { cat: "Poor", range: [201, 300], color: "bg-orange-500", text: "text-black", hex: "#f97316", tier: 3, description: "Breathing discomfort on prolonged exposure" },
+            { cat: "Very Poor", range: [301, 400], color: "bg-red-600", text: "text-white", hex: "#dc2626", tier: 3, description: "Respiratory illness on prolonged exposure" },
+            { cat: "Severe", range: [401, 500], color: "bg-rose-900", text: "text-white", hex: "#881337", tier: 3, description: "Affects healthy people, serious impact on the ill" },
+        ],
+        units: { pm25: "µg/m³", pm10: "µg/m³", o3: "µg/m³", no2: "µg/m³", so2: "µg/m³", co: "mg/m³" },
+        breakpoints: {
+            pm10: [[0, 50], [51, 100], [101, 250], [251, 350], [351, 430], [431, null]],
+            pm25: [[0, 30], [31, 60], [61, 90], [91, 120], [121, 250], [251, null]],
+            no2: [[0, 40], [41, 80], [81, 180], [181, 280], [281, 400], [401, null]],
+            o3: [[0, 50], [51, 100], [101, 168], [169, 208], [209, 748], [749, null]],
+            co: [[0, 1.0], [1.1, 2.0], [2.1, 10], [10.1, 17], [17.1, 34], [34.1, null]],
+            so2: [[0, 40], [41, 80], [81, 380], [381, 800], [801, 1600], [1601, null]],
+        },
+    },
+    eu_caqi: {
+        id: "eu_caqi",
+        label: "EU CAQI",
+        name: "European Common Air Quality Index (background, hourly)",
+        scale: "linear",
+        max: null,
+        categories: [
+            { cat: "Very Low", range: [0, 25], color: "bg-emerald-400", text: "text-black", hex: "#34d399", tier: 0, description: "Very low pollution" },
+            { cat: "Low", range: [25, 50], color: "bg-lime-300", text: "text-black", hex: "#bef264", tier: 0, description: "Low pollution" },
+            { cat: "Medium", range: [50, 75], color: "bg-yellow-400", text: "text-black", hex: "#facc15", tier: 1, description: "Medium pollution" },
+            { cat: "High", range: [75, 100], color: "bg-orange-500", text: "text-black", hex: "#f97316", tier: 2, description: "High pollution" },
+            { cat: "Very High", range: [100, null], color: "bg-red-600", text: "text-white", hex: "#dc2626", tier: 3, description: "Very high pollution" },
+        ],
+        units: { pm25: "µg/m³", pm10: "µg/m³", o3: "µg/m³", no2: "µg/m³", so2: "µg/m³", co: "µg/m³" },
+        breakpoints: {
+            no2: [[0, 50], [50, 100], [100, 200], [200, 400], [400, null]],
+            pm10: [[0, 25], [25, 50], [50, 90], [90, 180], [180, null]],
+            pm25: [[0, 15], [15, 30], [30, 55], [55, 110], [110, null]],
+            o3: [[0, 60], [60, 120], [120, 180], [180, 240], [240, null]],
+            co: [[0, 5000], [5000, 7500], [7500, 10000], [10000, 20000], [20000, null]],
+            so2: [[0, 50], [50, 100], [100, 350], [350, 500], [500, null]],
+        },
+    },
+    uk_daqi: {
+        id: "uk_daqi",
+        label: "UK DAQI",
+        name: "UK Daily Air Quality Index",
+        scale: "banded",
+        max: 10,
+        categories: [
+            { cat: "Low", range: [1, 3], color: "bg-green-400", text: "text-black", hex: "#4ade80", tier: 0, description: "Enjoy usual outdoor activities" },
+            { cat: "Moderate", range: [4, 6], color: "bg-yellow-400", text: "text-black", hex: "#facc15", tier: 1, description: "Sensitive people may notice symptoms" },
+            { cat: "High", range: [7, 9], color: "bg-red-500", text: "text-black", hex: "#ef4444", tier: 2, description: "Reduce strenuous outdoor activity" },
+            { cat: "Very High", range: [10, 10], color: "bg-purple-700", text: "text-white", hex: "#7e22ce", tier: 3, description: "Reduce physical exertion outdoors" },
+        ],
+        units: { pm25: "µg/m³", pm10: "µg/m³", o3: "µg/m³", no2: "µg/m³", so2: "µg/m³" },
+        // One band per index 1-10; CO is not part of the DAQI
+        breakpoints: {
+            o3: [[0, 33], [34, 66], [67, 100], [101, 120], [121, 140], [141, 160], [161, 187], [188, 213], [214, 240], [241, null]],
+            no2: [[0, 67], [68, 134], [135, 200], [201, 267], [268, 334], [335, 400], [401, 467], [468, 534], [535, 600], [601, null]],
+            so2: [[0, 88], [89, 177], [178, 266], [267, 354], [355, 443], [444, 532], [533, 710], [711, 887], [888, 1064], [1065, null]],
+            pm25: [[0, 11], [12, 23], [24, 35], [36, 41], [42, 47], [48, 53], [54, 58], [59, 64], [65, 70], [71, null]],
+            pm10: [[0, 16], [17, 33], [34, 50], [51, 58], [59, 66], [67, 75], [76, 83], [84, 91], [92, 100], [101, null]],
+        },
+    },
+};
+
+export const DEFAULT_STANDARD = "us_epa";
+
+export const getStandard = (id) => STANDARDS[id] || STANDARDS[DEFAULT_STANDARD];
+
+const UNKNOWN_CATEGORY = { cat: "—", range: [null, null], color: "bg-gray-200", text: "text-black", hex: "#e5e7eb", tier: null, description: "" };
+
+// Pattern class (see index.css) drawn over a category's color so severity
+// doesn't rely on color alone: denser for higher tiers, none for tier 0
+export function categoryPattern(category) {
+    return category?.tier ? `aqi-pattern-${category.tier}` : "";
+}
+
+// Category an overall or sub-index value falls in
+export function categoryFor(standardId, index) {
+    if (index === null || index === undefined || isNaN(index)) return UNKNOWN_CATEGORY;
+    const { categories } = getStandard(standardId);
+    return categories.find(c => c.range[1] === null || index <= c.range[1]) || categories[categories.length - 1];
+}
+
+function linearIndex(segments, ranges, c, max) {
+    for (let i = 0; i < segments.length; i++) {
+        const [clo, chi] = segments[i];
+        const [ilo, ihi] = ranges[i];
+        if (chi !== null && c > chi) continue;
+
+        // Published tables leave small gaps between bands (e.g. 9.0 → 9.1)
+        if (c < clo) return ilo;
+
+        if (chi === null) {
+            // Open-ended top band: keep the slope of the band below it
+            const [plo, phi] = segments[i - 1];
+            const [pilo, pihi] = ranges[i - 1];
+            const value = ilo + (c - clo) * (pihi - pilo) / (phi - plo);
+            return ihi === null ? value : Math.min(ihi, value);
+        }
+        return ilo + (ihi - ilo) * (c - clo) / (chi - clo);
+    }
+    return max;
+}
+
+// Sub-index for one pollutant, or null if the standard doesn't cover it
+export function subIndex(standardId, k, concentration) {
+    const standard = getStandard(standardId);
+    const segments = standard.breakpoints[k];
+    const c = Number(concentration);
+    if (!segments || concentration === null || concentration === undefined || isNaN(c) || c < 0) return null;
+
+    const native = convertUnits(k, c, POLLUTANT_META[k].unit, standard.units[k]);
+
+    if (standard.scale === "banded") {
+        let level = 1;
+        segments.forEach(([lo], i) => { if (native >= lo) level = i + 1; });
+        return level;
+    }
+
+    const ranges = standard.categories.map(cat => cat.range);
+    return Math.round(linearIndex(segments, ranges, native, standard.max));
+}
+
+// Overall index: the highest sub-index across all covered pollutants
+export function computeAqi(standardId, pollutants = {}) {
+    const standard = getStandard(standardId);
+    const subIndices = {};
+    let aqi = null;
+    let dominant = null;
+
+    Object.entries(pollutants).forEach(([k, v]) => {
+        const index = subIndex(standardId, k, v);
+        if (index === null) return;
+        subIndices[k] = { index, category: categoryFor(standardId, index) };
+        if (aqi === null || index > aqi) {
+            aqi = index;
+            dominant = k;
+        }
+    });
+
+    const keys = Object.keys(subIndices);
+    const complete = keys.length >= (standard.minPollutants || 1)
+        && (!standard.requiresOneOf || standard.requiresOneOf.some(k => keys.includes(k)));
+
+    return { aqi, category: categoryFor(standardId, aqi), dominant, subIndices, complete };
+}
+
+// Headline index for an `aqi_data` object. Falls back to the station-reported
+// US AQI when no concentrations can be used under the US standard.
+export function headlineAqi(standardId, aqiData) {
+    const result = computeAqi(standardId, aqiData?.pollutants || {});
+    if (result.aqi === null && getStandard(standardId).id === "us_epa" && aqiData?.aqi_us !== undefined && aqiData?.aqi_us !== null) {
+        const aqi = Number(aqiData.aqi_us);
+        return { ...result, aqi, category: categoryFor(standardId, aqi), dominant: aqiData.dominant_pollutant ?? null, complete: true };
+    }
+    return result;
+}
+
+export function pollutantCategory(standardId, k, concentration) {
+    return categoryFor(standardId, subIndex(standardId, k, concentration));
+}
+
+// Concentration range of every category for pollutant `k`, in POLLUTANT_META units.
+// The top band's `to` is Infinity.
+export function pollutantBands(standardId, k) {
+    const standard = getStandard(standardId);
+    const segments = standard.breakpoints[k];
+    if (!segments) return [];
+
+    const toInput = (v) => convertUnits(k, v, standard.units[k], POLLUTANT_META[k].unit);
+    return standard.categories.map((category, i) => {
+        const [first, last] = standard.scale === "banded"
+            ? [segments[category.range[0] - 1][0], segments[category.range[1] - 1][1]]
+            : segments[i];
+        return { ...category, from: toInput(first), to: last === null ? Infinity : toInput(last) };
+    });
+}
+
+// Index range of every category, for charting the overall index
+export function indexBands(standardId) {
+    return getStandard(standardId).categories.map(c => ({
+        ...c,
+        from: c.range[0],
+        to: c.range[1] === null ? Infinity : c.range[1],
+    }));
+}
+
+// Bar fill for a pollutant: 100% at the start of the worst category
+export function pollutantPercent(standardId, k, concentration) {
+    const bands = pollutantBands(standardId, k);
+    if (bands.length === 0) return 0;
+    const top = bands[bands.length - 1].from;
+    return Math.min(100, Math.max(0, Math.round((Number(concentration) / top) * 100)));
+}
+
+// Where a concentration sits on a scale that gives every category of the
+// standard equal width, as a percentage (for the detail view's breakpoint bar).
+// Null if the standard doesn't cover the pollutant.
+export function pollutantScalePosition(standardId, k, concentration) {
+    const bands = pollutantBands(standardId, k);
+    const c = Number(concentration);
+    if (bands.length === 0 || concentration === null || concentration === undefined || isNaN(c)) return null;
+
+    // Each band runs up to where the next one starts, bridging table gaps
+    let i = bands.findIndex((b, j) => j === bands.length - 1 || c < bands[j + 1].from);
+    if (i < 0) i = bands.length - 1;
+    const from = bands[i].from;
+    const to = i + 1 < bands.length ? bands[i + 1].from : from + (from - bands[i - 1].from);
+    const within = Math.min(1, Math.max(0, (c - from) / (to - from)));
+    return ((i + within) / bands.length) * 100;
+}
@@ -0,0 +1,210 @@
+import { describe, expect, it } from "vitest";
+import { categoryFor, computeAqi, headlineAqi, pollutantBands, subIndex } from "./aqi";
+
+describe("subIndex", () => {
+    it("returns null for readings a standard can't use", () => {
+        expect(subIndex("us_epa", "pm25", null)).toBeNull();
+        expect(subIndex("us_epa", "pm25", undefined)).toBeNull();
+        expect(subIndex("us_epa", "pm25", "n/a")).toBeNull();
+        expect(subIndex("us_epa", "pm25", -1)).toBeNull();
+        expect(subIndex("us_epa", "t", 20)).toBeNull();
+        expect(subIndex("uk_daqi", "co", 1)).toBeNull();
+    });
+
+    it("falls back to US EPA for an unknown standard", () => {
+        expect(subIndex("nope", "pm25", 35.4)).toBe(100);
+    });
+
+    describe("US EPA", () => {
+        it("interpolates within a band", () => {
+            expect(subIndex("us_epa", "pm25", 0)).toBe(0);
+            expect(subIndex("us_epa", "pm25", 9.0)).toBe(50);
+            expect(subIndex("us_epa", "pm25", 35.4)).toBe(100);
+            expect(subIndex("us_epa", "pm25", 55.4)).toBe(150);
+            expect(subIndex("us_epa", "pm10", 154)).toBe(100);
+        });
+
+        it("puts readings in the gap between bands at the start of the upper band", () => {
+            expect(subIndex("us_epa", "pm25", 9.05)).toBe(51);
+            expect(subIndex("us_epa", "pm25", 9.1)).toBe(51);
+            expect(subIndex("us_epa", "pm10", 54.5)).toBe(51);
+        });
+
+        it("caps readings beyond the table at the scale maximum", () => {
+            expect(subIndex("us_epa", "pm25", 325.4)).toBe(500);
+            expect(subIndex("us_epa", "pm25", 900)).toBe(500);
+        });
+
+        it("switches O₃ from the 8-hour to the 1-hour table above 200 ppb", () => {
+            expect(subIndex("us_epa", "o3", 54)).toBe(50);
+            expect(subIndex("us_epa", "o3", 200)).toBe(300);
+            expect(subIndex("us_epa", "o3", 300)).toBe(301);
+            expect(subIndex("us_epa", "o3", 405)).toBe(301);
+            expect(subIndex("us_epa", "o3", 604)).toBe(500);
+        });
+
+        it("converts CO from mg/m³ to ppm", () => {
+            // 4.4 ppm of CO is 5.04 mg/m³
+            expect(subIndex("us_epa", "co", 5.0406)).toBe(50);
+        });
+    });
+
+    describe("India NAQI", () => {
+        it("interpolates within a band", () => {
+            expect(subIndex("in_naqi", "pm25", 30)).toBe(50);
+            expect(subIndex("in_naqi", "pm25", 60)).toBe(100);
+            expect(subIndex("in_naqi", "pm25", 250)).toBe(400);
+        });
+
+        it("puts readings in the gap between bands at the start of the upper band", () => {
+            expect(subIndex("in_naqi", "pm25", 30.5)).toBe(51);
+        });
+
+        it("extends the open-ended top band with the slope below it, up to the maximum", () => {
+            expect(subIndex("in_naqi", "pm25", 251)).toBe(401);
+            // 401 + 49 × 99/129
+            expect(subIndex("in_naqi", "pm25", 300)).toBe(439);
+            expect(subIndex("in_naqi", "pm25", 1000)).toBe(500);
+        });
+
+        it("converts gases from ppb to µg/m³", () => {
+            // 40 µg/m³ of NO₂ is 21.26 ppb
+            expect(subIndex("in_naqi", "no2", 21.255)).toBe(50);
+        });
+    });
+
+    describe("EU CAQI", () => {
+        it("interpolates within a band", () => {
+            expect(subIndex("eu_caqi", "pm25", 15)).toBe(25);
+            expect(subIndex("eu_caqi", "pm25", 110)).toBe(100);
+        });
+
+        it("has no maximum above the open-ended top band", () => {
+            // 100 + 110 × 25/55
+            expect(subIndex("eu_caqi", "pm25", 220)).toBe(150);
+        });
+    });
+
+    describe("UK DAQI", () => {
+        it("maps each band to a single index", () => {
+            expect(subIndex("uk_daqi", "pm25", 0)).toBe(1);
+            expect(subIndex("uk_daqi", "pm25", 11)).toBe(1);
+            expect(subIndex("uk_daqi", "pm25", 12)).toBe(2);
+            expect(subIndex("uk_daqi", "pm25", 53)).toBe(6);
+            expect(subIndex("uk_daqi", "pm25", 54)).toBe(7);
+        });
+
+        it("keeps readings in the gap between bands in the lower band", () => {
+            expect(subIndex("uk_daqi", "pm25", 11.5)).toBe(1);
+        });
+
+        it("puts everything from the top band up at 10", () => {
+            expect(subIndex("uk_daqi", "pm25", 71)).toBe(10);
+            expect(subIndex("uk_daqi", "pm25", 500)).toBe(10);
+        });
+    });
+});
+
+describe("categoryFor", () => {
+    it("finds the category of an index", () => {
+        expect(categoryFor("us_epa", 50).cat).toBe("Good");
+        expect(categoryFor("us_epa", 51).cat).toBe("Moderate");
+        expect(categoryFor("in_naqi", 450).cat).toBe("Severe");
+        expect(categoryFor("eu_caqi", 150).cat).toBe("Very High");
+        expect(categoryFor("uk_daqi", 3).cat).toBe("Low");
+        expect(categoryFor("uk_daqi", 4).cat).toBe("Moderate");
+        expect(categoryFor("uk_daqi", 10).cat).toBe("Very High");
+    });
+
+    it("returns a placeholder without an index", () => {
+        expect(categoryFor("us_epa", null)).toMatchObject({ cat: "—", tier: null });
+    });
+});
+
+describe("computeAqi", () => {
+    it("takes the highest sub-index and its pollutant", () => {
+        const result = computeAqi("us_epa", { pm25: 35.4, pm10: 54, no2: 20, t: 30 });
+        expect(result.aqi).toBe(100);
+        expect(result.dominant).toBe("pm25");
+        expect(result.category.cat).toBe("Moderate");
+        expect(Object.keys(result.subIndices)).toEqual(["pm25", "pm10", "no2"]);
+        expect(result.subIndices.pm10).toMatchObject({ index: 50, category: { cat: "Good" } });
+        expect(result.complete).toBe(true);
+    });
+
+    it("has no index without usable readings", () => {
+        expect(computeAqi("us_epa", {})).toMatchObject({ aqi: null, dominant: null, complete: false });
+        expect(computeAqi("us_epa", { t: 30 }).aqi).toBeNull();
+    });
+
+    it("needs three pollutants including PM for India NAQI", () => {
+        expect(computeAqi("in_naqi", { pm25: 30, no2: 20 }).complete).toBe(false);
+        expect(computeAqi("in_naqi", { no2: 20, o3: 20, so2: 10 }).complete).toBe(false);
+        expect(computeAqi("in_naqi", { pm25: 30, no2: 20, o3: 20 }).complete).toBe(true);
+    });
+
+    it("rates the same readings under each standard", () => {
+        const readings = { pm25: 30, pm10: 40, no2: 20 };
+        expect(computeAqi("us_epa", readings)).toMatchObject({ aqi: 90, dominant: "pm25" });
+        expect(computeAqi("in_naqi", readings)).toMatchObject({ aqi: 50, dominant: "pm25" });
+        expect(computeAqi("eu_caqi", readings)).toMatchObject({ aqi: 50, dominant: "pm25" });
+        expect(computeAqi("uk_daqi", readings)).toMatchObject({ aqi: 3, dominant: "pm25" });
+    });
+});
+
+describe("headlineAqi", () => {
+    it("computes the index from concentrations", () => {
+        const result = headlineAqi("us_epa", { aqi_us: 10, pollutants: { pm25: 35.4 } });
+        expect(result.aqi).toBe(100);
+    });
+
+    it("falls back to the station's US AQI under US EPA", () => {
+        const result = headlineAqi("us_epa", { aqi_us: 120, dominant_pollutant: "pm10", pollutants: {} });
+        expect(result).toMatchObject({ aqi: 120, dominant: "pm10", complete: true });
+        expect(result.category.cat).toBe("Unhealthy (S)");
+    });
+
+    it("does not use the US AQI for other standards", () => {
+        for (const standard of ["in_naqi", "eu_caqi", "uk_daqi"]) {
+            expect(headlineAqi(standard, { aqi_us: 120, pollutants: {} }).aqi).toBeNull();
+        }
+    });
+
+    it("copes with missing data", () => {
+        expect(headlineAqi("us_epa", null).aqi).toBeNull();
+        expect(headlineAqi("us_epa", { aqi_us: null }).aqi).toBeNull();
+    });
+});
+
+describe("pollutantBands", () => {
+    it("lists one band per category in reading units", () => {
+        const bands = pollutantBands("us_epa", "pm25");
+        expect(bands).toHaveLength(6);
+        expect(bands[0]).toMatchObject({ cat: "Good", from: 0, to: 9.0 });
+        expect(bands[5]).toMatchObject({ cat: "Hazardous", from: 225.5, to: 325.4 });
+    });
+
+    it("converts band edges back from the standard's units", () => {
+        const [good] = pollutantBands("us_epa", "co");
+        expect(good.to).toBeCloseTo(5.0406, 3);
+    });
+
+    it("ends open-ended tables at Infinity", () => {
+        expect(pollutantBands("in_naqi", "pm25").at(-1)).toMatchObject({ cat: "Severe", from: 251, to: Infinity });
+        expect(pollutantBands("eu_caqi", "pm25").at(-1)).toMatchObject({ cat: "Very High", from: 110, to: Infinity });
+    });
+
+    it("joins UK DAQI index bands into their categories", () => {
+        expect(pollutantBands("uk_daqi", "pm25").map(({ cat, from, to }) => ({ cat, from, to }))).toEqual([
+            { cat: "Low", from: 0, to: 35 },
+            { cat: "Moderate", from: 36, to: 53 },
+            { cat: "High", from: 54, to: 70 },
+            { cat: "Very High", from: 71, to: Infinity },
+        ]);
+    });
+
+    it("is empty for pollutants a standard doesn't cover", () => {
+        expect(pollutantBands("uk_daqi", "co")).toEqual([]);
+        expect(pollutantBands("us_epa", "t")).toEqual([]);
+    });
+});
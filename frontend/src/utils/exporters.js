@@ -0,0 +1,115 @@
+import { POLLUTANT_KEYS, prettyKey, unitFor } from "./pollutants";
+import { getStandard, headlineAqi, pollutantCategory, subIndex } from "./aqi";
+import { createLocaleValue } from "../i18n/context";
+
+export const exportFilename = (city, suffix, ext) =>
+    `environment-${suffix}-${(city || "unknown").replace(/\s+/g, "-")}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+const csvCell = (value) => {
+    const s = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export const toCsv = (rows) => rows.map(r => r.map(csvCell).join(",")).join("\n");
+
+// One row per pollutant reading in the current response
+export function pollutantsCsv(data, standard) {
+    const rows = [["pollutant", "label", "value", "unit", `sub_index (${getStandard(standard).label})`, "category"]];
+    Object.entries(data?.aqi_data?.pollutants || {}).forEach(([k, v]) => {
+        const index = subIndex(standard, k, v);
+        rows.push([k, prettyKey(k), v, unitFor(k), index, index === null ? "" : pollutantCategory(standard, k, v).cat]);
+    });
+    return toCsv(rows);
+}
+
+// One row per recorded snapshot, one column per pollutant seen in any of them
+export function historyCsv(snapshots, standard) {
+    const keys = POLLUTANT_KEYS.filter(k => snapshots.some(s => s.pollutants?.[k] !== undefined));
+    const rows = [["timestamp", "city", `aqi (${getStandard(standard).label})`, "category", "dominant_pollutant", ...keys.map(k => `${k} (${unitFor(k)})`)]];
+    snapshots.forEach(s => {
+        const headline = headlineAqi(standard, { aqi_us: s.aqi, dominant_pollutant: s.dominant_pollutant, pollutants: s.pollutants });
+        rows.push([
+            new Date(s.timestamp).toISOString(),
+            s.label,
+            headline.aqi,
+            headline.aqi === null ? "" : headline.category.cat,
+            headline.dominant,
+            ...keys.map(k => s.pollutants?.[k]),
+        ]);
+    });
+    return toCsv(rows);
+}
+
+// Draws a 1200×630 social card of the AQI headline and worst pollutants, worded
+// for `l10n` (see ../i18n/context.js). CSV exports stay English and metric.
+export function renderSnapshotPng(data, standard, l10n = createLocaleValue()) {
+    const { t, label, categoryLabel, formatNumber, formatDateTime } = l10n;
+    const canvas = document.createElement("canvas");
+    canvas.width = 1200;
+    canvas.height = 630;
+    const ctx = canvas.getContext("2d");
+
+    const bg = ctx.createLinearGradient(0, 0, 1200, 630);
+    bg.addColorStop(0, "#020617");
+    bg.addColorStop(0.5, "#172554");
+    bg.addColorStop(1, "#312e81");
+    ctx.fillStyle = bg;
+    ctx.fillRect(0, 0, 1200, 630);
+
+    const { aqi, category } = headlineAqi(standard, data?.aqi_data);
+
+    ctx.fillStyle = "#cbd5e1";
+    ctx.font = "600 32px system-ui, sans-serif";
+    ctx.fillText(`दुनिया मौसम · ${getStandard(standard).label}`, 60, 90);
+
+    ctx.fillStyle = "#ffffff";
+    ctx.font = "800 64px system-ui, sans-serif";
+    ctx.fillText(data?.place || data?.city || t("location.unknown"), 60, 180);
+
+    ctx.font = "900 180px system-ui, sans-serif";
+    ctx.fillText(aqi ?? "—", 60, 380);
+
+    ctx.fillStyle = category.hex;
+    ctx.beginPath();
+    ctx.roundRect(60, 420, 380, 70, 35);
+    ctx.fill();
+    ctx.fillStyle = category.text === "text-white" ? "#ffffff" : "#000000";
+    ctx.font = "700 36px system-ui, sans-serif";
+    ctx.fillText(categoryLabel(category.cat), 90, 467);
+
+    // Up to four pollutants, highest sub-index first
+    const pollutants = Object.entries(data?.aqi_data?.pollutants || {})
+        .filter(([k, v]) => subIndex(standard, k, v) !== null)
+        .sort(([ka, va], [kb, vb]) => subIndex(standard, kb, vb) - subIndex(standard, ka, va))
+        .slice(0, 4);
+
+    pollutants.forEach(([k, v], i) => {
+        const y = 200 + i * 90;
+        const pc = pollutantCategory(standard, k, v);
+        ctx.fillStyle = pc.hex;
+        ctx.fillRect(700, y - 40, 12, 56);
+        ctx.fillStyle = "#ffffff";
+        ctx.font = "700 36px system-ui, sans-serif";
+        ctx.fillText(label(k), 730, y);
+        ctx.fillStyle = "#cbd5e1";
+        ctx.font = "400 28px system-ui, sans-serif";
+        ctx.fillText(`${formatNumber(v, 1)} ${unitFor(k)} · ${categoryLabel(pc.cat)}`, 880, y);
+    });
+
+    ctx.fillStyle = "#94a3b8";
+    ctx.font = "400 24px system-ui, sans-serif";
+    ctx.fillText(formatDateTime(new Date()), 60, 580);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("Failed to render image")), "image/png");
+    });
+}
@@ -0,0 +1,149 @@
+import { headlineAqi, pollutantCategory } from "./aqi";
+
+// Health advice as data: each rule looks at an assessment of the current
+// readings for one sensitivity profile and, when it applies, contributes an
+// i18n key (text under `health.*` in ../i18n). Nothing here touches the UI.
+//
+// Risk levels follow the category `tier` of ./aqi.js: 0 good, 1 moderate,
+// 2 unhealthy for sensitive groups, 3 unhealthy or worse.
+
+export const MAX_RISK = 3;
+
+// `sensitiveTo` pollutants count one risk level higher for the profile
+export const HEALTH_PROFILES = {
+    general: { id: "general", sensitiveTo: [] },
+    asthma: { id: "asthma", sensitiveTo: ["o3", "pm25", "pm10", "so2", "no2"] },
+    heart: { id: "heart", sensitiveTo: ["pm25", "pm10", "co"] },
+    children: { id: "children", sensitiveTo: ["pm25", "pm10", "o3", "no2"] },
+    elderly: { id: "elderly", sensitiveTo: ["pm25", "pm10", "o3", "co"] },
+    athlete: { id: "athlete", sensitiveTo: ["pm25", "o3", "no2"] },
+    pregnancy: { id: "pregnancy", sensitiveTo: ["pm25", "co", "no2"] },
+};
+
+export const DEFAULT_PROFILE = "general";
+
+export const getProfile = (id) => HEALTH_PROFILES[id] || HEALTH_PROFILES[DEFAULT_PROFILE];
+
+const PARTICULATES = ["pm25", "pm10"];
+const GASES = ["o3", "no2", "so2", "co"];
+
+// Risk per pollutant and overall for `profile`, from the concentrations in
+// `aqiData.pollutants` under `standardId`. Pollutants the standard has no
+// breakpoints for are left out. Without usable concentrations the headline
+// index (e.g. the station-reported US AQI) is rated instead. `risk` is null
+// when nothing could be rated; `driver` is the pollutant behind it.
+export function assessRisk(standardId, aqiData, profileId = DEFAULT_PROFILE) {
+    const profile = getProfile(profileId);
+    const pollutants = {};
+    let risk = null;
+    let driver = null;
+
+    Object.entries(aqiData?.pollutants || {}).forEach(([k, value]) => {
+        const { tier } = pollutantCategory(standardId, k, value);
+        if (tier === null || tier === undefined) return;
+        const adjusted = Math.min(MAX_RISK, tier + (profile.sensitiveTo.includes(k) ? 1 : 0));
+        pollutants[k] = adjusted;
+        // On a tie the station's dominant pollutant names the cause
+        if (risk === null || adjusted > risk || (adjusted === risk && k === aqiData?.dominant_pollutant)) {
+            risk = adjusted;
+            driver = k;
+        }
+    });
+
+    if (risk === null) {
+        const headline = headlineAqi(standardId, aqiData);
+        if (headline.category.tier !== null) {
+            driver = headline.dominant;
+            risk = Math.min(MAX_RISK, headline.category.tier + (profile.sensitiveTo.includes(driver) ? 1 : 0));
+        }
+    }
+
+    return { profile: profile.id, risk, driver, pollutants };
+}
+
+const atLeast = (level) => ({ risk }) => risk >= level;
+const pollutantAtLeast = (k, level) => ({ pollutants }) => (pollutants[k] ?? -1) >= level;
+const forProfile = (id, level) => (a) => a.profile === id && a.risk >= level;
+
+// Evaluated in order; every matching rule adds its key
+export const RULES = [
+    { id: "overall", when: ({ risk }) => risk !== null, key: ({ risk }) => `health.risk.${risk}` },
+
+    { id: "ventilate", when: ({ risk }) => risk === 0, key: "health.rule.ventilate" },
+    { id: "windows", when: atLeast(2), key: "health.rule.windows" },
+    { id: "purifier", when: (a) => PARTICULATES.some(k => pollutantAtLeast(k, 2)(a)), key: "health.rule.purifier" },
+
+    { id: "asthma.inhaler", when: forProfile("asthma", 1), key: "health.profile.asthma.inhaler" },
+    { id: "asthma.plan", when: forProfile("asthma", 2), key: "health.profile.asthma.plan" },
+    { id: "heart.exertion", when: forProfile("heart", 1), key: "health.profile.heart.exertion" },
+    { id: "heart.symptoms", when: forProfile("heart", 2), key: "health.profile.heart.symptoms" },
+    { id: "children.play", when: forProfile("children", 2), key: "health.profile.children.play" },
+    { id: "children.school", when: forProfile("children", 3), key: "health.profile.children.school" },
+    { id: "elderly.pace", when: forProfile("elderly", 1), key: "health.profile.elderly.pace" },
+    { id: "elderly.checkin", when: forProfile("elderly", 3), key: "health.profile.elderly.checkin" },
+    { id: "athlete.intensity", when: forProfile("athlete", 1), key: "health.profile.athlete.intensity" },
+    { id: "athlete.indoors", when: forProfile("athlete", 3), key: "health.profile.athlete.indoors" },
+    { id: "pregnancy.traffic", when: forProfile("pregnancy", 1), key: "health.profile.pregnancy.traffic" },
+    { id: "pregnancy.indoors", when: forProfile("pregnancy", 2), key: "health.profile.pregnancy.indoors" },
+
+    { id: "o3", when: pollutantAtLeast("o3", 2), key: "health.pollutant.o3" },
+    { id: "no2", when: pollutantAtLeast("no2", 2), key: "health.pollutant.no2" },
+    { id: "so2", when: pollutantAtLeast("so2", 2), key: "health.pollutant.so2" },
+    { id: "co", when: pollutantAtLeast("co", 2), key: "health.pollutant.co" },
+];
+
+// [{ id, key }] for an assessment from assessRisk
+export function evaluateRules(assessment, rules = RULES) {
+    return rules
+        .filter(rule => rule.when(assessment))
+        .map(rule => ({ id: rule.id, key: typeof rule.key === "function" ? rule.key(assessment) : rule.key }));
+}
+
+// Everything the health panel and printed report show for one reading
+export function healthAdvice(standardId, aqiData, profileId = DEFAULT_PROFILE) {
+    const assessment = assessRisk(standardId, aqiData, profileId);
+    return { assessment, tips: evaluateRules(assessment), mask: maskAdvice(assessment) };
+}
+
+// Which mask helps, if any. Masks only filter particles, so `gasNote` is set
+// when a gas is what makes the air risky.
+export function maskAdvice({ risk, pollutants }) {
+    if (risk === null) return null;
+    const particleRisk = Math.max(-1, ...PARTICULATES.map(k => pollutants[k] ?? -1));
+    const gasNote = GASES.some(k => (pollutants[k] ?? -1) >= 2);
+
+    let type = "none";
+    if (particleRisk >= 3) type = "n95";
+    else if (particleRisk === 2) type = "surgical";
+    return { type, key: `health.mask.${type}`, gasNote };
+}
+
+// Exertion levels, lightest first; the harder you breathe the more you inhale
+export const ACTIVITIES = {
+    walk: { id: "walk", intensity: 0 },
+    cycle: { id: "cycle", intensity: 1 },
+    run: { id: "run", intensity: 2 },
+};
+
+// Minutes of outdoor activity before advising against it, by risk and
+// intensity (walk, cycle, run). Infinity means no limit, 0 means stay in.
+const ACTIVITY_LIMITS = [
+    [Infinity, Infinity, Infinity],
+    [Infinity, 120, 60],
+    [60, 30, 15],
+    [15, 0, 0],
+];
+
+// "Safe to run for 30 minutes?" Verdict is "safe" within the limit, "caution"
+// up to twice it and "avoid" beyond that.
+export function planActivity({ risk }, activityId, minutes) {
+    const activity = ACTIVITIES[activityId] || ACTIVITIES.walk;
+    if (risk === null) return null;
+
+    const limit = ACTIVITY_LIMITS[Math.min(risk, MAX_RISK)][activity.intensity];
+    let verdict = "avoid";
+    if (minutes <= limit) verdict = "safe";
+    else if (limit > 0 && minutes <= limit * 2) verdict = "caution";
+
+    return { verdict, limit, key: `health.plan.${verdict}` };
+}
@@ -0,0 +1,116 @@
+import { describe, expect, it } from "vitest";
+import { assessRisk, maskAdvice, planActivity } from "./health";
+
+// US EPA tiers for these PM2.5 readings (µg/m³)
+const PM25 = { good: 5, moderate: 20, sensitive: 40, unhealthy: 100 };
+
+const reading = (pollutants, extra = {}) => ({ pollutants, ...extra });
+
+describe("assessRisk", () => {
+    it("rates clean air as no risk", () => {
+        expect(assessRisk("us_epa", reading({ pm25: PM25.good, pm10: 20, o3: 30 }))).toEqual({
+            profile: "general",
+            risk: 0,
+            driver: "pm25",
+            pollutants: { pm25: 0, pm10: 0, o3: 0 },
+        });
+    });
+
+    it("takes the worst pollutant as the risk and its cause", () => {
+        const { risk, driver } = assessRisk("us_epa", reading({ pm25: PM25.moderate, o3: 80 }));
+
+        expect(risk).toBe(2);
+        expect(driver).toBe("o3");
+    });
+
+    it("raises pollutants a profile is sensitive to by one level, up to the maximum", () => {
+        const data = reading({ pm25: PM25.moderate, co: 0.5 });
+
+        expect(assessRisk("us_epa", data, "general").risk).toBe(1);
+        expect(assessRisk("us_epa", data, "asthma").risk).toBe(2);
+        expect(assessRisk("us_epa", data, "asthma").pollutants.co).toBe(0);
+        expect(assessRisk("us_epa", reading({ pm25: PM25.unhealthy }), "asthma").risk).toBe(3);
+    });
+
+    it("names the station's dominant pollutant on a tie", () => {
+        const data = reading({ pm25: PM25.moderate, o3: 60 }, { dominant_pollutant: "o3" });
+
+        expect(assessRisk("us_epa", data)).toMatchObject({ risk: 1, driver: "o3" });
+    });
+
+    it("rates the station's index when there are no concentrations", () => {
+        const data = reading({}, { aqi_us: 160, dominant_pollutant: "pm25" });
+
+        expect(assessRisk("us_epa", data)).toMatchObject({ risk: 3, driver: "pm25", pollutants: {} });
+        expect(assessRisk("us_epa", reading({}, { aqi_us: 60, dominant_pollutant: "pm25" }), "heart").risk).toBe(2);
+    });
+
+    it("skips readings the standard has no breakpoints for", () => {
+        expect(assessRisk("us_epa", reading({ pm25: PM25.good, t: 30, h: 80 })).pollutants).toEqual({ pm25: 0 });
+        expect(assessRisk("uk_daqi", reading({ co: 5 })).risk).toBeNull();
+    });
+
+    it("has no risk without any reading", () => {
+        expect(assessRisk("us_epa", null)).toEqual({ profile: "general", risk: null, driver: null, pollutants: {} });
+    });
+
+    it("falls back to the general profile for an unknown one", () => {
+        expect(assessRisk("us_epa", reading({ pm25: PM25.moderate }), "astronaut")).toMatchObject({ profile: "general", risk: 1 });
+    });
+});
+
+describe("maskAdvice", () => {
+    const mask = (pollutants) => maskAdvice(assessRisk("us_epa", reading(pollutants)));
+
+    it("needs no mask in clean air", () => {
+        expect(mask({ pm25: PM25.good })).toEqual({ type: "none", key: "health.mask.none", gasNote: false });
+    });
+
+    it("asks for more filtering as particulates get worse", () => {
+        expect(mask({ pm25: PM25.moderate }).type).toBe("none");
+        expect(mask({ pm25: PM25.sensitive }).type).toBe("surgical");
+        expect(mask({ pm25: PM25.unhealthy })).toMatchObject({ type: "n95", key: "health.mask.n95" });
+        expect(mask({ pm10: 400 }).type).toBe("n95");
+    });
+
+    it("notes that a mask doesn't help when a gas is the problem", () => {
+        expect(mask({ pm25: PM25.good, o3: 80 })).toEqual({ type: "none", key: "health.mask.none", gasNote: true });
+        expect(mask({ pm25: PM25.unhealthy, no2: 400 })).toMatchObject({ type: "n95", gasNote: true });
+    });
+
+    it("has no advice without a risk", () => {
+        expect(maskAdvice({ risk: null, pollutants: {} })).toBeNull();
+    });
+});
+
+describe("planActivity", () => {
+    it("has no limit in good air", () => {
+        expect(planActivity({ risk: 0 }, "run", 600)).toEqual({ verdict: "safe", limit: Infinity, key: "health.plan.safe" });
+    });
+
+    it("is safe within the limit, a caution up to twice it and avoided beyond", () => {
+        expect(planActivity({ risk: 2 }, "walk", 60)).toMatchObject({ verdict: "safe", limit: 60 });
+        expect(planActivity({ risk: 2 }, "walk", 61).verdict).toBe("caution");
+        expect(planActivity({ risk: 2 }, "walk", 120).verdict).toBe("caution");
+        expect(planActivity({ risk: 2 }, "walk", 121)).toMatchObject({ verdict: "avoid", key: "health.plan.avoid" });
+    });
+
+    it("allows less of harder exercise", () => {
+        expect(planActivity({ risk: 1 }, "walk", 180).verdict).toBe("safe");
+        expect(planActivity({ risk: 1 }, "cycle", 180).verdict).toBe("caution");
+        expect(planActivity({ risk: 1 }, "run", 180).verdict).toBe("avoid");
+    });
+
+    it("advises against any hard exercise at the highest risk", () => {
+        expect(planActivity({ risk: 3 }, "run", 1)).toMatchObject({ verdict: "avoid", limit: 0 });
+        expect(planActivity({ risk: 3 }, "walk", 15).verdict).toBe("safe");
+    });
+
+    it("treats an unknown activity as a walk", () => {
+        expect(planActivity({ risk: 2 }, "swim", 60)).toEqual(planActivity({ risk: 2 }, "walk", 60));
+    });
+
+    it("has no plan without a risk", () => {
+        expect(planActivity({ risk: null }, "walk", 10)).toBeNull();
+    });
+});
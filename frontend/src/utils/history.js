@@ -0,0 +1,86 @@
+// Records every successful /environment response in IndexedDB so trends can be
+// charted later. Snapshots are keyed by a normalized city name and timestamp.
+
+const DB_NAME = "duniya-mausam-history";
+const DB_VERSION = 1;
+const STORE = "snapshots";
+
+// Older snapshots are dropped when new ones are written
+export const MAX_HISTORY_AGE = 30 * 24 * 60 * 60 * 1000;
+
+export const cityKey = (name) => (name || "").trim().toLowerCase();
+
+let dbPromise = null;
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === "undefined") {
+                reject(new Error("IndexedDB is not available"));
+                return;
+            }
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                const store = req.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+                store.createIndex("cityTime", ["city", "timestamp"]);
+                store.createIndex("timestamp", "timestamp");
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        // Let a later call retry if opening failed (e.g. blocked by another tab)
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+function done(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+export async function recordSnapshot(data, timestamp = Date.now()) {
+    if (!data?.city || !data.aqi_data) return;
+
+    const db = await openDb();
+    const tx = db.transaction(STORE, "readwrite");
+    const store = tx.objectStore(STORE);
+
+    store.add({
+        city: cityKey(data.city),
+        label: data.city,
+        timestamp,
+        aqi: data.aqi_data.aqi_us ?? null,
+        dominant_pollutant: data.aqi_data.dominant_pollutant ?? null,
+        pollutants: data.aqi_data.pollutants || {},
+        weather: data.weather_data || {},
+    });
+
+    // Prune anything past the retention window in the same transaction
+    const cutoff = IDBKeyRange.upperBound(timestamp - MAX_HISTORY_AGE, true);
+    store.index("timestamp").openCursor(cutoff).onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (cursor) {
+            cursor.delete();
+            cursor.continue();
+        }
+    };
+
+    await done(tx);
+}
+
+// Snapshots for `city` newer than `since`, oldest first
+export async function getHistory(city, since = 0) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, "readonly");
+    const range = IDBKeyRange.bound([cityKey(city), since], [cityKey(city), Infinity]);
+    const req = tx.objectStore(STORE).index("cityTime").getAll(range);
+
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
@@ -0,0 +1,82 @@
+// Dashboard layout: which panels show, in which column and order, and which
+// are collapsed to their title. Stored as preferences.layout (see ./storage.js).
+
+// Every panel the dashboard can place. `required` panels can be moved and
+// collapsed but not hidden. Titles are in the catalogs as layout.panel.<id>.
+export const PANELS = {
+    statements: {},
+    overview: { required: true },
+    pollutants: {},
+    trends: {},
+    guide: {},
+    weather: {},
+    healthTips: {},
+    actions: {},
+    favorites: {},
+};
+
+export const COLUMNS = ["main", "side"];
+
+export const DEFAULT_LAYOUT = {
+    main: ["statements", "overview", "pollutants", "trends", "guide"],
+    side: ["weather", "healthTips", "actions", "favorites"],
+    hidden: ["healthTips"],
+    collapsed: [],
+};
+
+// Drops unknown panels and duplicates from a stored layout and appends any
+// panel it doesn't place to the column it has by default, so a layout saved
+// by an older build still shows panels added since.
+export function normalizeLayout(layout) {
+    const placed = new Set();
+    const column = (id) => (Array.isArray(layout?.[id]) ? layout[id] : DEFAULT_LAYOUT[id])
+        .filter(p => {
+            if (!PANELS[p] || placed.has(p)) return false;
+            placed.add(p);
+            return true;
+        });
+    const result = { main: column("main"), side: column("side") };
+
+    for (const id of COLUMNS) {
+        for (const p of DEFAULT_LAYOUT[id]) {
+            if (!placed.has(p)) result[id].push(p);
+        }
+    }
+
+    const list = (key) => (Array.isArray(layout?.[key]) ? layout[key] : DEFAULT_LAYOUT[key])
+        .filter((p, i, all) => PANELS[p] && all.indexOf(p) === i);
+    return {
+        ...result,
+        hidden: list("hidden").filter(p => !PANELS[p].required),
+        collapsed: list("collapsed"),
+    };
+}
+
+export const columnOf = (layout, id) => COLUMNS.find(c => layout[c].includes(id));
+
+// Moves a panel up (-1) or down (+1) within its column
+export function movePanel(layout, id, delta) {
+    const column = columnOf(layout, id);
+    const list = [...layout[column]];
+    const index = list.indexOf(id);
+    const target = index + delta;
+    if (target < 0 || target >= list.length) return layout;
+    [list[index], list[target]] = [list[target], list[index]];
+    return { ...layout, [column]: list };
+}
+
+// Moves a panel to the end of the other column
+export function switchColumn(layout, id) {
+    const from = columnOf(layout, id);
+    const to = from === "main" ? "side" : "main";
+    return { ...layout, [from]: layout[from].filter(p => p !== id), [to]: [...layout[to], id] };
+}
+
+// Adds `id` to, or removes it from, the "hidden" or "collapsed" list
+export function togglePanel(layout, id, list, on = !layout[list].includes(id)) {
+    if (list === "hidden" && PANELS[id].required) return layout;
+    const rest = layout[list].filter(p => p !== id);
+    return { ...layout, [list]: on ? [...rest, id] : rest };
+}
+
+export const isVisible = (layout, id) => !layout.hidden.includes(id);
@@ -0,0 +1,80 @@
+// Knowledge base for every reading key WAQI reports (its "iaqi" keys): display
+// name, the unit readings come in and, for pollutants, what kind they are and
+// the WHO 2021 short-term guideline level. Full names, sources and health
+// effects are text, so they live in ../i18n under `pollutant.<key>.*`.
+// Kept free of UI imports; the embeddable widget uses it too.
+//
+// `molecularWeight` (g/mol) converts gas mixing ratios to mass concentrations;
+// `who.limit` is in `who.unit`, averaged over `who.period`.
+export const POLLUTANT_META = {
+    co: { label: "CO", unit: "mg/m³", kind: "gas", molecularWeight: 28.01, who: { limit: 4, unit: "mg/m³", period: "24h" } },
+    pm25: { label: "PM2.5", unit: "µg/m³", kind: "particle", who: { limit: 15, unit: "µg/m³", period: "24h" } },
+    pm10: { label: "PM10", unit: "µg/m³", kind: "particle", who: { limit: 45, unit: "µg/m³", period: "24h" } },
+    no2: { label: "NO₂", unit: "ppb", kind: "gas", molecularWeight: 46.01, who: { limit: 25, unit: "µg/m³", period: "24h" } },
+    o3: { label: "O₃", unit: "ppb", kind: "gas", molecularWeight: 48.0, who: { limit: 100, unit: "µg/m³", period: "8h" } },
+    so2: { label: "SO₂", unit: "ppb", kind: "gas", molecularWeight: 64.07, who: { limit: 40, unit: "µg/m³", period: "24h" } },
+    dew: { label: "Dew Point", unit: "°C", kind: "weather" },
+    h: { label: "Humidity", unit: "%", kind: "weather" },
+    p: { label: "Pressure", unit: "hPa", kind: "weather" },
+    t: { label: "Temperature", unit: "°C", kind: "weather" },
+    w: { label: "Wind Speed", unit: "m/s", kind: "weather" },
+    wd: { label: "Wind Dir", unit: "°", kind: "weather" },
+    wg: { label: "Wind Gust", unit: "m/s", kind: "weather" },
+};
+
+// Pollutants covered by the AQI standards in ./aqi.js, in display order
+export const POLLUTANT_KEYS = ["co", "pm25", "pm10", "no2", "o3", "so2"];
+
+// Litres per mole at 25 °C, 1 atm
+const MOLAR_VOLUME = 24.45;
+
+const TO_UG = { "µg/m³": 1, "mg/m³": 1000 };
+
+// Convert `value` of pollutant `k` between ppb/ppm and µg/m³/mg/m³
+export function convertUnits(k, value, from, to) {
+    if (from === to || value === null || value === undefined) return value;
+    const weight = POLLUTANT_META[k]?.molecularWeight;
+
+    let ug;
+    if (from in TO_UG) ug = value * TO_UG[from];
+    else if (from === "ppb") ug = value * weight / MOLAR_VOLUME;
+    else if (from === "ppm") ug = value * 1000 * weight / MOLAR_VOLUME;
+    else throw new Error(`Unknown unit ${from}`);
+
+    if (to in TO_UG) return ug / TO_UG[to];
+    if (to === "ppb") return ug * MOLAR_VOLUME / weight;
+    if (to === "ppm") return ug * MOLAR_VOLUME / weight / 1000;
+    throw new Error(`Unknown unit ${to}`);
+}
+
+// The other way of stating a gas reading: mixing ratio for mass and vice versa
+const ALTERNATE_UNIT = { ppb: "µg/m³", "mg/m³": "ppm" };
+
+// { value, unit } of a gas reading in its alternate unit, or null (particles, weather)
+export function alternateReading(k, value) {
+    const meta = POLLUTANT_META[k];
+    const num = Number(value);
+    if (meta?.kind !== "gas" || value === null || value === undefined || isNaN(num)) return null;
+    const unit = ALTERNATE_UNIT[meta.unit];
+    return { value: convertUnits(k, num, meta.unit, unit), unit };
+}
+
+// How a reading compares with the WHO guideline: { multiple, limit, unit, period },
+// where multiple is reading / limit. Null without a guideline or reading.
+export function whoComparison(k, value) {
+    const meta = POLLUTANT_META[k];
+    const num = Number(value);
+    if (!meta?.who || value === null || value === undefined || isNaN(num)) return null;
+    const inWhoUnit = convertUnits(k, num, meta.unit, meta.who.unit);
+    return { ...meta.who, multiple: inWhoUnit / meta.who.limit };
+}
+
+// small helpers
+export const prettyKey = (k) => POLLUTANT_META[k]?.label || k.toUpperCase();
+export const unitFor = (k) => POLLUTANT_META[k]?.unit || "";
+// Up to `digits` decimals, grouped for `locale` (the browser's when omitted)
+export const formatValue = (value, { locale, digits = 2 } = {}) => {
+    if (value === null || value === undefined || value === "—") return "—";
+    const num = parseFloat(value);
+    return isNaN(num) ? "—" : num.toLocaleString(locale, { maximumFractionDigits: digits });
+};
@@ -0,0 +1,9 @@
+// Display names for the upstream services the backend names in error
+// envelopes and aqi_data.source/sources (its UPSTREAM_NAMES)
+export const PROVIDER_NAMES = {
+    waqi: "WAQI",
+    openweather: "OpenWeather",
+    openmeteo: "Open-Meteo",
+};
+
+export const providerName = (id) => PROVIDER_NAMES[id] || id;
@@ -0,0 +1,96 @@
+// Persists favorites, the last viewed city and UI preferences in localStorage.
+// The stored blob carries a schema version; older blobs are upgraded one step
+// at a time through MIGRATIONS before being merged over the defaults.
+
+import { DEFAULT_LAYOUT } from "./layout";
+
+const STORAGE_KEY = "duniya-mausam";
+export const SCHEMA_VERSION = 3;
+
+export const DEFAULT_STATE = {
+    favorites: [],
+    // Newest first, see CitySearch
+    recentSearches: [],
+    lastCity: "",
+    // { lat, lon } when lastCity was picked by coordinates, { station } when
+    // picked on the map; see ./urlState.js
+    lastLocation: null,
+    compareCities: [],
+    // [{ city, rules, lastReading }]
+    watchlist: [],
+    // [{ id, city, key, vars, timestamp }], newest first (see describeAlert)
+    alertHistory: [],
+    preferences: {
+        autoRefresh: false,
+        // "light", "dark" or "system"
+        theme: "system",
+        standard: "us_epa",
+        locale: "en",
+        // See ./units.js
+        units: { temperature: "c", speed: "ms", pressure: "hpa" },
+        // See HEALTH_PROFILES in ./health.js
+        healthProfile: "general",
+        // See ACCESSIBILITY_ROWS in components/SettingsPanel.jsx
+        accessibility: { contrast: "normal", motion: "system" },
+        // See ./layout.js
+        layout: DEFAULT_LAYOUT,
+    },
+};
+
+// MIGRATIONS[n] upgrades a version-n blob to version n + 1. Version 1 is the
+// first layout ever stored.
+const MIGRATIONS = {
+    1: (old) => ({ ...old, watchlist: [], alertHistory: [] }),
+    // The guide's show/hide flag became part of the panel layout
+    2: (old) => {
+        const { showGuide, ...preferences } = old.preferences || {};
+        const hidden = showGuide === false ? [...DEFAULT_LAYOUT.hidden, "guide"] : DEFAULT_LAYOUT.hidden;
+        return { ...old, preferences: { ...preferences, layout: { ...DEFAULT_LAYOUT, hidden } } };
+    },
+};
+
+export function migrate({ version, state }) {
+    while (version < SCHEMA_VERSION) {
+        const step = MIGRATIONS[version];
+        if (!step) throw new Error(`No storage migration from version ${version}`);
+        state = step(state);
+        version += 1;
+    }
+    return state;
+}
+
+export function loadState() {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        if (!raw) return DEFAULT_STATE;
+
+        const stored = JSON.parse(raw);
+        // Every blob this app wrote has a version; one from a newer build can't be
+        // safely downgraded
+        if (!Number.isInteger(stored.version) || stored.version > SCHEMA_VERSION) return DEFAULT_STATE;
+
+        const state = migrate(stored);
+        return {
+            ...DEFAULT_STATE,
+            ...state,
+            preferences: {
+                ...DEFAULT_STATE.preferences,
+                ...state.preferences,
+                units: { ...DEFAULT_STATE.preferences.units, ...state.preferences?.units },
+                accessibility: { ...DEFAULT_STATE.preferences.accessibility, ...state.preferences?.accessibility },
+            },
+        };
+    } catch (err) {
+        console.error("Failed to restore saved settings:", err);
+        return DEFAULT_STATE;
+    }
+}
+
+export function saveState(state) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SCHEMA_VERSION, state }));
+    } catch (err) {
+        // Quota exceeded or storage disabled (private mode); keep running in memory
+        console.error("Failed to save settings:", err);
+    }
+}
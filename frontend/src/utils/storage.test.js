@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_LAYOUT } from "./layout";
+import { DEFAULT_STATE, SCHEMA_VERSION, loadState, migrate, saveState } from "./storage";
+
+const VERSION_1 = {
+    favorites: ["Delhi"],
+    lastCity: "London",
+    compareCities: [],
+    preferences: { autoRefresh: true, showGuide: false },
+};
+
+describe("storage", () => {
+    it("upgrades the first stored layout to the current schema", () => {
+        const state = migrate({ version: 1, state: VERSION_1 });
+
+        expect(state.favorites).toEqual(["Delhi"]);
+        expect(state.watchlist).toEqual([]);
+        expect(state.alertHistory).toEqual([]);
+        expect(state.preferences).toEqual({
+            autoRefresh: true,
+            layout: { ...DEFAULT_LAYOUT, hidden: [...DEFAULT_LAYOUT.hidden, "guide"] },
+        });
+    });
+
+    it("restores what it saved", () => {
+        saveState({ ...DEFAULT_STATE, lastCity: "Delhi" });
+
+        expect(loadState()).toEqual({ ...DEFAULT_STATE, lastCity: "Delhi" });
+    });
+
+    it("ignores blobs without a version or from a newer build", () => {
+        localStorage.setItem("duniya-mausam", JSON.stringify({ favorites: ["Delhi"], lastCity: "Delhi" }));
+        expect(loadState()).toBe(DEFAULT_STATE);
+
+        localStorage.setItem("duniya-mausam", JSON.stringify({ version: SCHEMA_VERSION + 1, state: VERSION_1 }));
+        expect(loadState()).toBe(DEFAULT_STATE);
+    });
+});
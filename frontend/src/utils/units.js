@@ -0,0 +1,84 @@
+// Display unit conversions. The backend and WAQI always report metric values
+// (°C, m/s, hPa, visibility in metres); everything is converted at render time so stored snapshots,
+// exports and AQI calculations stay in a single unit system.
+
+export const UNIT_OPTIONS = {
+    temperature: [
+        { id: "c", label: "°C" },
+        { id: "f", label: "°F" },
+    ],
+    speed: [
+        { id: "ms", label: "m/s" },
+        { id: "kmh", label: "km/h" },
+        { id: "mph", label: "mph" },
+    ],
+    pressure: [
+        { id: "hpa", label: "hPa" },
+        { id: "inhg", label: "inHg" },
+    ],
+};
+
+export const DEFAULT_UNITS = { temperature: "c", speed: "ms", pressure: "hpa" };
+
+// Reading keys (see POLLUTANT_META, plus `vis` for visibility) whose unit follows a user preference
+const KIND = { t: "temperature", dew: "temperature", w: "speed", wg: "speed", p: "pressure", vis: "distance" };
+
+const CONVERT = {
+    temperature: { c: v => v, f: v => v * 9 / 5 + 32 },
+    speed: { ms: v => v, kmh: v => v * 3.6, mph: v => v * 2.236936 },
+    pressure: { hpa: v => v, inhg: v => v * 0.0295300 },
+};
+
+// Decimal places worth showing for each display unit
+const DIGITS = { c: 1, f: 0, ms: 1, kmh: 0, mph: 0, hpa: 0, inhg: 2 };
+
+// Distance has no setting of its own: it goes to miles along with mph
+const DISTANCE = {
+    km: { label: "km", convert: v => v / 1000 },
+    mi: { label: "mi", convert: v => v / 1609.344 },
+};
+
+export const unitKind = (k) => KIND[k] || null;
+
+export const unitLabel = (kind, units = DEFAULT_UNITS) =>
+    UNIT_OPTIONS[kind].find(u => u.id === units[kind])?.label || UNIT_OPTIONS[kind][0].label;
+
+// Converts a metric value of the given kind; returns { value, unit, digits }
+export function convertMeasurement(kind, value, units = DEFAULT_UNITS) {
+    if (kind === "distance") return convertDistance(value, units);
+    const id = CONVERT[kind][units[kind]] ? units[kind] : DEFAULT_UNITS[kind];
+    const num = parseFloat(value);
+    return {
+        value: isNaN(num) ? null : CONVERT[kind][id](num),
+        unit: unitLabel(kind, units),
+        digits: DIGITS[id],
+    };
+}
+
+// Converts metres to km, or to miles when speeds are shown in mph
+export function convertDistance(value, units = DEFAULT_UNITS) {
+    const { label, convert } = DISTANCE[units.speed === "mph" ? "mi" : "km"];
+    const num = parseFloat(value);
+    return { value: isNaN(num) ? null : convert(num), unit: label, digits: 1 };
+}
+
+// Keep only known unit ids, filling gaps with the metric defaults
+export function normalizeUnits(units) {
+    const result = { ...DEFAULT_UNITS };
+    Object.keys(UNIT_OPTIONS).forEach(kind => {
+        if (UNIT_OPTIONS[kind].some(u => u.id === units?.[kind])) result[kind] = units[kind];
+    });
+    return result;
+}
+
+// Compact form for the query string, e.g. "f,mph,inhg"
+export const encodeUnits = (units) => ["temperature", "speed", "pressure"].map(kind => units[kind]).join(",");
+
+export function decodeUnits(value) {
+    if (!value) return null;
+    const [temperature, speed, pressure] = value.split(",");
+    return normalizeUnits({ temperature, speed, pressure });
+}
+
+export const isDefaultUnits = (units) =>
+    Object.keys(DEFAULT_UNITS).every(kind => units[kind] === DEFAULT_UNITS[kind]);
@@ -0,0 +1,62 @@
+import { decodeUnits, encodeUnits, isDefaultUnits } from "./units";
+
+// Mirrors the shareable part of the dashboard state in the query string, e.g.
+// ?city=Delhi&card=pm25&units=f,mph,inhg or ?view=compare&compare=Delhi&compare=Mumbai.
+// Compared cities repeat the parameter since a name can contain a comma. A
+// place picked by coordinates (a search suggestion, "use my location") also
+// carries lat and lon, and a station picked on the map its station uid, since
+// the name alone may match another place.
+
+// { station } or { lat, lon } from the query string; null without either
+function readLocation(params) {
+    if (params.get("station")) return { station: params.get("station") };
+    const lat = parseFloat(params.get("lat"));
+    const lon = parseFloat(params.get("lon"));
+    return Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : null;
+}
+
+export function readUrlState(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    return {
+        city: params.get("city") || "",
+        location: readLocation(params),
+        view: params.get("view") === "compare" ? "compare" : "single",
+        compare: params.getAll("compare").map(c => c.trim()).filter(Boolean),
+        card: params.get("card") || null,
+        // null when the link doesn't pick units, so saved preferences apply
+        units: decodeUnits(params.get("units")),
+    };
+}
+
+export function buildSearch({ city, location, view, compare, card, units }) {
+    const params = new URLSearchParams();
+    if (city) params.set("city", city);
+    if (location?.station) {
+        params.set("station", location.station);
+    } else if (location) {
+        params.set("lat", location.lat);
+        params.set("lon", location.lon);
+    }
+    if (view === "compare") params.set("view", "compare");
+    compare?.forEach(c => params.append("compare", c));
+    if (card && view !== "compare") params.set("card", card);
+    if (units && !isDefaultUnits(units)) params.set("units", encodeUnits(units));
+
+    const search = params.toString();
+    return search ? `?${search}` : "";
+}
+
+// Pushes a history entry when the viewed city changes so back/forward moves
+// between cities; every other change replaces the current entry.
+export function writeUrlState(state) {
+    const search = buildSearch(state);
+    if (search === window.location.search) return;
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    const previousCity = readUrlState().city;
+    if (previousCity && state.city && previousCity !== state.city) {
+        window.history.pushState(null, "", url);
+    } else {
+        window.history.replaceState(null, "", url);
+    }
+}
@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { buildSearch, readUrlState } from "./urlState";
+
+describe("urlState", () => {
+    it("repeats the compare parameter for each city", () => {
+        const search = buildSearch({ view: "compare", compare: ["Delhi", "Hyderabad, PK"] });
+
+        expect(search).toBe("?view=compare&compare=Delhi&compare=Hyderabad%2C+PK");
+        expect(readUrlState(search).compare).toEqual(["Delhi", "Hyderabad, PK"]);
+    });
+
+    it("reads a city view with its card and units", () => {
+        const state = readUrlState("?city=Delhi&card=pm25&units=f,mph,inhg");
+
+        expect(state).toEqual({
+            city: "Delhi",
+            location: null,
+            view: "single",
+            compare: [],
+            card: "pm25",
+            units: { temperature: "f", speed: "mph", pressure: "inhg" },
+        });
+    });
+
+    it("keeps the coordinates of a place picked by location", () => {
+        const search = buildSearch({ city: "Hyderabad, PK", location: { lat: 25.396, lon: 68.3578 } });
+
+        expect(search).toBe("?city=Hyderabad%2C+PK&lat=25.396&lon=68.3578");
+        expect(readUrlState(search).location).toEqual({ lat: 25.396, lon: 68.3578 });
+        expect(readUrlState("?city=Delhi&lat=north&lon=77.2").location).toBeNull();
+    });
+
+    it("keeps the station of a place picked on the map", () => {
+        const search = buildSearch({ city: "Bandra, Mumbai, India", location: { station: "9011" } });
+
+        expect(search).toBe("?city=Bandra%2C+Mumbai%2C+India&station=9011");
+        expect(readUrlState(search).location).toEqual({ station: "9011" });
+    });
+
+    it("leaves out defaults and the card while comparing", () => {
+        expect(buildSearch({ city: "", view: "single", compare: [], card: null, units: null })).toBe("");
+        expect(buildSearch({ view: "compare", compare: ["Delhi"], card: "pm25" })).toBe("?view=compare&compare=Delhi");
+    });
+});
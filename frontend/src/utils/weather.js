@@ -0,0 +1,67 @@
+// Helpers for the normalized `weather_data` from /environment (see
+// get_weather_at in the backend). Kept free of UI imports.
+
+// weather_data fields the AQI station also reports, and its reading key for each
+export const STATION_KEYS = { temperature: "t", humidity: "h", wind_speed: "w", pressure: "p" };
+
+const OPENWEATHER = { provider: "openweather", station: null };
+
+const present = (value) => value !== null && value !== undefined && value !== "";
+
+// The one value to show for a weather field of an /environment response:
+// OpenWeather's, with the AQI station's reading as the alternate, or the
+// station's alone when OpenWeather has none. Returns { value, source, alternate }
+// where sources are { provider, station } like aqi_data.sources and alternate
+// is { value, source } or null.
+export function weatherValue(data, field) {
+    const primary = data?.weather_data?.[field];
+    const key = STATION_KEYS[field];
+    const station = key ? data?.aqi_data?.pollutants?.[key] : undefined;
+    const stationSource = key ? data?.aqi_data?.sources?.[key] ?? null : null;
+
+    if (present(primary)) {
+        return { value: primary, source: OPENWEATHER, alternate: present(station) ? { value: station, source: stationSource } : null };
+    }
+    if (present(station)) return { value: station, source: stationSource, alternate: null };
+    return { value: null, source: null, alternate: null };
+}
+
+export const COMPASS_POINTS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+// Nearest of the eight compass points for a bearing in degrees, or null
+export function compassPoint(deg) {
+    if (!present(deg) || isNaN(Number(deg))) return null;
+    const bearing = ((Number(deg) % 360) + 360) % 360;
+    return COMPASS_POINTS[Math.round(bearing / 45) % 8];
+}
+
+// Whether it is day at the place: OpenWeather's icon code ends in "d" or "n";
+// without one, `now` (ms) is compared with sunrise and sunset. Defaults to day.
+export function isDaytime(weather, now = Date.now()) {
+    const icon = weather?.icon;
+    if (icon) return !icon.endsWith("n");
+    if (present(weather?.sunrise) && present(weather?.sunset)) {
+        const seconds = now / 1000;
+        return seconds >= weather.sunrise && seconds < weather.sunset;
+    }
+    return true;
+}
+
+// WHO UV index bands, lowest first
+export const UV_LEVELS = [
+    { id: "low", from: 0, color: "bg-green-500" },
+    { id: "moderate", from: 3, color: "bg-yellow-400" },
+    { id: "high", from: 6, color: "bg-orange-500" },
+    { id: "veryHigh", from: 8, color: "bg-red-500" },
+    { id: "extreme", from: 11, color: "bg-purple-600" },
+];
+
+// UV_LEVELS entry for an index, or null without one
+export function uvLevel(uv) {
+    if (!present(uv) || isNaN(Number(uv))) return null;
+    return UV_LEVELS.filter(level => Number(uv) >= level.from).pop() || UV_LEVELS[0];
+}
+
+// Clock time at the place for a Unix time, given its UTC offset in seconds,
+// as a Date to format in UTC
+export const placeTime = (unix, offset = 0) => new Date((unix + (offset || 0)) * 1000);
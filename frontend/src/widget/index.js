@@ -0,0 +1,161 @@
+import { getStandard, headlineAqi } from "../utils/aqi";
+import { prettyKey } from "../utils/pollutants";
+import { LOCALES, createTranslator, normalizeLocale } from "../i18n";
+
+// <duniya-aqi> — a self-contained AQI badge for partner sites. Plain custom
+// element (no React) so the bundle stays small and independent of the dashboard.
+//
+//   <duniya-aqi city="Delhi" theme="light" mode="full" refresh="300"></duniya-aqi>
+//
+// Attributes: city, theme (dark | light), mode (compact | full), refresh
+// (seconds, 0 turns it off), standard (us_epa, in_naqi, ...), lang (en | hi)
+// and api (backend URL, defaults to the one this bundle was built with).
+
+const DEFAULT_REFRESH = 300;
+const MIN_REFRESH = 60;
+const DASHBOARD_URL = import.meta.env.VITE_DASHBOARD_URL || "";
+
+const STYLE = `
+    :host {
+        --bg: #0f172a; --fg: #f1f5f9; --muted: #94a3b8; --border: #334155;
+        display: inline-block;
+        font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif;
+    }
+    :host([theme="light"]) { --bg: #ffffff; --fg: #0f172a; --muted: #64748b; --border: #e2e8f0; }
+    .card { background: var(--bg); color: var(--fg); border: 1px solid var(--border); border-radius: 12px; padding: 12px 16px; min-width: 220px; box-sizing: border-box; }
+    .compact { display: inline-flex; align-items: center; gap: 8px; padding: 6px 10px; min-width: 0; border-radius: 999px; }
+    .place { font-weight: 600; font-size: 15px; margin: 0 0 8px; }
+    .row { display: flex; align-items: center; gap: 12px; }
+    .value { font-size: 36px; font-weight: 800; line-height: 1; padding: 8px 12px; border-radius: 10px; }
+    .compact .value { font-size: 14px; padding: 2px 8px; border-radius: 999px; }
+    .category { font-weight: 600; }
+    .meta { font-size: 12px; color: var(--muted); margin-top: 4px; }
+    .footer { display: flex; justify-content: space-between; gap: 8px; font-size: 11px; color: var(--muted); margin-top: 10px; }
+    a { color: inherit; }
+`;
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+class DuniyaAqi extends HTMLElement {
+    static observedAttributes = ["city", "theme", "mode", "refresh", "standard", "lang", "api"];
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: "open" });
+        this.data = null;
+        this.failed = false;
+        this.timer = null;
+        this.controller = null;
+    }
+
+    connectedCallback() {
+        this.load();
+        this.schedule();
+    }
+
+    disconnectedCallback() {
+        clearInterval(this.timer);
+        this.controller?.abort();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this.isConnected || oldValue === newValue) return;
+        if (name === "city" || name === "api") this.load();
+        else if (name === "refresh") this.schedule();
+        else this.render();
+    }
+
+    get refreshSeconds() {
+        const seconds = Number(this.getAttribute("refresh") ?? DEFAULT_REFRESH);
+        if (!Number.isFinite(seconds) || seconds <= 0) return 0;
+        return Math.max(seconds, MIN_REFRESH);
+    }
+
+    schedule() {
+        clearInterval(this.timer);
+        if (this.refreshSeconds) this.timer = setInterval(() => this.load(), this.refreshSeconds * 1000);
+    }
+
+    async load() {
+        const city = this.getAttribute("city");
+        if (!city) return;
+        const api = this.getAttribute("api") || import.meta.env.VITE_BACKEND_URL;
+
+        this.controller?.abort();
+        this.controller = new AbortController();
+        if (!this.data) this.render();
+
+        try {
+            const res = await fetch(`${api}/environment?city=${encodeURIComponent(city)}`, { signal: this.controller.signal });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            this.data = await res.json();
+            this.failed = false;
+        } catch (err) {
+            if (err.name === "AbortError") return;
+            console.error("duniya-aqi: failed to load", err);
+            // Keep showing the last good reading if there is one
+            this.failed = !this.data;
+        }
+        this.render();
+    }
+
+    render() {
+        const locale = normalizeLocale(this.getAttribute("lang"));
+        const t = createTranslator(locale);
+        const standardId = this.getAttribute("standard") || "us_epa";
+        const standard = getStandard(standardId);
+        const compact = this.getAttribute("mode") === "compact";
+        const city = this.getAttribute("city") || "";
+
+        let body;
+        if (!this.data) {
+            body = `<div class="card${compact ? " compact" : ""}"><span class="meta">${escapeHtml(this.failed ? t("widget.unavailable") : t("widget.loading"))}</span></div>`;
+        } else {
+            const headline = headlineAqi(standard.id, this.data.aqi_data);
+            const { category } = headline;
+            const swatch = `background:${category.hex};color:${category.text === "text-white" ? "#ffffff" : "#000000"}`;
+            const categoryName = t(`category.${category.cat}`, null, category.cat);
+            const place = this.data.place || this.data.city || city;
+            const aqi = headline.aqi ?? "—";
+
+            if (compact) {
+                body = `
+                    <div class="card compact" title="${escapeHtml(`${place}: ${t("aqi.label", { standard: standard.label })} ${aqi}`)}">
+                        <span>${escapeHtml(this.data.city || city)}</span>
+                        <span class="value" style="${swatch}">${escapeHtml(aqi)}</span>
+                        <span class="category">${escapeHtml(categoryName)}</span>
+                    </div>`;
+            } else {
+                const dominant = headline.dominant
+                    ? `<div class="meta">${escapeHtml(t("dominant.title"))}: ${escapeHtml(t(`label.${headline.dominant}`, null, prettyKey(headline.dominant)))}</div>`
+                    : "";
+                const updated = new Date(this.data.fetched_at || Date.now()).toLocaleTimeString(LOCALES[locale].intl, { hour: "2-digit", minute: "2-digit" });
+                const brand = DASHBOARD_URL
+                    ? `<a href="${escapeHtml(`${DASHBOARD_URL}?city=${encodeURIComponent(city)}`)}" target="_blank" rel="noopener noreferrer">दुनिया मौसम</a>`
+                    : "दुनिया मौसम";
+                body = `
+                    <div class="card">
+                        <p class="place">${escapeHtml(place)}</p>
+                        <div class="row">
+                            <span class="value" style="${swatch}">${escapeHtml(aqi)}</span>
+                            <div>
+                                <div class="category">${escapeHtml(categoryName)}</div>
+                                <div class="meta">${escapeHtml(t("aqi.label", { standard: standard.label }))}</div>
+                                ${dominant}
+                            </div>
+                        </div>
+                        <div class="footer">
+                            <span>${escapeHtml(t("status.updated", { time: updated }))}</span>
+                            <span>${brand}</span>
+                        </div>
+                    </div>`;
+            }
+        }
+
+        this.shadowRoot.innerHTML = `<style>${STYLE}</style>${body}`;
+    }
+}
+
+if (!customElements.get("duniya-aqi")) customElements.define("duniya-aqi", DuniyaAqi);
+
+export default DuniyaAqi;
@@ -1,7 +1,30 @@
+import { rmSync } from 'node:fs'
+import { resolve } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// public/mockServiceWorker.js only serves VITE_API_MOCKS on the dev server;
+// drop the copy Vite makes of it so production builds never ship it
+const dropMockWorker = {
+  name: 'drop-mock-worker',
+  apply: 'build',
+  writeBundle({ dir }) {
+    rmSync(resolve(dir, 'mockServiceWorker.js'), { force: true })
+  },
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), dropMockWorker],
+  server: {
+    fs: {
+      // src/mocks imports the backend's fixtures (backend/fixtures/cities.json)
+      allow: ['.', '../backend/fixtures'],
+    },
+  },
+  test: {
+    environment: 'jsdom',
+    // Starts the MSW handlers from src/mocks for every test file
+    setupFiles: ['./src/test/setup.js'],
+  },
 })
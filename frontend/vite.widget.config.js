@@ -0,0 +1,17 @@
+import { defineConfig } from 'vite'
+
+// Builds the embeddable <duniya-aqi> widget (src/widget) on its own: no React,
+// nothing from the dashboard bundle. Output goes to dist-widget/.
+export default defineConfig({
+  // The dashboard's public files (service workers, icons) don't belong with the widget
+  publicDir: false,
+  build: {
+    outDir: 'dist-widget',
+    lib: {
+      entry: 'src/widget/index.js',
+      name: 'DuniyaAqi',
+      formats: ['es', 'iife'],
+      fileName: (format) => `duniya-aqi.${format}.js`,
+    },
+  },
+})